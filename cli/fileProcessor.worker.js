@@ -0,0 +1,21 @@
+// worker_threads counterpart of src/lib/fileProcessor.worker.js - tasks carry
+// a file path instead of a File, opened here as a disk-backed Blob
+import { openAsBlob } from "node:fs";
+import { parentPort } from "node:worker_threads";
+import { ERROR_STAGES } from "../src/lib/fileErrors.js";
+import { processTask } from "../src/lib/processFile.js";
+
+parentPort.on("message", async (task) => {
+  const reply = await openAsBlob(task.file.path).then(
+    (file) => processTask({ ...task, file }),
+    (error) => ({
+      taskId: task.taskId,
+      success: false,
+      error: error.message,
+      stage: ERROR_STAGES.read,
+      line: null,
+      fileName: task.fileName,
+    }),
+  );
+  parentPort.postMessage(reply);
+});
@@ -0,0 +1,27 @@
+// worker_threads behind the Web Worker interface FileProcessor drives
+import { Worker } from "node:worker_threads";
+
+/**
+ * A worker_threads Worker running `script` behind the Web Worker interface
+ * FileProcessor drives (postMessage, onmessage, onerror, terminate). Tasks
+ * carry File-like { name, size, path } objects; only the path crosses
+ * over and the thread opens the file itself.
+ */
+export function createNodeWorker(
+  script = new URL("./fileProcessor.worker.js", import.meta.url),
+) {
+  const thread = new Worker(script);
+  const worker = {
+    onmessage: null,
+    onerror: null,
+    postMessage: ({ file, ...task }) =>
+      thread.postMessage({
+        ...task,
+        file: { name: file.name, size: file.size, path: file.path },
+      }),
+    terminate: () => thread.terminate(),
+  };
+  thread.on("message", (data) => worker.onmessage?.({ data }));
+  thread.on("error", (error) => worker.onerror?.({ message: error.message }));
+  return worker;
+}
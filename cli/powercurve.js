@@ -0,0 +1,290 @@
+#!/usr/bin/env node
+// Headless processing: a folder of .out/.outb files in, the same output
+// files and ZIP as the web app out, and a JSON summary on stdout.
+// Progress and log lines go to stderr.
+import { mkdir, readFile, readdir, stat, writeFile } from "node:fs/promises";
+import { availableParallelism } from "node:os";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { aepParamsError } from "../src/lib/aep.js";
+import { validateChannelMapping } from "../src/lib/channels.js";
+import { FileProcessor } from "../src/lib/optimizedProcessing.js";
+import { parsePreset } from "../src/lib/presets.js";
+import {
+  EXPORT_FORMATS,
+  exportFormatsError,
+  exportRun,
+} from "../src/lib/runExport.js";
+import { assembleRun, processingParams } from "../src/lib/runPipeline.js";
+import { DEFAULT_SETTINGS } from "../src/lib/settings.js";
+import { createNodeWorker } from "./nodeWorker.js";
+
+const EXIT = {
+  ok: 0,
+  failed: 1, // nothing written: unreadable input, strict failure, no records
+  usage: 2,
+  fileErrors: 3, // written, but some files failed - see `errors`
+  interrupted: 130, // Ctrl+C: the files finished so far, as a partial result
+};
+
+const USAGE = `Usage: powercurve <input-dir> [options]
+
+Processes every .out/.outb file under <input-dir> into the seed averages,
+power curve and ZIP the web app exports, and prints a JSON summary.
+
+Options:
+  -d, --density <kg/m3>      air density to normalize to
+  -s, --simulation-density <kg/m3>
+                             air density the simulations ran at
+  -f, --formats <list>       comma-separated: ${EXPORT_FORMATS.join(", ")} (default csv)
+      --rotor-diameter <m>   rotor diameter and hub height, for turbine
+      --hub-height <m>       files (wtg, pow, owtg)
+  -o, --output <dir>         output directory (default ./output)
+  -p, --preset <file>        settings from an exported preset; other
+                             options override it
+  -w, --workers <n>          worker threads (default: one per core)
+      --strict               stop at the first file that fails
+  -h, --help                 show this help
+
+Exit codes: 0 ok, 1 failed, 2 usage error, 3 some files failed,
+130 interrupted (partial result written)`;
+
+class UsageError extends Error {}
+
+const log = (message, type = "info") =>
+  process.stderr.write(`${type === "info" ? "" : `[${type}] `}${message}\n`);
+
+const positiveNumber = (value, name) => {
+  const n = Number(value);
+  if (!(n > 0)) throw new UsageError(`--${name} must be a positive number`);
+  return n;
+};
+
+const positiveInteger = (value, name) => {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) {
+    throw new UsageError(`--${name} must be a whole number of at least 1`);
+  }
+  return n;
+};
+
+/**
+ * Settings of a run: the defaults, then the preset, then the options
+ */
+async function resolveSettings(values) {
+  let settings = { ...DEFAULT_SETTINGS };
+  let presetName = "";
+  if (values.preset) {
+    const preset = parsePreset(await readFile(values.preset, "utf8"));
+    settings = { ...settings, ...preset.settings };
+    presetName = preset.name;
+  }
+  if (values.density !== undefined) {
+    settings.airDensity = positiveNumber(values.density, "density");
+  }
+  if (values["simulation-density"] !== undefined) {
+    settings.simulationDensity = positiveNumber(
+      values["simulation-density"],
+      "simulation-density",
+    );
+  }
+  if (values.formats !== undefined) {
+    settings.formats = values.formats
+      .split(",")
+      .map((fmt) => fmt.trim().toLowerCase())
+      .filter(Boolean);
+  }
+  if (!settings.formats.length) settings.formats = ["csv"];
+  for (const [option, key] of [
+    ["rotor-diameter", "rotorDiameter"],
+    ["hub-height", "hubHeight"],
+  ]) {
+    if (values[option] !== undefined) {
+      settings[key] = positiveNumber(values[option], option);
+    }
+  }
+  if (values.strict) settings.strictMode = true;
+
+  const mappingError = validateChannelMapping(settings.channelMapping);
+  if (mappingError) throw new UsageError(mappingError);
+  const formatsError = exportFormatsError(settings);
+  if (formatsError) throw new UsageError(formatsError);
+  const aepError = aepParamsError(settings);
+  if (aepError) throw new UsageError(aepError);
+  return { settings, presetName };
+}
+
+/**
+ * Every .out/.outb file below dir as { name, size, path }, by name like the
+ * browser's folder upload
+ */
+async function findOutFiles(dir) {
+  const entries = await readdir(dir, { recursive: true, withFileTypes: true });
+  const files = await Promise.all(
+    entries
+      .filter((entry) => entry.isFile() && /\.outb?$/i.test(entry.name))
+      .map(async (entry) => {
+        const filePath = path.join(entry.parentPath ?? entry.path, entry.name);
+        return {
+          name: entry.name,
+          size: (await stat(filePath)).size,
+          path: filePath,
+        };
+      }),
+  );
+  return files.sort((a, b) =>
+    a.name.localeCompare(b.name, undefined, { numeric: true }),
+  );
+}
+
+const progressReporter = () => {
+  if (!process.stderr.isTTY) return () => {};
+  return ({ message }) => process.stderr.write(`\r\x1b[K${message}`);
+};
+
+async function main(argv) {
+  const started = Date.now();
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      density: { type: "string", short: "d" },
+      "simulation-density": { type: "string", short: "s" },
+      formats: { type: "string", short: "f" },
+      output: { type: "string", short: "o", default: "output" },
+      preset: { type: "string", short: "p" },
+      workers: { type: "string", short: "w" },
+      "rotor-diameter": { type: "string" },
+      "hub-height": { type: "string" },
+      strict: { type: "boolean" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+  if (values.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return EXIT.ok;
+  }
+  if (positionals.length !== 1) {
+    throw new UsageError("Expected exactly one input directory");
+  }
+
+  const input = path.resolve(positionals[0]);
+  const output = path.resolve(values.output);
+  const { settings, presetName } = await resolveSettings(values);
+  const workerCount =
+    values.workers === undefined
+      ? availableParallelism()
+      : positiveInteger(values.workers, "workers");
+
+  const files = await findOutFiles(input);
+  if (!files.length) throw new Error(`No .out/.outb files in ${input}`);
+  log(`Processing ${files.length} files from ${input}`);
+  log(
+    `Air Density: ${settings.airDensity} kg/m³ (simulated at ${settings.simulationDensity} kg/m³, ${settings.normalizationMethod} normalization)`,
+  );
+
+  const processor = new FileProcessor({
+    createWorker: createNodeWorker,
+    workerCount,
+  });
+  // Ctrl+C keeps the files finished so far; a second one exits at once
+  const abortController = new AbortController();
+  process.once("SIGINT", () => {
+    log("Cancelling - finished files will be kept", "warning");
+    abortController.abort();
+  });
+
+  let baseline;
+  try {
+    baseline = await processor.processBatches(
+      files,
+      processingParams(settings),
+      progressReporter(),
+      abortController.signal,
+    );
+  } finally {
+    processor.terminate();
+    if (process.stderr.isTTY) process.stderr.write("\r\x1b[K");
+  }
+  const { errors, unitReport } = baseline;
+  if (!baseline.results.length) {
+    const error = new Error("No file could be processed");
+    error.fileErrors = errors;
+    throw error;
+  }
+  for (const record of errors) {
+    log(`${record.file}: ${record.message}`, "error");
+  }
+  for (const note of unitReport.converted) {
+    log(`Converted units - ${note}`, "warning");
+  }
+  for (const note of unitReport.mismatched) {
+    log(`Unit mismatch - ${note}`, "error");
+  }
+
+  const run = assembleRun({ settings, presetName, files, baseline, log });
+  const { allResults, zip } = await exportRun(run, settings.formats);
+
+  await mkdir(output, { recursive: true });
+  const written = [];
+  const write = async (file) => {
+    const target = path.join(output, file.filename);
+    await writeFile(target, Buffer.from(await file.blob.arrayBuffer()));
+    written.push(target);
+  };
+  for (const fmt of Object.keys(allResults)) {
+    for (const file of Object.values(allResults[fmt])) await write(file);
+  }
+  await write(zip);
+  log(`Wrote ${written.length} files to ${output}`, "success");
+
+  const status = run.partial ? "partial" : errors.length ? "file-errors" : "ok";
+  printSummary({
+    status,
+    input,
+    output,
+    zip: written.at(-1),
+    files: {
+      requested: files.length,
+      processed: run.processedFiles,
+      failed: errors.length,
+    },
+    powerCurvePoints: run.powerCurve.length,
+    aep: run.aep && {
+      grossMWh: run.aep.grossMWh,
+      netMWh: run.aep.netMWh,
+      capacityFactor: run.aep.capacityFactor,
+    },
+    referenceFlagged: run.reference?.flagged ?? null,
+    unitMismatches: unitReport.mismatched,
+    outputs: written,
+    errors,
+    durationMs: Date.now() - started,
+  });
+  return run.partial
+    ? EXIT.interrupted
+    : errors.length
+      ? EXIT.fileErrors
+      : EXIT.ok;
+}
+
+const printSummary = (summary) =>
+  process.stdout.write(`${JSON.stringify(summary, null, 2)}\n`);
+
+main(process.argv.slice(2)).then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (error) => {
+    const usage =
+      error instanceof UsageError || error.code?.startsWith("ERR_PARSE_ARGS");
+    log(error.message, "error");
+    if (usage) process.stderr.write(`\n${USAGE}\n`);
+    printSummary({
+      status: usage ? "usage" : "failed",
+      error: error.message,
+      errors: error.fileErrors || [],
+    });
+    process.exitCode = usage ? EXIT.usage : EXIT.failed;
+  },
+);
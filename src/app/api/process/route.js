@@ -0,0 +1,337 @@
+// POST /api/process - the app's processing for other tools: .out/.outb
+// files (or ZIPs of them) and settings in, seed averages and the power
+// curve out as JSON or as a file in any export format
+import { openAsBlob } from "node:fs";
+import { mkdtemp, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { runInNewContext } from "node:vm";
+import { aepParamsError } from "@/lib/aep";
+import { validateChannelMapping } from "@/lib/channels";
+import { compilePattern } from "@/lib/filenamePattern";
+import { FileProcessor, toFormatFile } from "@/lib/optimizedProcessing";
+import { parsePreset } from "@/lib/presets";
+import {
+  EXPORT_FORMATS,
+  exportFormatsError,
+  exportRun,
+  runDatasets,
+} from "@/lib/runExport";
+import { assembleRun, processingParams } from "@/lib/runPipeline";
+import { DEFAULT_SETTINGS, SETTINGS_KEYS } from "@/lib/settings";
+import { TURBINE_FORMATS, toTurbineFile } from "@/lib/turbineFormats";
+import {
+  extractOutFiles,
+  isOutFile,
+  isZipFile,
+  readMultipart,
+  tooLarge,
+  uploadError,
+} from "@/lib/uploads";
+
+export const runtime = "nodejs";
+
+// Request body limit, overridable with POWER_CURVE_MAX_UPLOAD_MB
+const MAX_UPLOAD_BYTES =
+  (Number(process.env.POWER_CURVE_MAX_UPLOAD_MB) || 1024) * 1024 ** 2;
+// What uploaded ZIPs may unpack to
+const MAX_EXTRACTED_BYTES = 4 * MAX_UPLOAD_BYTES;
+// The filename pattern is a client regex run on this thread: its length,
+// and its time over the uploaded file names, are capped
+const MAX_PATTERN_LENGTH = 500;
+const PATTERN_TIMEOUT_MS = 1000;
+
+// Text fields of string settings are taken as is (a filename pattern);
+// others are JSON where they parse as JSON ("1.18", "true", a channel
+// mapping), plain strings otherwise
+const fieldValue = (key, text) => {
+  if (typeof DEFAULT_SETTINGS[key] === "string") return text;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+};
+
+const isChannel = (ch) =>
+  typeof ch?.header === "string" &&
+  typeof ch.column === "string" &&
+  Array.isArray(ch.stats);
+
+/**
+ * Check each setting against the type of its default (numbers may come as
+ * input text, like the app stores them, and strings as numbers); a
+ * mistyped field is a 400, not a TypeError further down
+ */
+function checkSettingTypes(settings) {
+  const invalid = (key, what) => uploadError(400, `${key} must be ${what}`);
+  for (const key of SETTINGS_KEYS) {
+    const fallback = DEFAULT_SETTINGS[key];
+    const value = settings[key];
+    if (typeof fallback === "string") {
+      if (typeof value === "number") settings[key] = String(value);
+      else if (typeof value !== "string") throw invalid(key, "a string");
+    } else if (typeof fallback === "number") {
+      if (typeof value !== "number" && typeof value !== "string") {
+        throw invalid(key, "a number");
+      }
+    } else if (typeof fallback === "boolean") {
+      if (typeof value !== "boolean") throw invalid(key, "true or false");
+    } else if (Array.isArray(fallback)) {
+      if (!Array.isArray(value)) throw invalid(key, "a list");
+    } else if (value !== null && !Array.isArray(value)) {
+      throw invalid(key, "a list or null"); // loaded tables
+    }
+  }
+  if (!settings.channelMapping.every(isChannel)) {
+    throw invalid(
+      "channelMapping",
+      "a list of { header, column, stats } channels",
+    );
+  }
+  for (const key of ["groupBy", "formats"]) {
+    if (!settings[key].every((item) => typeof item === "string")) {
+      throw invalid(key, "a list of strings");
+    }
+  }
+}
+
+/**
+ * 400 unless the filename pattern compiles and stays short
+ */
+function checkFilenamePattern(source) {
+  if (source.length > MAX_PATTERN_LENGTH) {
+    throw uploadError(
+      400,
+      `filenamePattern is longer than ${MAX_PATTERN_LENGTH} characters`,
+    );
+  }
+  const { error } = compilePattern(source);
+  if (error) throw uploadError(400, `filenamePattern: ${error}`);
+}
+
+/**
+ * Match the pattern against every file name in a VM context with a time
+ * limit, so a catastrophically backtracking regex is a 400 and not a
+ * stalled thread. The later matches run on the same names and are as fast.
+ */
+function checkPatternTime(source, names) {
+  const { regex } = compilePattern(source);
+  if (!regex) return;
+  try {
+    runInNewContext(
+      "names.forEach((name) => regex.exec(name))",
+      { names, regex },
+      { timeout: PATTERN_TIMEOUT_MS },
+    );
+  } catch (error) {
+    if (error.code !== "ERR_SCRIPT_EXECUTION_TIMEOUT") throw error;
+    throw uploadError(
+      400,
+      `filenamePattern took over ${PATTERN_TIMEOUT_MS} ms on the file names - simplify it`,
+    );
+  }
+}
+
+/**
+ * Settings of a request: the defaults, then a `preset` field (exported
+ * preset JSON), then fields named like a setting (airDensity, binWidth...)
+ */
+function requestSettings(fields) {
+  let settings = { ...DEFAULT_SETTINGS, formats: ["csv"] };
+  try {
+    if (fields.preset) {
+      settings = { ...settings, ...parsePreset(fields.preset).settings };
+    }
+  } catch (error) {
+    throw uploadError(400, error.message);
+  }
+  for (const key of SETTINGS_KEYS) {
+    if (key in fields) settings[key] = fieldValue(key, fields[key]);
+  }
+  checkSettingTypes(settings);
+  checkFilenamePattern(settings.filenamePattern);
+
+  for (const key of ["airDensity", "simulationDensity"]) {
+    if (!(Number(settings[key]) > 0)) {
+      throw uploadError(400, `${key} must be a positive number`);
+    }
+  }
+  const mappingError = validateChannelMapping(settings.channelMapping);
+  if (mappingError) throw uploadError(400, mappingError);
+  const aepError = aepParamsError(settings);
+  if (aepError) throw uploadError(400, aepError);
+  return settings;
+}
+
+/**
+ * Response format: "json" (default), "zip" (every dataset in
+ * settings.formats, like the app's download) or one format of `dataset`
+ * (turbine file formats: always the power curve)
+ */
+function requestOutput(fields, settings) {
+  const format = String(fields.format || "json").toLowerCase();
+  if (
+    format !== "json" &&
+    format !== "zip" &&
+    !EXPORT_FORMATS.includes(format)
+  ) {
+    throw uploadError(
+      400,
+      `Unknown format "${format}" - use json, zip or ${EXPORT_FORMATS.join(", ")}`,
+    );
+  }
+  if (format !== "json") {
+    const error = exportFormatsError(
+      settings,
+      format === "zip" ? settings.formats : [format],
+    );
+    if (error) throw uploadError(400, error);
+  }
+  return { format, dataset: fields.dataset || "powerCurve" };
+}
+
+const fileResponse = (blob, filename, type) =>
+  new Response(blob, {
+    headers: {
+      "Content-Type": type,
+      "Content-Disposition": `attachment; filename="${filename}"`,
+    },
+  });
+
+async function respond(run, unitReport, { format, dataset }) {
+  if (format === "json") {
+    return Response.json({
+      files: {
+        requested: run.requestedFiles,
+        processed: run.processedFiles,
+        failed: run.errors.length,
+      },
+      individual: run.individual,
+      powerCurve: run.powerCurve,
+      units: run.units,
+      aep: run.aep,
+      reference: run.reference && {
+        fileName: run.reference.fileName,
+        tolerance: run.reference.tolerance,
+        flagged: run.reference.flagged,
+      },
+      unitReport,
+      errors: run.errors,
+      partial: run.partial,
+    });
+  }
+
+  if (format === "zip") {
+    const { zip } = await exportRun(run, run.settings.formats);
+    URL.revokeObjectURL(zip.url); // only the blob itself goes out
+    return fileResponse(zip.blob, zip.filename, "application/zip");
+  }
+
+  if (TURBINE_FORMATS.includes(format)) {
+    const file = toTurbineFile(
+      format,
+      run,
+      `final_powercurve_${run.createdAt}`,
+    );
+    return fileResponse(file.blob, file.filename, file.type);
+  }
+
+  const datasets = runDatasets(run);
+  if (!datasets[dataset]) {
+    throw uploadError(
+      400,
+      `Unknown dataset "${dataset}" - this run has ${Object.keys(datasets).join(", ")}`,
+    );
+  }
+  const file = await toFormatFile(
+    format,
+    datasets[dataset].data,
+    `final_${dataset.toLowerCase()}_${run.createdAt}`,
+    datasets[dataset].sheetName,
+    datasets[dataset].units,
+  );
+  return fileResponse(file.blob, file.filename, file.type);
+}
+
+/**
+ * multipart/form-data with .out/.outb files and/or ZIPs of them under any
+ * field name, plus optional fields: preset, any setting, format, dataset
+ */
+export async function POST(request) {
+  const length = Number(request.headers.get("content-length"));
+  if (length > MAX_UPLOAD_BYTES) {
+    const error = tooLarge("Upload", MAX_UPLOAD_BYTES);
+    return Response.json({ error: error.message }, { status: error.status });
+  }
+
+  const dir = await mkdtemp(path.join(tmpdir(), "power-curve-"));
+  try {
+    const { fields, files: uploads } = await readMultipart(
+      request.body ?? [],
+      request.headers.get("content-type"),
+      { dir, maxBytes: MAX_UPLOAD_BYTES },
+    );
+    for (const upload of uploads.filter((u) => u.field === "preset")) {
+      fields.preset = await readFile(upload.path, "utf8");
+    }
+    const settings = requestSettings(fields);
+    const output = requestOutput(fields, settings);
+
+    const outFiles = uploads.filter((u) => isOutFile(u.name));
+    let extracted = 0;
+    for (const upload of uploads.filter((u) => isZipFile(u.name))) {
+      const entries = await extractOutFiles(
+        upload.path,
+        dir,
+        MAX_EXTRACTED_BYTES - extracted,
+      );
+      extracted += entries.reduce((sum, entry) => sum + entry.size, 0);
+      outFiles.push(...entries);
+    }
+    if (!outFiles.length) {
+      throw uploadError(400, "No .out/.outb files in the upload");
+    }
+    checkPatternTime(
+      settings.filenamePattern,
+      outFiles.map((f) => f.name),
+    );
+
+    // Disk-backed Files: processFile streams them in slices. No workers
+    // here (workerCount 0) - the files are parsed one after another on
+    // this thread
+    const files = await Promise.all(
+      outFiles.map(async (f) => new File([await openAsBlob(f.path)], f.name)),
+    );
+    const baseline = await new FileProcessor({ workerCount: 0 }).processBatches(
+      files,
+      processingParams(settings),
+      () => {},
+      request.signal,
+    );
+    if (!baseline.results.length) {
+      return Response.json(
+        { error: "No file could be processed", errors: baseline.errors },
+        { status: 422 },
+      );
+    }
+
+    const run = assembleRun({ settings, files, baseline });
+    return await respond(run, baseline.unitReport, output);
+  } catch (error) {
+    if (error.fileErrors) {
+      // Strict mode
+      return Response.json(
+        { error: error.message, errors: error.fileErrors },
+        { status: 422 },
+      );
+    }
+    if (!error.status) console.error("Processing request failed:", error);
+    return Response.json(
+      { error: error.message },
+      { status: error.status || 500 },
+    );
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
@@ -1,24 +1,49 @@
 "use client";
 import { useState, useRef, useEffect, useCallback, useMemo } from "react";
-import {
-  FileProcessor,
-  toCSV,
-  toFWTXT,
-  toXLSXBlob,
-  createZipPackage,
-} from "@/lib/optimizedProcessing";
+import { FileProcessor } from "@/lib/optimizedProcessing";
 import Header from "@/components/Header";
 import Sidebar from "@/components/Sidebar";
 import MainPanel from "@/components/MainPanel";
+import { BINNING_MODES } from "@/lib/binning";
+import { aepParamsError, parseFrequencyTable } from "@/lib/aep";
+import {
+  collectChannels,
+  loadChannelMapping,
+  saveChannelMapping,
+  validateChannelMapping,
+  DEFAULT_CHANNELS,
+} from "@/lib/channels";
+import { describeWindow } from "@/lib/timeWindow";
+import { compilePattern, fieldColumn } from "@/lib/filenamePattern";
+import { describeWindSpeed } from "@/lib/windSpeed";
+import { parseReferenceCurve } from "@/lib/referenceCurve";
+import { DEFAULT_SETTINGS, pickSettings } from "@/lib/settings";
+import {
+  createPreset,
+  deletePreset,
+  loadPresets,
+  parsePreset,
+  presetFileName,
+  presetToJSON,
+  savePreset,
+} from "@/lib/presets";
+import { exportFormatsError, exportRun } from "@/lib/runExport";
+import { assembleRun, processingParams } from "@/lib/runPipeline";
+import { historyAvailable, loadRun, saveRun } from "@/lib/runHistory";
 
 // Constants
 const INITIAL_STATE = {
   files: [],
   selectedFiles: [],
+  comparisonMode: false,
+  variantFiles: [],
   activeFile: null,
-  airDensity: 1.225,
-  formats: [],
+  ...DEFAULT_SETTINGS,
+  availableChannels: [],
+  channelUnits: {},
+  fileErrors: [],
   processing: false,
+  paused: false,
   progress: 0,
   currentStep: "",
   results: null,
@@ -30,10 +55,62 @@ const INITIAL_STATE = {
   parametersCollapsed: false,
   currentFile: "",
   filesProcessed: 0,
+  showHistory: false,
+  presets: [],
+  presetName: "",
 };
 
 const ITEM_HEIGHT = 48; // Height of each file item in pixels
 
+// Text of an uploaded table; spreadsheets are read as CSV of their first sheet
+async function readTableFile(file) {
+  if (!/\.xlsx?$/i.test(file.name)) return file.text();
+  const XLSX = (await import("xlsx")).default || (await import("xlsx"));
+  const wb = XLSX.read(await file.arrayBuffer(), { type: "array" });
+  return XLSX.utils.sheet_to_csv(wb.Sheets[wb.SheetNames[0]]);
+}
+
+/**
+ * state.results of a run (fresh or reopened from the history) and its
+ * exported files
+ */
+function runResults(run, exports, formats) {
+  const { settings } = run;
+  return {
+    ...exports,
+    processedAirDensity: Number(settings.airDensity),
+    processedSimulationDensity: Number(settings.simulationDensity),
+    processedNormalization: settings.normalizationMethod,
+    processedBinning:
+      settings.binningMode === BINNING_MODES.windSpeed
+        ? `${Number(settings.binWidth)} m/s bins`
+        : "Filename prefix",
+    processedKeys: compilePattern(settings.filenamePattern)
+      .fields.filter((field) => settings.groupBy.includes(field))
+      .map(fieldColumn),
+    processedWindow: describeWindow(settings),
+    processedWindSpeed: describeWindSpeed(settings),
+    processedFormats: formats,
+    individual: run.individual,
+    powerCurve: run.powerCurve,
+    units: run.units.individual,
+    chartColumns: settings.channelMapping.map((ch) => ch.column.trim()),
+    aep: run.aep,
+    comparison: run.comparison,
+    reference: run.reference,
+    partial: run.partial,
+    processedFiles: run.processedFiles,
+    requestedFiles: run.requestedFiles,
+    createdAt: run.createdAt,
+  };
+}
+
+const countOutputFiles = (results) =>
+  Object.values(results?.allResults || {}).reduce(
+    (n, files) => n + Object.keys(files).length,
+    0,
+  );
+
 // Reusable Components
 const Icon = ({ path, className = "w-4 h-4" }) => (
   <svg
@@ -84,6 +161,24 @@ const FormatSelector = ({ formats, toggleFormat }) => {
     { key: "csv", label: "CSV", desc: "Comma-Separated", icon: "📊" },
     { key: "xlsx", label: "XLSX", desc: "Excel Workbook", icon: "📗" },
     { key: "fw.txt", label: "FW.TXT", desc: "Fixed-Width Text", icon: "📝" },
+    {
+      key: "wtg",
+      label: "WTG",
+      desc: "WAsP Turbine (power curve)",
+      icon: "🌀",
+    },
+    {
+      key: "pow",
+      label: "POW",
+      desc: "Power Curve at site density",
+      icon: "📈",
+    },
+    {
+      key: "owtg",
+      label: "OWTG",
+      desc: "OpenWind Turbine (power curve)",
+      icon: "🗺️",
+    },
   ];
 
   return (
@@ -125,8 +220,8 @@ const FormatSelector = ({ formats, toggleFormat }) => {
 
       <div className="mt-4 p-3 rounded-lg bg-blue-500/10 border border-blue-500/30">
         <div className="text-xs text-zinc-300 leading-relaxed">
-          💡 Two files will be generated for each format: seed averages and
-          power curve data.
+          💡 Files will be generated for each format: seed averages, power curve
+          data and, when enabled, the AEP summary.
         </div>
       </div>
     </div>
@@ -139,7 +234,8 @@ const InstructionSteps = ({ filesCount, selectedCount, formatsCount }) => {
     {
       number: 1,
       title: "Upload Folder",
-      description: "Click the 'Upload Folder' button to select your .out files",
+      description:
+        "Click the 'Upload Folder' button to select your .out / .outb files",
       completed: filesCount > 0,
       icon: "M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12",
     },
@@ -258,6 +354,7 @@ export default function Home() {
   const [scrollTop, setScrollTop] = useState(0);
   const logsEndRef = useRef(null);
   const fileProcessorRef = useRef(null);
+  const abortControllerRef = useRef(null);
   const sidebarScrollRef = useRef(null);
 
   const updateState = useCallback((updates) => {
@@ -275,6 +372,15 @@ export default function Home() {
     };
   }, []);
 
+  // Restore the saved channel mapping and presets (localStorage is
+  // client-only)
+  useEffect(() => {
+    updateState({
+      channelMapping: loadChannelMapping(),
+      presets: loadPresets(),
+    });
+  }, [updateState]);
+
   useEffect(() => {
     logsEndRef.current?.scrollIntoView({ behavior: "smooth" });
   }, [state.logs]);
@@ -297,7 +403,7 @@ export default function Home() {
   const handleFolderUpload = useCallback(
     (e) => {
       const outFiles = Array.from(e.target.files).filter((file) =>
-        file.name.toLowerCase().endsWith(".out"),
+        /\.outb?$/i.test(file.name),
       );
 
       updateState({
@@ -311,7 +417,146 @@ export default function Home() {
         currentStep: "",
       });
 
-      addLog(`Loaded ${outFiles.length} .out files from folder`, "success");
+      addLog(
+        `Loaded ${outFiles.length} .out/.outb files from folder`,
+        "success",
+      );
+
+      collectChannels(outFiles).then(({ names, units }) => {
+        updateState({ availableChannels: names, channelUnits: units });
+        addLog(`Found ${names.length} channels in headers`, "info");
+      });
+    },
+    [updateState, addLog],
+  );
+
+  // Comparison mode: the variant set is processed with the same settings
+  const handleVariantFolderUpload = useCallback(
+    (e) => {
+      const variantFiles = Array.from(e.target.files).filter((file) =>
+        /\.outb?$/i.test(file.name),
+      );
+      updateState({ variantFiles, results: null });
+      addLog(`Loaded ${variantFiles.length} variant files`, "success");
+    },
+    [updateState, addLog],
+  );
+
+  const handleSaveChannelMapping = useCallback(() => {
+    saveChannelMapping(state.channelMapping);
+    addLog(
+      `Saved channel mapping (${state.channelMapping.length} channels)`,
+      "success",
+    );
+  }, [state.channelMapping, addLog]);
+
+  const handleResetChannelMapping = useCallback(() => {
+    updateState({ channelMapping: DEFAULT_CHANNELS });
+    addLog("Channel mapping reset to defaults", "info");
+  }, [updateState, addLog]);
+
+  const handleFrequencyTableUpload = useCallback(
+    async (e) => {
+      const file = e.target.files?.[0];
+      if (!file) return;
+
+      try {
+        const table = parseFrequencyTable(await readTableFile(file));
+        updateState({
+          aepFrequencyTable: table,
+          aepFrequencyFileName: file.name,
+        });
+        addLog(
+          `Loaded frequency table ${file.name} (${table.length} wind speeds)`,
+          "success",
+        );
+      } catch (err) {
+        addLog(`Frequency table error: ${err.message}`, "error");
+      }
+    },
+    [updateState, addLog],
+  );
+
+  const handleReferenceCurveUpload = useCallback(
+    async (e) => {
+      const file = e.target.files?.[0];
+      if (!file) return;
+
+      try {
+        const curve = parseReferenceCurve(await readTableFile(file));
+        updateState({
+          referenceCurve: curve,
+          referenceCurveFileName: file.name,
+        });
+        addLog(
+          `Loaded reference curve ${file.name} (${curve.length} wind speeds${
+            curve.some((r) => r.ct !== null) ? ", with Ct" : ""
+          })`,
+          "success",
+        );
+      } catch (err) {
+        addLog(`Reference curve error: ${err.message}`, "error");
+      }
+    },
+    [updateState, addLog],
+  );
+
+  const handleApplyPreset = useCallback(
+    (preset) => {
+      updateState({ ...preset.settings, presetName: preset.name });
+      addLog(`Applied preset "${preset.name}"`, "info");
+    },
+    [updateState, addLog],
+  );
+
+  const handleSavePreset = useCallback(
+    (name) => {
+      const presets = savePreset(createPreset(name, state));
+      updateState({ presets, presetName: name });
+      addLog(`Saved preset "${name}"`, "success");
+    },
+    [state, updateState, addLog],
+  );
+
+  const handleDeletePreset = useCallback(
+    (name) => {
+      updateState({ presets: deletePreset(name), presetName: "" });
+      addLog(`Deleted preset "${name}"`, "info");
+    },
+    [updateState, addLog],
+  );
+
+  const handleExportPreset = useCallback(() => {
+    const preset = createPreset(state.presetName || "Preset", state);
+    const url = URL.createObjectURL(
+      new Blob([presetToJSON(preset)], { type: "application/json" }),
+    );
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = presetFileName(preset.name);
+    a.click();
+    URL.revokeObjectURL(url);
+    addLog(`Exported preset "${preset.name}"`, "success");
+  }, [state, addLog]);
+
+  // Importing also stores the preset and applies it, so a preset.json from
+  // an output ZIP reproduces that run's settings
+  const handleImportPreset = useCallback(
+    async (e) => {
+      const file = e.target.files?.[0];
+      if (!file) return;
+
+      try {
+        const preset = parsePreset(await file.text());
+        updateState({
+          ...preset.settings,
+          presets: savePreset(preset),
+          presetName: preset.name,
+        });
+        addLog(`Imported and applied preset "${preset.name}"`, "success");
+      } catch (err) {
+        addLog(`Preset error: ${err.message}`, "error");
+      }
     },
     [updateState, addLog],
   );
@@ -368,10 +613,35 @@ export default function Home() {
       alert("Please select at least one output format");
       return;
     }
+    const mappingError = validateChannelMapping(state.channelMapping);
+    if (mappingError) {
+      alert(mappingError);
+      return;
+    }
+    const formatsError = exportFormatsError(state);
+    if (formatsError) {
+      alert(formatsError);
+      return;
+    }
+    const aepError = aepParamsError(state);
+    if (aepError) {
+      alert(aepError);
+      return;
+    }
+    const comparing = state.comparisonMode;
+    if (comparing && state.variantFiles.length === 0) {
+      alert("Please upload a variant folder to compare against");
+      return;
+    }
+
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
 
     updateState({
       processing: true,
+      paused: false,
       error: null,
+      fileErrors: [],
       results: null,
       logs: [],
       progress: 0,
@@ -384,120 +654,203 @@ export default function Home() {
         `Starting processing of ${state.selectedFiles.length} files...`,
         "info",
       );
-      addLog(`Air Density: ${state.airDensity} kg/m³`, "info");
+      addLog(
+        `Air Density: ${state.airDensity} kg/m³ (simulated at ${state.simulationDensity} kg/m³, ${state.normalizationMethod} normalization)`,
+        "info",
+      );
+      addLog(
+        state.binningMode === BINNING_MODES.windSpeed
+          ? `Binning: ${state.binWidth} m/s wind speed bins`
+          : "Binning: filename prefix",
+        "info",
+      );
+      addLog(`Averaging window: ${describeWindow(state)}`, "info");
+      addLog(`Hub wind speed: ${describeWindSpeed(state)}`, "info");
+      addLog(
+        `Channels: ${state.channelMapping.map((ch) => ch.header).join(", ")}`,
+        "info",
+      );
       addLog(`Formats: ${state.formats.join(", ").toUpperCase()}`, "info");
 
       const filesToProcess = state.files.filter((file) =>
         state.selectedFiles.includes(file.name),
       );
 
+      const settings = pickSettings(state);
+      const params = processingParams(settings);
+      // In comparison mode each set gets half of the progress bar
+      const share = (offset, scale) => (update) =>
+        handleProgress({
+          ...update,
+          progress: offset + update.progress * scale,
+        });
+
       // Process files using Web Worker
-      const { results, powerCurve } =
-        await fileProcessorRef.current.processBatches(
-          filesToProcess,
-          Number(state.airDensity),
-          handleProgress,
+      const baseline = await fileProcessorRef.current.processBatches(
+        filesToProcess,
+        params,
+        comparing ? share(0, 0.5) : handleProgress,
+        abortController.signal,
+      );
+      const { results, powerCurve, unitReport } = baseline;
+      let { partial, errors } = baseline;
+
+      let variant = null;
+      if (comparing && !partial) {
+        addLog(
+          `Processing variant set (${state.variantFiles.length} files)...`,
+          "info",
+        );
+        variant = await fileProcessorRef.current.processBatches(
+          state.variantFiles,
+          params,
+          share(47.5, 0.5),
+          abortController.signal,
         );
+        partial = variant.partial;
+        errors = [
+          ...errors,
+          ...variant.errors.map((e) => ({ ...e, file: `variant/${e.file}` })),
+        ];
+        addLog(
+          `Processed ${variant.results.length} variant file records`,
+          "success",
+        );
+      }
 
+      if (partial) {
+        addLog(
+          `Cancelled - exporting the ${results.length} of ${filesToProcess.length} files finished so far as a partial result`,
+          "warning",
+        );
+      }
       addLog(`Processed ${results.length} file records`, "success");
-      addLog(`Generated ${powerCurve.length} power curve points`, "success");
-
-      handleProgress({ progress: 96, message: "Generating output files..." });
-
-      // ✅ Sort data by wind speed before generating files
-      const sortByWindSpeed = (data) => {
-        return [...data].sort(
-          (a, b) =>
-            parseFloat(a["WindSpeed(ms)"] ?? 0) -
-            parseFloat(b["WindSpeed(ms)"] ?? 0),
+      if (errors.length) {
+        addLog(
+          `${errors.length} files failed - see the error report`,
+          "warning",
+        );
+        updateState({ fileErrors: errors });
+      }
+      const workerStats = fileProcessorRef.current.getWorkerStats();
+      if (workerStats.length) {
+        const busy =
+          workerStats.reduce((sum, w) => sum + w.utilization, 0) /
+          workerStats.length;
+        addLog(
+          `${workerStats.length} workers, ${(busy * 100).toFixed(0)}% average utilization`,
+          "info",
         );
-      };
-
-      const sortedIndividualData = sortByWindSpeed(results);
-      const sortedPowerCurveData = sortByWindSpeed(powerCurve);
-
-      // Generate format files
-      const resultsByFormat = {};
-      const baseName = {
-        individual: `final_individual_${Date.now()}`,
-        powerCurve: `final_powercurve_${Date.now()}`,
-      };
-
-      for (const fmt of state.formats) {
-        let individualBlob, powerBlob, individualName, powerName, contentType;
-
-        if (fmt === "csv") {
-          const indContent = toCSV(sortedIndividualData);
-          const pcContent = toCSV(sortedPowerCurveData);
-          individualBlob = new Blob([indContent], { type: "text/csv" });
-          powerBlob = new Blob([pcContent], { type: "text/csv" });
-          contentType = "text/csv";
-          individualName = `${baseName.individual}.csv`;
-          powerName = `${baseName.powerCurve}.csv`;
-        } else if (fmt === "fw.txt") {
-          const indContent = toFWTXT(sortedIndividualData);
-          const pcContent = toFWTXT(sortedPowerCurveData);
-          individualBlob = new Blob([indContent], { type: "text/plain" });
-          powerBlob = new Blob([pcContent], { type: "text/plain" });
-          contentType = "text/plain";
-          individualName = `${baseName.individual}.fw.txt`;
-          powerName = `${baseName.powerCurve}.fw.txt`;
-        } else if (fmt === "xlsx") {
-          individualBlob = await toXLSXBlob(
-            sortedIndividualData,
-            "Seed Averages",
-          );
-          powerBlob = await toXLSXBlob(sortedPowerCurveData, "Power Curve");
-          contentType =
-            "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
-          individualName = `${baseName.individual}.xlsx`;
-          powerName = `${baseName.powerCurve}.xlsx`;
-        }
-
-        resultsByFormat[fmt] = {
-          individual: {
-            blob: individualBlob,
-            filename: individualName,
-            type: contentType,
-          },
-          powerCurve: {
-            blob: powerBlob,
-            filename: powerName,
-            type: contentType,
-          },
-        };
-
-        addLog(`✓ Generated ${fmt.toUpperCase()} files`, "success");
+      }
+      addLog(`Generated ${powerCurve.length} power curve points`, "success");
+      for (const note of unitReport.converted) {
+        addLog(`Converted units - ${note}`, "warning");
+      }
+      for (const note of unitReport.mismatched) {
+        addLog(`Unit mismatch - ${note}`, "error");
       }
 
-      handleProgress({ progress: 98, message: "Creating ZIP package..." });
+      handleProgress({ progress: 96, message: "Generating output files..." });
 
-      const zipBlob = await createZipPackage(resultsByFormat);
-      const now = new Date();
-      const zipName = `${baseName.individual}_export_${now.toISOString().replace(/[:.]/g, "-")}.zip`;
-      const zipUrl = URL.createObjectURL(zipBlob);
+      const run = assembleRun({
+        settings,
+        presetName: state.presetName,
+        files: filesToProcess,
+        baseline,
+        variant,
+        errors,
+        partial,
+        log: addLog,
+      });
+      const exports = await exportRun(run, state.formats, (fmt) =>
+        addLog(`✓ Generated ${fmt.toUpperCase()} files`, "success"),
+      );
 
       updateState({
-        results: {
-          allResults: resultsByFormat,
-          zip: { blob: zipBlob, url: zipUrl, filename: zipName },
-          processedAirDensity: state.airDensity,
-          processedFormats: state.formats,
-        },
+        results: runResults(run, exports, state.formats),
         progress: 100,
-        currentStep: "Complete!",
+        currentStep: partial ? "Cancelled - partial result" : "Complete!",
       });
 
-      addLog("Processing complete! All files ready for download.", "success");
+      addLog(
+        partial
+          ? "Partial result ready for download."
+          : "Processing complete! All files ready for download.",
+        "success",
+      );
+
+      if (historyAvailable()) {
+        saveRun(run)
+          .then(({ name }) => addLog(`Saved to history as "${name}"`, "info"))
+          .catch((e) =>
+            addLog(
+              `Could not save the run to history: ${e.message}`,
+              "warning",
+            ),
+          );
+      }
     } catch (err) {
-      updateState({ error: err.message, progress: 0, currentStep: "" });
+      updateState({
+        error: err.message,
+        fileErrors: err.fileErrors || [],
+        progress: 0,
+        currentStep: "",
+      });
       addLog(`Error: ${err.message}`, "error");
       console.error("Processing error:", err);
     } finally {
-      setTimeout(() => updateState({ processing: false }), 500);
+      abortControllerRef.current = null;
+      setTimeout(() => updateState({ processing: false, paused: false }), 500);
     }
   };
 
+  // Reopen a saved run: its exports are rebuilt from the stored records, in
+  // the formats selected now or else the ones it was run with
+  const handleOpenRun = useCallback(
+    async (id) => {
+      try {
+        const run = await loadRun(id);
+        const formats = state.formats.length
+          ? state.formats
+          : run.settings.formats;
+        const exports = await exportRun(run, formats);
+        updateState({
+          results: runResults(run, exports, formats),
+          fileErrors: run.errors,
+          error: null,
+          showHistory: false,
+        });
+        addLog(
+          `Reopened "${run.name}" (${formats.join(", ").toUpperCase()})`,
+          "success",
+        );
+      } catch (err) {
+        addLog(`Could not open the run: ${err.message}`, "error");
+      }
+    },
+    [state.formats, updateState, addLog],
+  );
+
+  const handleCancelProcessing = useCallback(() => {
+    if (!abortControllerRef.current) return;
+    fileProcessorRef.current.resume(); // let a paused fallback run see the abort
+    abortControllerRef.current.abort();
+    updateState({ paused: false, currentStep: "Cancelling..." });
+    addLog("Cancelling - finished files will be kept", "warning");
+  }, [updateState, addLog]);
+
+  const handleTogglePause = useCallback(() => {
+    const processor = fileProcessorRef.current;
+    if (state.paused) {
+      processor.resume();
+      addLog("Resumed", "info");
+    } else {
+      processor.pause();
+      addLog("Paused - running files will finish, no new ones start", "info");
+    }
+    updateState({ paused: !state.paused });
+  }, [state.paused, updateState, addLog]);
+
   const downloadFile = useCallback(
     (format, fileType) => {
       const fileData = state.results.allResults[format][fileType];
@@ -519,14 +872,13 @@ export default function Home() {
     addLog("Downloading all files...", "info");
     let delay = 0;
 
-    state.formats.forEach((format) => {
-      setTimeout(() => downloadFile(format, "individual"), delay);
-      delay += 300;
-
-      setTimeout(() => downloadFile(format, "powerCurve"), delay);
-      delay += 300;
+    state.results.processedFormats.forEach((format) => {
+      for (const fileType of Object.keys(state.results.allResults[format])) {
+        setTimeout(() => downloadFile(format, fileType), delay);
+        delay += 300;
+      }
     });
-  }, [state.formats, downloadFile, addLog]);
+  }, [state.results, downloadFile, addLog]);
 
   // Virtual scrolling for file list
   const visibleFiles = useMemo(() => {
@@ -611,10 +963,31 @@ export default function Home() {
                 <div className="text-xs text-zinc-500">kg/m³</div>
               </div>
 
+              <div className="bg-zinc-900/50 rounded-lg p-3 border border-zinc-700/30">
+                <div className="text-xs text-zinc-400 mb-1">
+                  Simulation Density
+                </div>
+                <div className="text-lg font-semibold text-emerald-400">
+                  {state.results?.processedSimulationDensity?.toFixed(3) ||
+                    "1.225"}
+                </div>
+                <div className="text-xs text-zinc-500">kg/m³</div>
+              </div>
+
+              <div className="bg-zinc-900/50 rounded-lg p-3 border border-zinc-700/30">
+                <div className="text-xs text-zinc-400 mb-1">Normalization</div>
+                <div className="text-lg font-semibold text-emerald-400">
+                  {state.results?.processedNormalization === "power"
+                    ? "Power"
+                    : "Wind Speed"}
+                </div>
+                <div className="text-xs text-zinc-500">IEC 61400-12-1</div>
+              </div>
+
               <div className="bg-zinc-900/50 rounded-lg p-3 border border-zinc-700/30">
                 <div className="text-xs text-zinc-400 mb-1">Output Files</div>
                 <div className="text-lg font-semibold text-emerald-400">
-                  {state.formats.length * 2}
+                  {countOutputFiles(state.results)}
                 </div>
                 <div className="text-xs text-zinc-500">generated</div>
               </div>
@@ -626,12 +999,20 @@ export default function Home() {
                 {state.results?.processedFormats?.join(", ").toUpperCase() ||
                   ""}
               </span>
+              <span>
+                Grouping: {state.results?.processedBinning || ""}
+                {state.results?.processedKeys?.length
+                  ? ` by ${state.results.processedKeys.join(", ")}`
+                  : ""}
+              </span>
+              <span>Window: {state.results?.processedWindow || ""}</span>
+              <span>Wind speed: {state.results?.processedWindSpeed || ""}</span>
             </div>
           </div>
         </div>
       </div>
     ),
-    [state.results, state.selectedFiles.length, state.formats.length],
+    [state.results, state.selectedFiles.length],
   );
 
   return (
@@ -645,8 +1026,12 @@ export default function Home() {
         formatsCount={state.formats.length}
         currentFile={state.currentFile} // ✅ ADD THIS
         filesProcessed={state.filesProcessed}
+        paused={state.paused}
         onProcessFiles={handleProcessFiles}
+        onTogglePause={handleTogglePause}
+        onCancel={handleCancelProcessing}
         onFolderUpload={handleFolderUpload}
+        onToggleHistory={() => updateState({ showHistory: !state.showHistory })}
         Icon={Icon}
         Button={Button}
       />
@@ -657,12 +1042,28 @@ export default function Home() {
           selectedFiles={state.selectedFiles}
           sidebarCollapsed={state.sidebarCollapsed}
           filesCollapsed={state.filesCollapsed}
+          parametersCollapsed={state.parametersCollapsed}
+          parameters={state}
+          processing={state.processing}
           onToggleSidebar={() =>
             updateState({ sidebarCollapsed: !state.sidebarCollapsed })
           }
           onToggleFiles={() =>
             updateState({ filesCollapsed: !state.filesCollapsed })
           }
+          onToggleParameters={() =>
+            updateState({ parametersCollapsed: !state.parametersCollapsed })
+          }
+          onParametersChange={updateState}
+          onFrequencyTableUpload={handleFrequencyTableUpload}
+          onReferenceCurveUpload={handleReferenceCurveUpload}
+          presets={state.presets}
+          presetName={state.presetName}
+          onApplyPreset={handleApplyPreset}
+          onSavePreset={handleSavePreset}
+          onDeletePreset={handleDeletePreset}
+          onExportPreset={handleExportPreset}
+          onImportPreset={handleImportPreset}
           onSelectAllToggle={() => {
             const allSelected =
               state.selectedFiles.length === state.files.length;
@@ -697,6 +1098,15 @@ export default function Home() {
           Button={Button}
           InstructionSteps={InstructionSteps}
           FormatSelector={FormatSelector}
+          outputFileCount={countOutputFiles(state.results)}
+          onChannelMappingChange={(channelMapping) =>
+            updateState({ channelMapping })
+          }
+          onSaveChannelMapping={handleSaveChannelMapping}
+          onFilenamePatternChange={updateState}
+          onVariantFolderUpload={handleVariantFolderUpload}
+          onOpenRun={handleOpenRun}
+          onResetChannelMapping={handleResetChannelMapping}
         />
       </div>
     </div>
@@ -0,0 +1,164 @@
+"use client";
+
+import { useMemo, useState } from "react";
+import { CHANNEL_STATS } from "@/lib/channels";
+
+export default function ChannelMapper({
+  availableChannels,
+  channelUnits,
+  mapping,
+  onChange,
+  onSave,
+  onReset,
+  error,
+  disabled,
+  Button,
+}) {
+  const [filter, setFilter] = useState("");
+
+  // Mapped channels first (in output order), then the rest of the file headers
+  const rows = useMemo(() => {
+    const mapped = new Map(mapping.map((ch) => [ch.header, ch]));
+    const names = [
+      ...mapping.map((ch) => ch.header),
+      ...availableChannels.filter((h) => h !== "Time" && !mapped.has(h)),
+    ];
+    const needle = filter.trim().toLowerCase();
+    return names
+      .filter((h) => !needle || h.toLowerCase().includes(needle))
+      .map((header) => ({
+        header,
+        channel: mapped.get(header),
+        missing:
+          availableChannels.length > 0 && !availableChannels.includes(header),
+      }));
+  }, [mapping, availableChannels, filter]);
+
+  const toggleChannel = (header) => {
+    if (mapping.some((ch) => ch.header === header)) {
+      onChange(mapping.filter((ch) => ch.header !== header));
+    } else {
+      onChange([...mapping, { header, column: header, stats: [] }]);
+    }
+  };
+
+  const updateChannel = (header, updates) =>
+    onChange(
+      mapping.map((ch) => (ch.header === header ? { ...ch, ...updates } : ch)),
+    );
+
+  const toggleStat = (channel, stat) =>
+    updateChannel(channel.header, {
+      stats: channel.stats.includes(stat)
+        ? channel.stats.filter((s) => s !== stat)
+        : CHANNEL_STATS.filter((s) => s === stat || channel.stats.includes(s)),
+    });
+
+  return (
+    <div className="bg-zinc-800/50 border border-zinc-700 rounded-xl p-6 shadow-xl backdrop-blur-sm">
+      <div className="flex items-center justify-between mb-4 gap-4">
+        <div>
+          <h3 className="text-lg font-semibold text-zinc-100">
+            Channel Mapping
+          </h3>
+          <p className="text-xs text-zinc-400">
+            Map the power channel to Power(kW) for density normalization and
+            AEP.
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <div className="px-3 py-1 bg-emerald-500/20 border border-emerald-500/30 rounded-full text-xs font-semibold text-emerald-400">
+            {mapping.length} selected
+          </div>
+          <Button
+            onClick={onReset}
+            disabled={disabled}
+            variant="tertiary"
+            className="text-xs py-1.5"
+          >
+            Reset
+          </Button>
+          <Button
+            onClick={onSave}
+            disabled={disabled || !!error}
+            className="text-xs py-1.5"
+          >
+            Save Mapping
+          </Button>
+        </div>
+      </div>
+
+      <input
+        type="text"
+        placeholder={`Filter ${availableChannels.length} channels...`}
+        value={filter}
+        onChange={(e) => setFilter(e.target.value)}
+        className="w-full mb-3 bg-zinc-900/50 border border-zinc-700 rounded-lg px-3 py-1.5 text-sm text-zinc-100 focus:outline-none focus:border-emerald-500/60"
+      />
+
+      {error && <div className="mb-3 text-xs text-red-400">{error}</div>}
+
+      <div className="max-h-80 overflow-y-auto space-y-1 pr-1">
+        {rows.map(({ header, channel, missing }) => (
+          <div
+            key={header}
+            className={`flex items-center gap-3 px-3 py-1.5 rounded-lg border ${
+              channel
+                ? "bg-emerald-500/10 border-emerald-500/30"
+                : "bg-zinc-800/50 border-zinc-700/50"
+            }`}
+          >
+            <input
+              type="checkbox"
+              checked={!!channel}
+              disabled={disabled}
+              onChange={() => toggleChannel(header)}
+              className="w-4 h-4 text-emerald-500 bg-zinc-700 border-zinc-600 rounded"
+            />
+            <span
+              className={`w-32 truncate text-sm ${
+                missing ? "text-amber-400" : "text-zinc-300"
+              }`}
+              title={missing ? `${header} is not in the loaded files` : header}
+            >
+              {header}
+            </span>
+            <span className="w-14 truncate text-xs text-zinc-500">
+              {channelUnits[header] || ""}
+            </span>
+
+            {channel && (
+              <>
+                <input
+                  type="text"
+                  value={channel.column}
+                  disabled={disabled}
+                  onChange={(e) =>
+                    updateChannel(header, { column: e.target.value })
+                  }
+                  className="flex-1 min-w-0 bg-zinc-900/50 border border-zinc-700 rounded px-2 py-0.5 text-sm text-zinc-100"
+                />
+                <div className="flex gap-1">
+                  {CHANNEL_STATS.map((stat) => (
+                    <button
+                      key={stat}
+                      disabled={disabled}
+                      onClick={() => toggleStat(channel, stat)}
+                      className={`px-1.5 py-0.5 rounded text-xs border ${
+                        channel.stats.includes(stat)
+                          ? "bg-emerald-600 border-emerald-500 text-white"
+                          : "bg-zinc-800 border-zinc-700 text-zinc-400"
+                      }`}
+                    >
+                      {stat}
+                    </button>
+                  ))}
+                </div>
+              </>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,183 @@
+"use client";
+
+import { useMemo, useRef, useState } from "react";
+import LineChart from "./LineChart";
+import { CHART_X_COLUMN, chartSeries, formatValue } from "@/lib/charts";
+import { exportPng, exportSvg } from "@/lib/chartExport";
+
+const BASELINE_COLOR = "#34d399";
+const VARIANT_COLOR = "#60a5fa";
+
+const exportButtonClass =
+  "px-2 py-0.5 rounded text-xs bg-zinc-800 border border-zinc-700 text-zinc-400 hover:text-zinc-100";
+
+const deltaClass = (v) =>
+  v === null ? "text-zinc-600" : v < 0 ? "text-red-300" : "text-emerald-300";
+
+const signed = (v, suffix = "") =>
+  v === null ? "-" : `${v > 0 ? "+" : ""}${formatValue(v)}${suffix}`;
+
+/**
+ * Baseline vs. variant results: overlaid curves of one compared channel,
+ * the AEP difference and the per-bin delta table
+ */
+export default function ComparisonPanel({ comparison, units = {} }) {
+  const { rows, columns, baselineCurve, variantCurve, aep } = comparison;
+  const [column, setColumn] = useState(columns[0]);
+  const svgRef = useRef(null);
+
+  const series = useMemo(
+    () => [
+      {
+        id: "baseline",
+        type: "line",
+        color: BASELINE_COLOR,
+        points: chartSeries(baselineCurve, [], column).curve,
+      },
+      {
+        id: "variant",
+        type: "line",
+        color: VARIANT_COLOR,
+        points: chartSeries(variantCurve, [], column).curve,
+      },
+    ],
+    [baselineCurve, variantCurve, column],
+  );
+  const unmatched = rows.filter(
+    (row) => !row.BaselineSamples || !row.VariantSamples,
+  ).length;
+
+  return (
+    <div className="bg-zinc-800/30 border border-zinc-700/50 rounded-lg p-4 space-y-4">
+      <div className="flex items-center justify-between gap-4">
+        <h3 className="text-sm font-semibold text-zinc-200">
+          Baseline vs. Variant
+          <span className="ml-2 text-xs font-normal text-zinc-400">
+            <span style={{ color: BASELINE_COLOR }}>●</span> baseline (
+            {comparison.baselineFiles} files){" "}
+            <span style={{ color: VARIANT_COLOR }}>●</span> variant (
+            {comparison.variantFiles} files)
+          </span>
+        </h3>
+        {unmatched > 0 && (
+          <span className="text-xs text-amber-400">
+            {unmatched} bins only in one set
+          </span>
+        )}
+      </div>
+
+      {aep && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          {[
+            ["Baseline Net AEP", formatValue(aep.baselineMWh), "MWh/yr"],
+            ["Variant Net AEP", formatValue(aep.variantMWh), "MWh/yr"],
+            ["Difference", signed(aep.deltaMWh), "MWh/yr"],
+            ["Difference", signed(aep.deltaPct, " %"), "of baseline"],
+          ].map(([label, value, unit], i) => (
+            <div
+              key={i}
+              className="bg-zinc-900/50 rounded-lg p-3 border border-zinc-700/30"
+            >
+              <div className="text-xs text-zinc-400 mb-1">{label}</div>
+              <div className="text-lg font-semibold text-emerald-400">
+                {value}
+              </div>
+              <div className="text-xs text-zinc-500">{unit}</div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="bg-zinc-900/50 border border-zinc-700/50 rounded-lg p-3">
+        <div className="flex items-center justify-between mb-2">
+          <select
+            value={column}
+            onChange={(e) => setColumn(e.target.value)}
+            className="bg-zinc-900/50 border border-zinc-700 rounded-lg px-2 py-1 text-sm text-zinc-100"
+          >
+            {columns.map((c) => (
+              <option key={c} value={c}>
+                {c}
+              </option>
+            ))}
+          </select>
+          <div className="flex gap-1">
+            <button
+              onClick={() => exportSvg(svgRef.current, "chart_comparison")}
+              className={exportButtonClass}
+            >
+              SVG
+            </button>
+            <button
+              onClick={() => exportPng(svgRef.current, "chart_comparison")}
+              className={exportButtonClass}
+            >
+              PNG
+            </button>
+          </div>
+        </div>
+        <LineChart
+          series={series}
+          xLabel="Wind speed [m/s]"
+          yLabel={units[column] ? `${column} [${units[column]}]` : column}
+          svgRef={svgRef}
+        />
+      </div>
+
+      <div className="overflow-x-auto max-h-96">
+        <table className="w-full text-xs">
+          <thead className="text-zinc-400 text-left sticky top-0 bg-zinc-800">
+            <tr>
+              <th className="py-1 pr-3 font-medium">Group</th>
+              <th className="py-1 pr-3 font-medium text-right">
+                {CHART_X_COLUMN}
+              </th>
+              {columns.map((c) => (
+                <th
+                  key={c}
+                  colSpan={2}
+                  className="py-1 pr-3 font-medium text-center"
+                >
+                  Δ {c}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="text-zinc-300">
+            {rows.map((row) => (
+              <tr
+                key={`${row.WindSpeedGroup}|${row[CHART_X_COLUMN]}`}
+                className="border-t border-zinc-700/50"
+              >
+                <td className="py-1 pr-3 font-mono">{row.WindSpeedGroup}</td>
+                <td className="py-1 pr-3 text-right">
+                  {formatValue(row[CHART_X_COLUMN])}
+                </td>
+                {columns.map((c) => (
+                  <DeltaCells
+                    key={c}
+                    delta={row[`${c}_delta`]}
+                    pct={row[`${c}_deltaPct`]}
+                  />
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+function DeltaCells({ delta, pct }) {
+  return (
+    <>
+      <td className={`py-1 pl-3 text-right ${deltaClass(delta)}`}>
+        {signed(delta)}
+      </td>
+      <td className={`py-1 pr-3 text-right ${deltaClass(pct)}`}>
+        {signed(pct, "%")}
+      </td>
+    </>
+  );
+}
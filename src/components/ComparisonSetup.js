@@ -0,0 +1,71 @@
+"use client";
+
+/**
+ * Comparison mode: a second (variant) folder processed with the same
+ * settings as the selected baseline files
+ */
+export default function ComparisonSetup({
+  enabled,
+  variantFiles,
+  selectedCount,
+  onToggle,
+  onVariantUpload,
+  disabled,
+}) {
+  return (
+    <div className="bg-zinc-800/50 border border-zinc-700 rounded-xl p-6 shadow-xl backdrop-blur-sm">
+      <div className="flex items-center justify-between gap-4">
+        <div>
+          <h3 className="text-lg font-semibold text-zinc-100">
+            Baseline vs. Variant
+          </h3>
+          <p className="text-xs text-zinc-400">
+            Process a second simulation set with the same settings and compare
+            the power curves bin by bin.
+          </p>
+        </div>
+        <label className="flex items-center gap-2 text-sm text-zinc-300 shrink-0">
+          <input
+            type="checkbox"
+            checked={enabled}
+            disabled={disabled}
+            onChange={(e) => onToggle(e.target.checked)}
+            className="w-4 h-4"
+          />
+          Compare
+        </label>
+      </div>
+
+      {enabled && (
+        <div className="mt-4 flex items-center gap-4">
+          <label className="cursor-pointer">
+            <input
+              type="file"
+              webkitdirectory="true"
+              directory=""
+              multiple
+              disabled={disabled}
+              onChange={onVariantUpload}
+              className="hidden"
+            />
+            <span className="inline-flex items-center px-4 py-2 rounded-lg text-sm font-medium bg-zinc-700 text-zinc-100 hover:bg-zinc-600 border border-zinc-600">
+              Upload Variant Folder
+            </span>
+          </label>
+          <div className="text-xs text-zinc-400">
+            {variantFiles.length ? (
+              <>
+                <span className="text-emerald-400 font-medium">
+                  {variantFiles.length} variant files
+                </span>{" "}
+                against {selectedCount} selected baseline files
+              </>
+            ) : (
+              "No variant set loaded - all .out/.outb files of the folder are used"
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
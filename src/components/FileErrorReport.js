@@ -0,0 +1,57 @@
+"use client";
+
+import { countErrorsByGroup } from "@/lib/fileErrors";
+
+export default function FileErrorReport({ errors, totalFiles }) {
+  if (!errors?.length) return null;
+
+  const byGroup = countErrorsByGroup(errors);
+
+  return (
+    <div className="bg-amber-500/10 border-2 border-amber-500/40 rounded-xl p-5 shadow-lg">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-semibold text-amber-300">
+          {errors.length} of {totalFiles} files failed
+        </h3>
+        <span className="text-xs text-zinc-400">
+          Included as an errors file in every export
+        </span>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        {byGroup.map(({ group, count }) => (
+          <span
+            key={group}
+            className="px-2.5 py-1 bg-zinc-900/60 border border-amber-500/30 rounded-full text-xs text-zinc-300"
+          >
+            {group}:{" "}
+            <span className="font-semibold text-amber-300">{count}</span>
+          </span>
+        ))}
+      </div>
+
+      <div className="max-h-64 overflow-y-auto">
+        <table className="w-full text-xs">
+          <thead className="text-zinc-400 text-left">
+            <tr>
+              <th className="py-1 pr-3 font-medium">File</th>
+              <th className="py-1 pr-3 font-medium">Stage</th>
+              <th className="py-1 pr-3 font-medium">Line</th>
+              <th className="py-1 font-medium">Message</th>
+            </tr>
+          </thead>
+          <tbody className="text-zinc-300">
+            {errors.map((e) => (
+              <tr key={e.file} className="border-t border-zinc-700/50">
+                <td className="py-1 pr-3 font-mono">{e.file}</td>
+                <td className="py-1 pr-3">{e.stage}</td>
+                <td className="py-1 pr-3">{e.line ?? ""}</td>
+                <td className="py-1 text-zinc-400">{e.message}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,150 @@
+"use client";
+
+import { useMemo } from "react";
+import {
+  FILENAME_PRESETS,
+  caseInfo,
+  compilePattern,
+  fieldColumn,
+} from "@/lib/filenamePattern";
+
+const PREVIEW_ROWS = 8;
+
+export default function FilenamePatternEditor({
+  fileNames,
+  pattern,
+  groupBy,
+  onChange,
+  disabled,
+}) {
+  const compiled = useMemo(() => compilePattern(pattern), [pattern]);
+
+  // Live preview against the loaded file list
+  const preview = useMemo(() => {
+    const rows = fileNames.map((name) => ({
+      name,
+      ...caseInfo(name, compiled, groupBy),
+    }));
+    return {
+      rows: rows.slice(0, PREVIEW_ROWS),
+      matched: rows.filter((r) => r.matched).length,
+      groups: new Set(rows.map((r) => r.group)).size,
+    };
+  }, [fileNames, compiled, groupBy]);
+
+  const preset = FILENAME_PRESETS.find((p) => p.pattern === pattern);
+
+  const toggleKey = (field) =>
+    onChange({
+      groupBy: groupBy.includes(field)
+        ? groupBy.filter((f) => f !== field)
+        : [...groupBy, field],
+    });
+
+  return (
+    <div className="bg-zinc-800/50 border border-zinc-700 rounded-xl p-6 shadow-xl backdrop-blur-sm">
+      <div className="flex items-center justify-between mb-4 gap-4">
+        <div>
+          <h3 className="text-lg font-semibold text-zinc-100">
+            Filename Pattern
+          </h3>
+          <p className="text-xs text-zinc-400">
+            Named groups become columns; pick which ones group the power curve.
+          </p>
+        </div>
+        <select
+          value={preset?.id ?? "custom"}
+          disabled={disabled}
+          onChange={(e) => {
+            const next = FILENAME_PRESETS.find((p) => p.id === e.target.value);
+            if (next) onChange({ filenamePattern: next.pattern, groupBy: [] });
+          }}
+          className="bg-zinc-900/50 border border-zinc-700 rounded-lg px-3 py-1.5 text-sm text-zinc-100"
+        >
+          {FILENAME_PRESETS.map((p) => (
+            <option key={p.id} value={p.id}>
+              {p.label}
+            </option>
+          ))}
+          {!preset && <option value="custom">Custom</option>}
+        </select>
+      </div>
+
+      <input
+        type="text"
+        spellCheck={false}
+        placeholder="e.g. ws(?<windSpeed>\d+(?:\.\d+)?)_seed(?<seed>\d+)"
+        value={pattern}
+        disabled={disabled}
+        onChange={(e) => onChange({ filenamePattern: e.target.value })}
+        className="w-full mb-3 bg-zinc-900/50 border border-zinc-700 rounded-lg px-3 py-1.5 text-sm font-mono text-zinc-100 focus:outline-none focus:border-emerald-500/60"
+      />
+
+      {compiled.error && (
+        <div className="mb-3 text-xs text-red-400">{compiled.error}</div>
+      )}
+
+      {compiled.fields.length > 0 && (
+        <>
+          <div className="flex flex-wrap items-center gap-2 mb-3">
+            <span className="text-xs text-zinc-400">Group by:</span>
+            {compiled.fields.map((field) => (
+              <button
+                key={field}
+                disabled={disabled}
+                onClick={() => toggleKey(field)}
+                className={`px-2 py-0.5 rounded text-xs border ${
+                  groupBy.includes(field)
+                    ? "bg-emerald-600 border-emerald-500 text-white"
+                    : "bg-zinc-800 border-zinc-700 text-zinc-400"
+                }`}
+              >
+                {fieldColumn(field)}
+              </button>
+            ))}
+          </div>
+
+          <div className="text-xs text-zinc-400 mb-2">
+            {preview.matched} of {fileNames.length} files match ·{" "}
+            {preview.groups} groups
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="w-full text-xs">
+              <thead className="text-zinc-400 text-left">
+                <tr>
+                  <th className="py-1 pr-3 font-medium">File</th>
+                  {compiled.fields.map((field) => (
+                    <th key={field} className="py-1 pr-3 font-medium">
+                      {fieldColumn(field)}
+                    </th>
+                  ))}
+                  <th className="py-1 font-medium">Group</th>
+                </tr>
+              </thead>
+              <tbody className="text-zinc-300">
+                {preview.rows.map((row) => (
+                  <tr key={row.name} className="border-t border-zinc-700/50">
+                    <td
+                      className={`py-1 pr-3 font-mono ${
+                        row.matched ? "" : "text-amber-400"
+                      }`}
+                    >
+                      {row.name}
+                    </td>
+                    {compiled.fields.map((field) => (
+                      <td key={field} className="py-1 pr-3">
+                        {String(row.columns[fieldColumn(field)])}
+                      </td>
+                    ))}
+                    <td className="py-1 text-zinc-400">{row.group}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
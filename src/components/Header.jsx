@@ -7,8 +7,12 @@ export default function Header({
   progress,
   currentStep,
   formatsCount,
+  paused,
   onProcessFiles,
+  onTogglePause,
+  onCancel,
   onFolderUpload,
+  onToggleHistory,
   Icon,
   Button,
 }) {
@@ -82,6 +86,44 @@ export default function Header({
               </span>
             </label>
 
+            {/* Saved runs */}
+            <Button
+              onClick={onToggleHistory}
+              variant="tertiary"
+              className="px-4 py-2.5"
+            >
+              <Icon path="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+              History
+            </Button>
+
+            {/* Pause / cancel a running batch */}
+            {processing && (
+              <>
+                <Button
+                  onClick={onTogglePause}
+                  variant="tertiary"
+                  className="px-4 py-2.5"
+                >
+                  <Icon
+                    path={
+                      paused
+                        ? "M14.752 11.168l-3.197-2.132A1 1 0 0010 9.87v4.263a1 1 0 001.555.832l3.197-2.132a1 1 0 000-1.664z"
+                        : "M10 9v6m4-6v6"
+                    }
+                  />
+                  {paused ? "Resume" : "Pause"}
+                </Button>
+                <Button
+                  onClick={onCancel}
+                  variant="tertiary"
+                  className="px-4 py-2.5"
+                >
+                  <Icon path="M6 18L18 6M6 6l12 12" />
+                  Cancel
+                </Button>
+              </>
+            )}
+
             {/* Generate button */}
             <Button
               onClick={onProcessFiles}
@@ -100,7 +142,7 @@ export default function Header({
         <div className="px-8 pb-6">
           <div className="flex items-center justify-between mb-2">
             <span className="text-sm font-medium text-zinc-300">
-              {currentStep || "Processing files..."}
+              {paused ? "Paused" : currentStep || "Processing files..."}
             </span>
             <span className="text-sm font-semibold text-emerald-400">
               {Math.round(progress)}%
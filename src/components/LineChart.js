@@ -0,0 +1,256 @@
+"use client";
+
+import { useId, useMemo, useState } from "react";
+import {
+  CHART_SIZE,
+  extent,
+  formatValue,
+  linearScale,
+  niceTicks,
+} from "@/lib/charts";
+
+const { width: WIDTH, margin: MARGIN } = CHART_SIZE;
+const HOVER_RADIUS = 24; // px in viewBox units
+const AXIS_COLOR = "#71717a";
+const GRID_COLOR = "#3f3f46";
+const TEXT_COLOR = "#a1a1aa";
+
+/**
+ * SVG x/y chart. `series` is a list of { id, type: "line" | "scatter",
+ * color, points: [{ x, y, label }], markers }. Hovering shows the nearest
+ * point, clicking reports it through onPointClick(point, series). Colors
+ * are plain attributes so the exported SVG looks the same as on screen.
+ *
+ * `xDomain` pins the x-axis (zoomed views); by default it spans the data.
+ */
+export default function LineChart({
+  series,
+  xLabel,
+  yLabel,
+  svgRef,
+  selectedLabel = null,
+  onPointClick,
+  xDomain = null,
+  height = CHART_SIZE.height,
+}) {
+  const [hover, setHover] = useState(null);
+  const clipId = useId();
+
+  const { x, y, xTicks, yTicks } = useMemo(() => {
+    const inView = (p) => !xDomain || (p.x >= xDomain[0] && p.x <= xDomain[1]);
+    const all = series.flatMap((s) => s.points);
+    const xs = xDomain || extent(all.map((p) => p.x));
+    const ys = extent(all.filter(inView).map((p) => p.y));
+    const xt = niceTicks(xs[0], xs[1], 6);
+    const yt = niceTicks(ys[0], ys[1], height < 250 ? 3 : 5);
+    if (xDomain) {
+      xt.domain = xDomain;
+      xt.ticks = xt.ticks.filter((t) => t >= xDomain[0] && t <= xDomain[1]);
+    }
+    return {
+      x: linearScale(xt.domain, [MARGIN.left, WIDTH - MARGIN.right]),
+      y: linearScale(yt.domain, [height - MARGIN.bottom, MARGIN.top]),
+      xTicks: xt,
+      yTicks: yt,
+    };
+  }, [series, xDomain, height]);
+
+  // Nearest point to the pointer, scatter and curve alike
+  const nearest = (event) => {
+    const rect = event.currentTarget.getBoundingClientRect();
+    const px = ((event.clientX - rect.left) * WIDTH) / rect.width;
+    const py = ((event.clientY - rect.top) * height) / rect.height;
+    let best = null;
+    let bestDist = HOVER_RADIUS;
+    for (const s of series) {
+      for (const p of s.points) {
+        const d = Math.hypot(x(p.x) - px, y(p.y) - py);
+        if (d < bestDist) {
+          bestDist = d;
+          best = { point: p, series: s };
+        }
+      }
+    }
+    return best;
+  };
+
+  const tooltip = hover && {
+    left: Math.min(x(hover.point.x) + 8, WIDTH - MARGIN.right - 150),
+    top: Math.max(y(hover.point.y) - 44, MARGIN.top),
+  };
+
+  return (
+    <svg
+      ref={svgRef}
+      viewBox={`0 0 ${WIDTH} ${height}`}
+      className="w-full h-auto select-none"
+      fontFamily="sans-serif"
+      onMouseMove={(e) => setHover(nearest(e))}
+      onMouseLeave={() => setHover(null)}
+      onClick={(e) => {
+        const hit = nearest(e);
+        if (hit) onPointClick?.(hit.point, hit.series);
+      }}
+    >
+      <rect width={WIDTH} height={height} fill="#18181b" />
+      <clipPath id={clipId}>
+        <rect
+          x={MARGIN.left}
+          y={MARGIN.top}
+          width={WIDTH - MARGIN.left - MARGIN.right}
+          height={height - MARGIN.top - MARGIN.bottom}
+        />
+      </clipPath>
+
+      {/* Grid and axes */}
+      {yTicks.ticks.map((t) => (
+        <g key={`y${t}`}>
+          <line
+            x1={MARGIN.left}
+            x2={WIDTH - MARGIN.right}
+            y1={y(t)}
+            y2={y(t)}
+            stroke={GRID_COLOR}
+            strokeWidth="0.5"
+          />
+          <text
+            x={MARGIN.left - 6}
+            y={y(t)}
+            fill={TEXT_COLOR}
+            fontSize="10"
+            textAnchor="end"
+            dominantBaseline="middle"
+          >
+            {formatValue(t, yTicks.step)}
+          </text>
+        </g>
+      ))}
+      {xTicks.ticks.map((t) => (
+        <g key={`x${t}`}>
+          <line
+            x1={x(t)}
+            x2={x(t)}
+            y1={MARGIN.top}
+            y2={height - MARGIN.bottom}
+            stroke={GRID_COLOR}
+            strokeWidth="0.5"
+          />
+          <text
+            x={x(t)}
+            y={height - MARGIN.bottom + 14}
+            fill={TEXT_COLOR}
+            fontSize="10"
+            textAnchor="middle"
+          >
+            {formatValue(t, xTicks.step)}
+          </text>
+        </g>
+      ))}
+      <rect
+        x={MARGIN.left}
+        y={MARGIN.top}
+        width={WIDTH - MARGIN.left - MARGIN.right}
+        height={height - MARGIN.top - MARGIN.bottom}
+        fill="none"
+        stroke={AXIS_COLOR}
+      />
+      <text
+        x={(MARGIN.left + WIDTH - MARGIN.right) / 2}
+        y={height - 6}
+        fill={TEXT_COLOR}
+        fontSize="11"
+        textAnchor="middle"
+      >
+        {xLabel}
+      </text>
+      <text
+        transform={`translate(14 ${(MARGIN.top + height - MARGIN.bottom) / 2}) rotate(-90)`}
+        fill={TEXT_COLOR}
+        fontSize="11"
+        textAnchor="middle"
+      >
+        {yLabel}
+      </text>
+
+      {/* Data - scatter first so the curve stays on top */}
+      <g clipPath={`url(#${clipId})`}>
+        {series
+          .filter((s) => s.type === "scatter")
+          .map((s) => (
+            <g key={s.id} fill={s.color} fillOpacity="0.45">
+              {s.points.map((p, i) => (
+                <circle
+                  key={i}
+                  cx={x(p.x)}
+                  cy={y(p.y)}
+                  r={p.label === selectedLabel ? 5 : 3}
+                  stroke={p.label === selectedLabel ? "#fafafa" : "none"}
+                />
+              ))}
+            </g>
+          ))}
+        {series
+          .filter((s) => s.type === "line")
+          .map((s) => (
+            <g key={s.id}>
+              <polyline
+                points={s.points.map((p) => `${x(p.x)},${y(p.y)}`).join(" ")}
+                fill="none"
+                stroke={s.color}
+                strokeWidth="2"
+              />
+              {s.markers !== false &&
+                s.points.map((p, i) => (
+                  <circle
+                    key={i}
+                    cx={x(p.x)}
+                    cy={y(p.y)}
+                    r="2.5"
+                    fill={s.color}
+                  />
+                ))}
+            </g>
+          ))}
+      </g>
+
+      {/* Hover readout */}
+      {hover && (
+        <g pointerEvents="none">
+          <circle
+            cx={x(hover.point.x)}
+            cy={y(hover.point.y)}
+            r="5"
+            fill="none"
+            stroke="#fafafa"
+          />
+          <rect
+            x={tooltip.left}
+            y={tooltip.top}
+            width="150"
+            height="38"
+            rx="4"
+            fill="#09090b"
+            fillOpacity="0.9"
+            stroke={hover.series.color}
+          />
+          <text
+            x={tooltip.left + 6}
+            y={tooltip.top + 14}
+            fill="#e4e4e7"
+            fontSize="10"
+          >
+            {String(hover.point.label ?? "").slice(0, 26)}
+          </text>
+          <text
+            x={tooltip.left + 6}
+            y={tooltip.top + 29}
+            fill={TEXT_COLOR}
+            fontSize="10"
+          >
+            x {formatValue(hover.point.x)} · y {formatValue(hover.point.y)}
+          </text>
+        </g>
+      )}
+    </svg>
+  );
+}
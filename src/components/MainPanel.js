@@ -1,5 +1,16 @@
 "use client";
 
+import ChannelMapper from "./ChannelMapper";
+import ComparisonPanel from "./ComparisonPanel";
+import ComparisonSetup from "./ComparisonSetup";
+import FileErrorReport from "./FileErrorReport";
+import FilenamePatternEditor from "./FilenamePatternEditor";
+import PerformanceCharts from "./PerformanceCharts";
+import ReferenceCurveChart from "./ReferenceCurveChart";
+import RunHistory from "./RunHistory";
+import TimeSeriesPreview from "./TimeSeriesPreview";
+import { validateChannelMapping } from "@/lib/channels";
+
 export default function MainPanel({
   state,
   toggleFormat,
@@ -12,7 +23,16 @@ export default function MainPanel({
   Button,
   InstructionSteps,
   FormatSelector,
+  outputFileCount,
+  onChannelMappingChange,
+  onSaveChannelMapping,
+  onResetChannelMapping,
+  onFilenamePatternChange,
+  onVariantFolderUpload,
+  onOpenRun,
 }) {
+  const aep = state.results?.aep;
+
   return (
     <main className="flex-1 flex flex-col overflow-hidden min-h-0">
       <div className="flex-1 overflow-y-auto p-8">
@@ -41,6 +61,40 @@ export default function MainPanel({
           </div>
         )}
 
+        {/* Per-file failures */}
+        {state.fileErrors.length > 0 && (
+          <div className="mb-6">
+            <FileErrorReport
+              errors={state.fileErrors}
+              totalFiles={
+                state.results?.requestedFiles ?? state.selectedFiles.length
+              }
+            />
+          </div>
+        )}
+
+        {/* Saved runs */}
+        {state.showHistory && (
+          <div className="mb-6">
+            <RunHistory
+              onOpen={onOpenRun}
+              onClose={() => updateState({ showHistory: false })}
+              disabled={state.processing}
+            />
+          </div>
+        )}
+
+        {/* Time-series preview of the file clicked in the sidebar */}
+        {state.activeFile && (
+          <div className="mb-6">
+            <TimeSeriesPreview
+              key={state.activeFile.name}
+              file={state.activeFile}
+              onClose={() => updateState({ activeFile: null })}
+            />
+          </div>
+        )}
+
         {/* BEFORE PROCESSING */}
         {!state.results && !state.processing && (
           <div className="bg-linear-to-r from-zinc-900/60 to-zinc-900/40 border-2 border-emerald-500/30 rounded-2xl p-8 shadow-2xl shadow-emerald-500/10">
@@ -65,6 +119,50 @@ export default function MainPanel({
                 </div>
               )}
             </div>
+
+            {/* Channel Mapping */}
+            {state.files.length > 0 && (
+              <div className="mt-8">
+                <ChannelMapper
+                  availableChannels={state.availableChannels}
+                  channelUnits={state.channelUnits}
+                  mapping={state.channelMapping}
+                  onChange={onChannelMappingChange}
+                  onSave={onSaveChannelMapping}
+                  onReset={onResetChannelMapping}
+                  error={validateChannelMapping(state.channelMapping)}
+                  disabled={state.processing}
+                  Button={Button}
+                />
+              </div>
+            )}
+
+            {/* Case parameters from file names */}
+            {state.files.length > 0 && (
+              <div className="mt-8">
+                <FilenamePatternEditor
+                  fileNames={state.files.map((file) => file.name)}
+                  pattern={state.filenamePattern}
+                  groupBy={state.groupBy}
+                  onChange={onFilenamePatternChange}
+                  disabled={state.processing}
+                />
+              </div>
+            )}
+
+            {/* Baseline vs. variant */}
+            {state.files.length > 0 && (
+              <div className="mt-8">
+                <ComparisonSetup
+                  enabled={state.comparisonMode}
+                  variantFiles={state.variantFiles}
+                  selectedCount={state.selectedFiles.length}
+                  onToggle={(comparisonMode) => updateState({ comparisonMode })}
+                  onVariantUpload={onVariantFolderUpload}
+                  disabled={state.processing}
+                />
+              </div>
+            )}
           </div>
         )}
 
@@ -85,11 +183,20 @@ export default function MainPanel({
                       clipRule="evenodd"
                     />
                   </svg>
-                  Processing Complete ✨
+                  {state.results.partial
+                    ? "Partial Result"
+                    : "Processing Complete ✨"}
                 </h2>
                 <p className="text-sm text-zinc-300 mt-1 font-medium">
-                  {state.formats.length * 2} files ready for download
+                  {outputFileCount} files ready for download
                 </p>
+                {state.results.partial && (
+                  <p className="text-xs text-amber-400 mt-1">
+                    Cancelled after {state.results.processedFiles} of{" "}
+                    {state.results.requestedFiles} files - exports are marked
+                    &quot;partial&quot;
+                  </p>
+                )}
               </div>
 
               <Button onClick={downloadAllFiles}>
@@ -100,9 +207,70 @@ export default function MainPanel({
 
             {renderConfigBanner()}
 
+            {/* Charts */}
+            {state.results.powerCurve?.length > 0 && (
+              <PerformanceCharts
+                powerCurve={state.results.powerCurve}
+                individual={state.results.individual}
+                columns={state.results.chartColumns}
+                units={state.results.units}
+              />
+            )}
+
+            {/* Deviation from the reference curve */}
+            {state.results.reference && (
+              <ReferenceCurveChart
+                powerCurve={state.results.powerCurve}
+                reference={state.results.reference}
+              />
+            )}
+
+            {/* Baseline vs. variant */}
+            {state.results.comparison && (
+              <ComparisonPanel
+                comparison={state.results.comparison}
+                units={state.results.units}
+              />
+            )}
+
+            {/* AEP Summary */}
+            {aep && (
+              <div className="bg-zinc-800/30 border border-zinc-700/50 rounded-lg p-4">
+                <h3 className="text-sm font-semibold text-zinc-200 mb-3">
+                  Annual Energy Production
+                  <span className="ml-2 text-xs font-normal text-zinc-400 capitalize">
+                    {aep.distribution} distribution
+                  </span>
+                </h3>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                  {[
+                    ["Gross AEP", aep.grossMWh.toFixed(1), "MWh/yr"],
+                    ["Net AEP", aep.netMWh.toFixed(1), "MWh/yr"],
+                    [
+                      "Capacity Factor",
+                      (aep.capacityFactor * 100).toFixed(1),
+                      "%",
+                    ],
+                    ["Full Load Hours", aep.fullLoadHours.toFixed(0), "h/yr"],
+                  ].map(([label, value, unit]) => (
+                    <div
+                      key={label}
+                      className="bg-zinc-900/50 rounded-lg p-3 border border-zinc-700/30"
+                    >
+                      <div className="text-xs text-zinc-400 mb-1">{label}</div>
+                      <div className="text-lg font-semibold text-emerald-400">
+                        {value}
+                      </div>
+                      <div className="text-xs text-zinc-500">{unit}</div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
             {/* Download Grid */}
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-              {state.formats.map((format) => (
+              {state.results.processedFormats.map((format) => (
                 <div
                   key={format}
                   className="bg-linear-to-br from-zinc-800/70 to-zinc-800/50 border-2 border-emerald-500/40 rounded-xl p-6 shadow-lg shadow-emerald-500/15 backdrop-blur-sm hover:border-emerald-500/60 transition-all"
@@ -111,18 +279,20 @@ export default function MainPanel({
                     {format}
                   </h3>
                   <div className="space-y-3">
-                    <Button
-                      onClick={() => downloadFile(format, "individual")}
-                      variant="outlined"
-                      className="w-full justify-center text-white 
+                    {state.results.allResults[format]?.individual && (
+                      <Button
+                        onClick={() => downloadFile(format, "individual")}
+                        variant="outlined"
+                        className="w-full justify-center text-white 
 bg-gradient-to-r from-blue-600 to-cyan-500 
 hover:from-blue-500 hover:to-cyan-400 
 transition-all duration-300 
 shadow-lg hover:shadow-cyan-500/30 
 rounded-xl"
-                    >
-                      Seed Average
-                    </Button>
+                      >
+                        Seed Average
+                      </Button>
+                    )}
                     <Button
                       onClick={() => downloadFile(format, "powerCurve")}
                       variant="outlined"
@@ -135,6 +305,62 @@ rounded-xl"
                     >
                       Power Curve
                     </Button>
+                    {state.results.allResults[format]?.aep && (
+                      <Button
+                        onClick={() => downloadFile(format, "aep")}
+                        variant="outlined"
+                        className="w-full justify-center text-white 
+bg-gradient-to-r from-emerald-600 to-teal-500 
+hover:from-emerald-500 hover:to-teal-400 
+transition-all duration-300 
+shadow-lg hover:shadow-teal-500/30 
+rounded-xl"
+                      >
+                        AEP Summary
+                      </Button>
+                    )}
+                    {state.results.allResults[format]?.errors && (
+                      <Button
+                        onClick={() => downloadFile(format, "errors")}
+                        variant="outlined"
+                        className="w-full justify-center text-white 
+bg-gradient-to-r from-amber-600 to-red-500 
+hover:from-amber-500 hover:to-red-400 
+transition-all duration-300 
+shadow-lg hover:shadow-red-500/30 
+rounded-xl"
+                      >
+                        Errors
+                      </Button>
+                    )}
+                    {state.results.allResults[format]?.comparison && (
+                      <Button
+                        onClick={() => downloadFile(format, "comparison")}
+                        variant="outlined"
+                        className="w-full justify-center text-white 
+bg-gradient-to-r from-sky-600 to-indigo-500 
+hover:from-sky-500 hover:to-indigo-400 
+transition-all duration-300 
+shadow-lg hover:shadow-indigo-500/30 
+rounded-xl"
+                      >
+                        Comparison
+                      </Button>
+                    )}
+                    {state.results.allResults[format]?.metadata && (
+                      <Button
+                        onClick={() => downloadFile(format, "metadata")}
+                        variant="outlined"
+                        className="w-full justify-center text-white 
+bg-gradient-to-r from-zinc-600 to-slate-500 
+hover:from-zinc-500 hover:to-slate-400 
+transition-all duration-300 
+shadow-lg hover:shadow-slate-500/30 
+rounded-xl"
+                      >
+                        Metadata
+                      </Button>
+                    )}
                   </div>
                 </div>
               ))}
@@ -0,0 +1,398 @@
+"use client";
+
+import { NORMALIZATION_METHODS } from "@/lib/airDensity";
+import { BINNING_MODES } from "@/lib/binning";
+import { AEP_DISTRIBUTIONS } from "@/lib/aep";
+import { TRANSIENT_MODES } from "@/lib/timeWindow";
+import { WIND_SPEED_LABELS, WIND_SPEED_METHODS } from "@/lib/windSpeed";
+
+const inputClass =
+  "w-full bg-zinc-800/70 border border-zinc-700 rounded-lg px-3 py-1.5 text-sm text-zinc-100 focus:outline-none focus:border-emerald-500/60";
+
+const Field = ({ label, unit, children }) => (
+  <label className="block">
+    <div className="flex items-center justify-between mb-1">
+      <span className="text-xs text-zinc-400">{label}</span>
+      {unit && <span className="text-xs text-zinc-500">{unit}</span>}
+    </div>
+    {children}
+  </label>
+);
+
+export default function ParametersPanel({
+  state,
+  collapsed,
+  onToggle,
+  onChange,
+  onFrequencyTableUpload,
+  onReferenceCurveUpload,
+  disabled,
+  Icon,
+}) {
+  return (
+    <div className="px-4 py-3 border-b-2 border-emerald-500/20 bg-zinc-900/50 flex-shrink-0">
+      <button
+        onClick={onToggle}
+        className="flex items-center gap-2 text-sm font-semibold text-emerald-300 hover:text-emerald-200"
+      >
+        <Icon
+          path={collapsed ? "M9 5l7 7-7 7" : "M19 9l-7 7-7-7"}
+          className="w-4 h-4"
+        />
+        Parameters
+      </button>
+
+      {!collapsed && (
+        <div className="mt-3 space-y-3 max-h-[45vh] overflow-y-auto pr-1">
+          <Field label="Site Air Density" unit="kg/m³">
+            <input
+              type="number"
+              step="0.001"
+              min="0"
+              value={state.airDensity}
+              disabled={disabled}
+              onChange={(e) => onChange({ airDensity: e.target.value })}
+              className={inputClass}
+            />
+          </Field>
+
+          <Field label="Simulation Air Density" unit="kg/m³">
+            <input
+              type="number"
+              step="0.001"
+              min="0"
+              value={state.simulationDensity}
+              disabled={disabled}
+              onChange={(e) => onChange({ simulationDensity: e.target.value })}
+              className={inputClass}
+            />
+          </Field>
+
+          <Field label="Density Normalization">
+            <select
+              value={state.normalizationMethod}
+              disabled={disabled}
+              onChange={(e) =>
+                onChange({ normalizationMethod: e.target.value })
+              }
+              className={inputClass}
+            >
+              <option value={NORMALIZATION_METHODS.windSpeed}>
+                Wind speed (pitch-regulated)
+              </option>
+              <option value={NORMALIZATION_METHODS.power}>
+                Power (stall-regulated)
+              </option>
+            </select>
+          </Field>
+
+          <Field label="Hub Wind Speed">
+            <select
+              value={state.windSpeedMethod}
+              disabled={disabled}
+              onChange={(e) => onChange({ windSpeedMethod: e.target.value })}
+              className={inputClass}
+            >
+              {Object.values(WIND_SPEED_METHODS).map((method) => (
+                <option key={method} value={method}>
+                  {WIND_SPEED_LABELS[method]}
+                </option>
+              ))}
+            </select>
+          </Field>
+
+          {state.windSpeedMethod === WIND_SPEED_METHODS.channel && (
+            <Field label="Wind Speed Channel">
+              <input
+                type="text"
+                list="wind-speed-channels"
+                value={state.windSpeedChannel}
+                disabled={disabled}
+                onChange={(e) => onChange({ windSpeedChannel: e.target.value })}
+                className={inputClass}
+              />
+              <datalist id="wind-speed-channels">
+                {state.availableChannels.map((name) => (
+                  <option key={name} value={name} />
+                ))}
+              </datalist>
+            </Field>
+          )}
+
+          <Field label="Power Curve Grouping">
+            <select
+              value={state.binningMode}
+              disabled={disabled}
+              onChange={(e) => onChange({ binningMode: e.target.value })}
+              className={inputClass}
+            >
+              <option value={BINNING_MODES.filename}>
+                Filename prefix (before _seed)
+              </option>
+              <option value={BINNING_MODES.windSpeed}>
+                Wind speed bins (method of bins)
+              </option>
+            </select>
+          </Field>
+
+          {state.binningMode === BINNING_MODES.windSpeed && (
+            <Field label="Bin Width" unit="m/s">
+              <input
+                type="number"
+                step="0.1"
+                min="0.1"
+                value={state.binWidth}
+                disabled={disabled}
+                onChange={(e) => onChange({ binWidth: e.target.value })}
+                className={inputClass}
+              />
+            </Field>
+          )}
+
+          <div className="grid grid-cols-2 gap-2">
+            <Field
+              label="Transient Cut-off"
+              unit={
+                state.transientMode === TRANSIENT_MODES.fraction ? "0-1" : "s"
+              }
+            >
+              <input
+                type="number"
+                step={
+                  state.transientMode === TRANSIENT_MODES.fraction
+                    ? "0.05"
+                    : "1"
+                }
+                min="0"
+                max={
+                  state.transientMode === TRANSIENT_MODES.fraction
+                    ? "0.99"
+                    : undefined
+                }
+                value={state.transientCutoff}
+                disabled={disabled}
+                onChange={(e) => onChange({ transientCutoff: e.target.value })}
+                className={inputClass}
+              />
+            </Field>
+            <Field label="Cut-off As">
+              <select
+                value={state.transientMode}
+                disabled={disabled}
+                onChange={(e) => onChange({ transientMode: e.target.value })}
+                className={inputClass}
+              >
+                <option value={TRANSIENT_MODES.seconds}>Seconds</option>
+                <option value={TRANSIENT_MODES.fraction}>
+                  Fraction of length
+                </option>
+              </select>
+            </Field>
+          </div>
+
+          <Field label="Window End (optional)" unit="s">
+            <input
+              type="number"
+              step="1"
+              min="0"
+              placeholder="End of file"
+              value={state.windowEnd}
+              disabled={disabled}
+              onChange={(e) => onChange({ windowEnd: e.target.value })}
+              className={inputClass}
+            />
+          </Field>
+
+          <Field label="AEP Wind Distribution">
+            <select
+              value={state.aepDistribution}
+              disabled={disabled}
+              onChange={(e) => onChange({ aepDistribution: e.target.value })}
+              className={inputClass}
+            >
+              <option value={AEP_DISTRIBUTIONS.none}>Off</option>
+              <option value={AEP_DISTRIBUTIONS.rayleigh}>Rayleigh</option>
+              <option value={AEP_DISTRIBUTIONS.weibull}>Weibull</option>
+              <option value={AEP_DISTRIBUTIONS.table}>Frequency table</option>
+            </select>
+          </Field>
+
+          {state.aepDistribution === AEP_DISTRIBUTIONS.rayleigh && (
+            <Field label="Mean Wind Speed" unit="m/s">
+              <input
+                type="number"
+                step="0.1"
+                min="0.1"
+                value={state.aepMeanWindSpeed}
+                disabled={disabled}
+                onChange={(e) => onChange({ aepMeanWindSpeed: e.target.value })}
+                className={inputClass}
+              />
+            </Field>
+          )}
+
+          {state.aepDistribution === AEP_DISTRIBUTIONS.weibull && (
+            <div className="grid grid-cols-2 gap-2">
+              <Field label="Weibull A" unit="m/s">
+                <input
+                  type="number"
+                  step="0.1"
+                  min="0.1"
+                  value={state.aepWeibullA}
+                  disabled={disabled}
+                  onChange={(e) => onChange({ aepWeibullA: e.target.value })}
+                  className={inputClass}
+                />
+              </Field>
+              <Field label="Weibull k">
+                <input
+                  type="number"
+                  step="0.05"
+                  min="0.1"
+                  value={state.aepWeibullK}
+                  disabled={disabled}
+                  onChange={(e) => onChange({ aepWeibullK: e.target.value })}
+                  className={inputClass}
+                />
+              </Field>
+            </div>
+          )}
+
+          {state.aepDistribution === AEP_DISTRIBUTIONS.table && (
+            <Field label="Frequency Table" unit="CSV / TXT / XLSX">
+              <input
+                type="file"
+                accept=".csv,.txt,.tab,.xlsx,.xls"
+                disabled={disabled}
+                onChange={onFrequencyTableUpload}
+                className="w-full text-xs text-zinc-400 file:mr-2 file:px-2 file:py-1 file:rounded file:border-0 file:bg-zinc-700 file:text-zinc-100"
+              />
+              {state.aepFrequencyFileName && (
+                <div className="mt-1 text-xs text-emerald-400 truncate">
+                  ✓ {state.aepFrequencyFileName}
+                </div>
+              )}
+            </Field>
+          )}
+
+          {state.aepDistribution !== AEP_DISTRIBUTIONS.none && (
+            <div className="grid grid-cols-2 gap-2">
+              <Field label="Availability" unit="%">
+                <input
+                  type="number"
+                  step="0.1"
+                  min="0"
+                  max="100"
+                  value={state.aepAvailability}
+                  disabled={disabled}
+                  onChange={(e) =>
+                    onChange({ aepAvailability: e.target.value })
+                  }
+                  className={inputClass}
+                />
+              </Field>
+              <Field label="Losses" unit="%">
+                <input
+                  type="number"
+                  step="0.1"
+                  min="0"
+                  max="100"
+                  value={state.aepLosses}
+                  disabled={disabled}
+                  onChange={(e) => onChange({ aepLosses: e.target.value })}
+                  className={inputClass}
+                />
+              </Field>
+            </div>
+          )}
+
+          <Field label="Reference Power Curve" unit="CSV / TXT / XLSX">
+            <input
+              type="file"
+              accept=".csv,.txt,.tab,.xlsx,.xls"
+              disabled={disabled}
+              onChange={onReferenceCurveUpload}
+              className="w-full text-xs text-zinc-400 file:mr-2 file:px-2 file:py-1 file:rounded file:border-0 file:bg-zinc-700 file:text-zinc-100"
+            />
+            {state.referenceCurveFileName && (
+              <div className="mt-1 flex items-center justify-between gap-2 text-xs">
+                <span className="text-emerald-400 truncate">
+                  ✓ {state.referenceCurveFileName}
+                </span>
+                <button
+                  type="button"
+                  disabled={disabled}
+                  onClick={() =>
+                    onChange({
+                      referenceCurve: null,
+                      referenceCurveFileName: "",
+                    })
+                  }
+                  className="text-zinc-500 hover:text-zinc-200"
+                >
+                  ✕
+                </button>
+              </div>
+            )}
+          </Field>
+
+          {state.referenceCurve && (
+            <Field label="Deviation Tolerance" unit="% of reference">
+              <input
+                type="number"
+                step="0.5"
+                min="0"
+                value={state.referenceTolerance}
+                disabled={disabled}
+                onChange={(e) =>
+                  onChange({ referenceTolerance: e.target.value })
+                }
+                className={inputClass}
+              />
+            </Field>
+          )}
+
+          <div className="grid grid-cols-2 gap-2">
+            <Field label="Rotor Diameter" unit="m">
+              <input
+                type="number"
+                step="0.1"
+                min="0"
+                placeholder="for WTG"
+                value={state.rotorDiameter}
+                disabled={disabled}
+                onChange={(e) => onChange({ rotorDiameter: e.target.value })}
+                className={inputClass}
+              />
+            </Field>
+            <Field label="Hub Height" unit="m">
+              <input
+                type="number"
+                step="0.1"
+                min="0"
+                placeholder="for WTG"
+                value={state.hubHeight}
+                disabled={disabled}
+                onChange={(e) => onChange({ hubHeight: e.target.value })}
+                className={inputClass}
+              />
+            </Field>
+          </div>
+
+          <label className="flex items-start gap-2 pt-2 border-t border-zinc-700/50 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={state.strictMode}
+              disabled={disabled}
+              onChange={(e) => onChange({ strictMode: e.target.checked })}
+              className="mt-0.5 w-4 h-4 text-emerald-500 bg-zinc-700 border-zinc-600 rounded"
+            />
+            <span className="text-xs text-zinc-400">
+              Strict mode - fail the run if any file fails
+            </span>
+          </label>
+        </div>
+      )}
+    </div>
+  );
+}
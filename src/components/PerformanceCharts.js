@@ -0,0 +1,131 @@
+"use client";
+
+import { useMemo, useRef, useState } from "react";
+import LineChart from "./LineChart";
+import { CHART_X_COLUMN, chartSeries } from "@/lib/charts";
+import { exportPng, exportSvg } from "@/lib/chartExport";
+
+const CURVE_COLOR = "#34d399";
+const SEED_COLOR = "#60a5fa";
+
+const exportButtonClass =
+  "px-2 py-0.5 rounded text-xs bg-zinc-800 border border-zinc-700 text-zinc-400 hover:text-zinc-100";
+
+// File-name friendly version of a column name: "Power(kW)" -> "power_kw"
+const slug = (column) =>
+  column
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_|_$/g, "");
+
+function ChartCard({
+  column,
+  unit,
+  powerCurve,
+  individual,
+  selected,
+  onSelect,
+}) {
+  const svgRef = useRef(null);
+  const { curve, points } = useMemo(
+    () => chartSeries(powerCurve, individual, column),
+    [powerCurve, individual, column],
+  );
+  const series = useMemo(
+    () => [
+      { id: "seeds", type: "scatter", color: SEED_COLOR, points },
+      { id: "curve", type: "line", color: CURVE_COLOR, points: curve },
+    ],
+    [curve, points],
+  );
+  if (!curve.length && !points.length) return null;
+
+  const baseName = `chart_${slug(column)}`;
+  return (
+    <div className="bg-zinc-900/50 border border-zinc-700/50 rounded-lg p-3">
+      <div className="flex items-center justify-between mb-2">
+        <span className="text-sm font-medium text-zinc-200">{column}</span>
+        <div className="flex gap-1">
+          <button
+            onClick={() => exportSvg(svgRef.current, baseName)}
+            className={exportButtonClass}
+          >
+            SVG
+          </button>
+          <button
+            onClick={() => exportPng(svgRef.current, baseName)}
+            className={exportButtonClass}
+          >
+            PNG
+          </button>
+        </div>
+      </div>
+      <LineChart
+        series={series}
+        xLabel="Wind speed [m/s]"
+        yLabel={unit ? `${column} [${unit}]` : column}
+        svgRef={svgRef}
+        selectedLabel={selected}
+        onPointClick={(point, s) => s.id === "seeds" && onSelect(point.label)}
+      />
+    </div>
+  );
+}
+
+/**
+ * One chart per mapped channel against wind speed: per-file means as
+ * scatter points behind the averaged power curve
+ */
+export default function PerformanceCharts({
+  powerCurve,
+  individual,
+  columns,
+  units = {},
+}) {
+  const [selected, setSelected] = useState(null);
+  const record = selected
+    ? individual.find((row) => row.FileName === selected)
+    : null;
+
+  return (
+    <div className="bg-zinc-800/30 border border-zinc-700/50 rounded-lg p-4">
+      <div className="flex items-center justify-between mb-3 gap-4">
+        <h3 className="text-sm font-semibold text-zinc-200">
+          Performance Charts
+          <span className="ml-2 text-xs font-normal text-zinc-400">
+            <span style={{ color: CURVE_COLOR }}>●</span> power curve{" "}
+            <span style={{ color: SEED_COLOR }}>●</span> individual files
+          </span>
+        </h3>
+        {record && (
+          <div className="text-xs text-zinc-300 truncate">
+            Selected:{" "}
+            <span className="font-mono text-emerald-300">
+              {record.FileName}
+            </span>{" "}
+            · {record.WindSpeedGroup} · {record[CHART_X_COLUMN].toFixed(2)} m/s
+            <button
+              onClick={() => setSelected(null)}
+              className="ml-2 text-zinc-500 hover:text-zinc-200"
+            >
+              ✕
+            </button>
+          </div>
+        )}
+      </div>
+      <div className="grid grid-cols-1 xl:grid-cols-2 gap-4">
+        {columns.map((column) => (
+          <ChartCard
+            key={column}
+            column={column}
+            unit={units[column]}
+            powerCurve={powerCurve}
+            individual={individual}
+            selected={selected}
+            onSelect={setSelected}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,100 @@
+"use client";
+
+import { useState } from "react";
+
+const smallButtonClass =
+  "px-2 py-1 rounded text-xs bg-zinc-800 border border-zinc-700 text-zinc-300 hover:text-zinc-100 disabled:opacity-40";
+
+/**
+ * Named presets of all processing settings: pick one to apply it, save the
+ * current settings under a name, or move presets around as JSON files
+ */
+export default function PresetManager({
+  presets,
+  presetName,
+  onApply,
+  onSave,
+  onDelete,
+  onExport,
+  onImport,
+  disabled,
+}) {
+  const [name, setName] = useState("");
+
+  return (
+    <div className="px-4 py-3 border-b-2 border-emerald-500/20 bg-zinc-900/50 flex-shrink-0 space-y-2">
+      <div className="flex items-center gap-2">
+        <span className="text-xs font-semibold text-emerald-300 shrink-0">
+          Preset
+        </span>
+        <select
+          value={presetName}
+          disabled={disabled}
+          onChange={(e) => {
+            const preset = presets.find((p) => p.name === e.target.value);
+            if (preset) onApply(preset);
+          }}
+          className="flex-1 min-w-0 bg-zinc-800/70 border border-zinc-700 rounded-lg px-2 py-1 text-xs text-zinc-100"
+        >
+          <option value="">
+            {presets.length ? "Choose..." : "None saved"}
+          </option>
+          {presets.map((p) => (
+            <option key={p.name} value={p.name}>
+              {p.name}
+            </option>
+          ))}
+        </select>
+        <button
+          onClick={() => onDelete(presetName)}
+          disabled={disabled || !presets.some((p) => p.name === presetName)}
+          className={smallButtonClass}
+          title="Delete the selected preset"
+        >
+          ✕
+        </button>
+      </div>
+
+      <div className="flex items-center gap-1">
+        <input
+          type="text"
+          placeholder={presetName || "Preset name"}
+          value={name}
+          disabled={disabled}
+          onChange={(e) => setName(e.target.value)}
+          className="flex-1 min-w-0 bg-zinc-800/70 border border-zinc-700 rounded-lg px-2 py-1 text-xs text-zinc-100 focus:outline-none focus:border-emerald-500/60"
+        />
+        <button
+          onClick={() => {
+            onSave(name.trim() || presetName);
+            setName("");
+          }}
+          disabled={disabled || !(name.trim() || presetName)}
+          className={smallButtonClass}
+        >
+          Save
+        </button>
+        <button
+          onClick={onExport}
+          disabled={disabled}
+          className={smallButtonClass}
+        >
+          Export
+        </button>
+        <label className={`${smallButtonClass} cursor-pointer`}>
+          Import
+          <input
+            type="file"
+            accept=".json,application/json"
+            disabled={disabled}
+            onChange={(e) => {
+              onImport(e);
+              e.target.value = "";
+            }}
+            className="hidden"
+          />
+        </label>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,154 @@
+"use client";
+
+import { useMemo, useRef } from "react";
+import LineChart from "./LineChart";
+import { formatValue } from "@/lib/charts";
+import { exportPng, exportSvg } from "@/lib/chartExport";
+
+const SIMULATED_COLOR = "#34d399";
+const REFERENCE_COLOR = "#fbbf24";
+const FLAGGED_COLOR = "#ef4444";
+const FLAGGED_LABEL = "Outside tolerance";
+
+const exportButtonClass =
+  "px-2 py-0.5 rounded text-xs bg-zinc-800 border border-zinc-700 text-zinc-400 hover:text-zinc-100";
+
+// The compared (density-normalized when present) point of a power curve row
+const simulatedPoint = (row) => ({
+  x: row["WindSpeedNorm(ms)"] ?? row["WindSpeed(ms)"],
+  y: row["PowerNorm(kW)"] ?? row["Power(kW)"],
+  label: row.WindSpeedGroup,
+});
+
+/**
+ * Simulated power curve against the imported reference curve, with the
+ * bins outside the deviation tolerance marked
+ */
+export default function ReferenceCurveChart({ powerCurve, reference }) {
+  const svgRef = useRef(null);
+  const flagged = useMemo(
+    () => powerCurve.filter((row) => row.WithinTolerance === "no"),
+    [powerCurve],
+  );
+  const series = useMemo(
+    () => [
+      {
+        id: "flagged",
+        type: "scatter",
+        color: FLAGGED_COLOR,
+        // Drawn enlarged through selectedLabel so the curve does not hide them
+        points: flagged.map((row) => ({
+          ...simulatedPoint(row),
+          label: FLAGGED_LABEL,
+        })),
+      },
+      {
+        id: "reference",
+        type: "line",
+        color: REFERENCE_COLOR,
+        points: reference.curve.map((r) => ({
+          x: r.v,
+          y: r.p,
+          label: "Reference",
+        })),
+      },
+      {
+        id: "simulated",
+        type: "line",
+        color: SIMULATED_COLOR,
+        points: powerCurve
+          .map(simulatedPoint)
+          .filter((p) => Number.isFinite(p.x) && Number.isFinite(p.y))
+          .sort((a, b) => a.x - b.x),
+      },
+    ],
+    [powerCurve, reference, flagged],
+  );
+
+  return (
+    <div className="bg-zinc-800/30 border border-zinc-700/50 rounded-lg p-4">
+      <div className="flex items-center justify-between mb-3 gap-4">
+        <h3 className="text-sm font-semibold text-zinc-200">
+          Reference Curve
+          <span className="ml-2 text-xs font-normal text-zinc-400">
+            <span style={{ color: SIMULATED_COLOR }}>●</span> simulated{" "}
+            <span style={{ color: REFERENCE_COLOR }}>●</span>{" "}
+            {reference.fileName} <span style={{ color: FLAGGED_COLOR }}>●</span>{" "}
+            outside ±{reference.tolerance}%
+          </span>
+        </h3>
+        <div className="flex gap-1">
+          <button
+            onClick={() => exportSvg(svgRef.current, "chart_reference")}
+            className={exportButtonClass}
+          >
+            SVG
+          </button>
+          <button
+            onClick={() => exportPng(svgRef.current, "chart_reference")}
+            className={exportButtonClass}
+          >
+            PNG
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 xl:grid-cols-2 gap-4">
+        <div className="bg-zinc-900/50 border border-zinc-700/50 rounded-lg p-3">
+          <LineChart
+            series={series}
+            xLabel="Wind speed [m/s]"
+            yLabel="Power [kW]"
+            svgRef={svgRef}
+            selectedLabel={FLAGGED_LABEL}
+          />
+        </div>
+
+        <div className="text-xs">
+          {flagged.length ? (
+            <table className="w-full">
+              <thead className="text-zinc-400 text-left">
+                <tr>
+                  <th className="py-1 pr-3 font-medium">Group</th>
+                  <th className="py-1 pr-3 font-medium text-right">
+                    Power [kW]
+                  </th>
+                  <th className="py-1 pr-3 font-medium text-right">
+                    Reference [kW]
+                  </th>
+                  <th className="py-1 font-medium text-right">Deviation</th>
+                </tr>
+              </thead>
+              <tbody className="text-zinc-300">
+                {flagged.map((row) => (
+                  <tr
+                    key={row.WindSpeedGroup}
+                    className="border-t border-zinc-700/50"
+                  >
+                    <td className="py-1 pr-3 font-mono">
+                      {row.WindSpeedGroup}
+                    </td>
+                    <td className="py-1 pr-3 text-right">
+                      {formatValue(simulatedPoint(row).y)}
+                    </td>
+                    <td className="py-1 pr-3 text-right">
+                      {formatValue(row["RefPower(kW)"])}
+                    </td>
+                    <td className="py-1 text-right text-red-300">
+                      {row["PowerDeviation(%)"] > 0 ? "+" : ""}
+                      {formatValue(row["PowerDeviation(%)"])}%
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <p className="text-emerald-400">
+              All bins within ±{reference.tolerance}% of the reference curve.
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
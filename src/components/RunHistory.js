@@ -0,0 +1,137 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import {
+  deleteRun,
+  historyAvailable,
+  listRuns,
+  updateRun,
+} from "@/lib/runHistory";
+
+const formatBytes = (bytes) => {
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  let i = 0;
+  while (bytes >= 1024 && i < units.length - 1) {
+    bytes /= 1024;
+    i++;
+  }
+  return `${bytes.toFixed(i ? 1 : 0)} ${units[i]}`;
+};
+
+const inputClass =
+  "w-full bg-zinc-900/50 border border-zinc-700 rounded-lg px-2 py-1 text-sm text-zinc-100 focus:outline-none focus:border-emerald-500/60";
+
+/**
+ * Saved runs: reopen one (its results and exports come back without the
+ * input files), rename, annotate or delete it
+ */
+export default function RunHistory({ onOpen, onClose, disabled }) {
+  const [runs, setRuns] = useState(null);
+  const [error, setError] = useState(
+    historyAvailable() ? null : "This browser has no IndexedDB",
+  );
+
+  useEffect(() => {
+    if (!historyAvailable()) return;
+    listRuns()
+      .then(setRuns)
+      .catch((e) => setError(e.message));
+  }, []);
+
+  // Edit locally, save when the field loses focus
+  const edit = (id, changes) =>
+    setRuns((current) =>
+      current.map((run) => (run.id === id ? { ...run, ...changes } : run)),
+    );
+  const save = (id, changes) =>
+    updateRun(id, changes).catch((e) => setError(e.message));
+
+  const remove = async (run) => {
+    if (!confirm(`Delete "${run.name}" from the history?`)) return;
+    try {
+      await deleteRun(run.id);
+      setRuns((current) => current.filter((r) => r.id !== run.id));
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  return (
+    <div className="bg-zinc-800/50 border border-zinc-700 rounded-xl p-6 shadow-xl backdrop-blur-sm">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-zinc-100">Run History</h3>
+          <p className="text-xs text-zinc-400">
+            Finished runs are saved in this browser with their settings and
+            records.
+          </p>
+        </div>
+        <button
+          onClick={onClose}
+          className="px-2 py-1 rounded text-xs text-zinc-500 hover:text-zinc-200"
+        >
+          ✕
+        </button>
+      </div>
+
+      {error && <div className="mb-3 text-xs text-red-400">{error}</div>}
+      {runs?.length === 0 && (
+        <p className="text-sm text-zinc-400">No saved runs yet.</p>
+      )}
+
+      <div className="space-y-3 max-h-[60vh] overflow-y-auto">
+        {runs?.map((run) => (
+          <div
+            key={run.id}
+            className="bg-zinc-900/50 border border-zinc-700/50 rounded-lg p-3"
+          >
+            <div className="flex items-center gap-2 mb-2">
+              <input
+                type="text"
+                value={run.name}
+                onChange={(e) => edit(run.id, { name: e.target.value })}
+                onBlur={(e) => save(run.id, { name: e.target.value })}
+                className={`${inputClass} font-medium`}
+              />
+              <button
+                onClick={() => onOpen(run.id)}
+                disabled={disabled}
+                className="px-3 py-1 rounded-lg text-xs font-medium bg-emerald-600 text-white hover:bg-emerald-500 disabled:opacity-50"
+              >
+                Open
+              </button>
+              <button
+                onClick={() => remove(run)}
+                disabled={disabled}
+                className="px-3 py-1 rounded-lg text-xs bg-zinc-700 text-zinc-200 hover:bg-red-600 disabled:opacity-50"
+              >
+                Delete
+              </button>
+            </div>
+            <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs text-zinc-400 mb-2">
+              <span>{new Date(run.createdAt).toLocaleString()}</span>
+              <span>
+                {run.files} files · {formatBytes(run.totalBytes)}
+              </span>
+              <span>{run.powerCurvePoints} power curve points</span>
+              {run.netMWh !== null && (
+                <span>Net AEP {run.netMWh.toFixed(1)} MWh/yr</span>
+              )}
+              <span>{run.formats.join(", ").toUpperCase()}</span>
+              {run.comparison && <span>baseline vs. variant</span>}
+              {run.partial && <span className="text-amber-400">partial</span>}
+            </div>
+            <textarea
+              rows={2}
+              placeholder="Notes"
+              value={run.note}
+              onChange={(e) => edit(run.id, { note: e.target.value })}
+              onBlur={(e) => save(run.id, { note: e.target.value })}
+              className={`${inputClass} text-xs resize-y`}
+            />
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
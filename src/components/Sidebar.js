@@ -1,12 +1,29 @@
 "use client";
 
+import ParametersPanel from "./ParametersPanel";
+import PresetManager from "./PresetManager";
+
 export default function Sidebar({
   files,
   selectedFiles,
   sidebarCollapsed,
   filesCollapsed,
+  parametersCollapsed,
+  parameters,
+  processing,
   onToggleSidebar,
   onToggleFiles,
+  onToggleParameters,
+  onParametersChange,
+  onFrequencyTableUpload,
+  onReferenceCurveUpload,
+  presets,
+  presetName,
+  onApplyPreset,
+  onSavePreset,
+  onDeletePreset,
+  onExportPreset,
+  onImportPreset,
   onSelectAllToggle,
   renderFileItem,
   Icon,
@@ -56,6 +73,28 @@ export default function Sidebar({
         </button>
       </div>
 
+      <PresetManager
+        presets={presets}
+        presetName={presetName}
+        onApply={onApplyPreset}
+        onSave={onSavePreset}
+        onDelete={onDeletePreset}
+        onExport={onExportPreset}
+        onImport={onImportPreset}
+        disabled={processing}
+      />
+
+      <ParametersPanel
+        state={parameters}
+        collapsed={parametersCollapsed}
+        onToggle={onToggleParameters}
+        onChange={onParametersChange}
+        onFrequencyTableUpload={onFrequencyTableUpload}
+        onReferenceCurveUpload={onReferenceCurveUpload}
+        disabled={processing}
+        Icon={Icon}
+      />
+
       {/* Files Section */}
       {files.length > 0 && (
         <div className="flex-1 flex flex-col overflow-hidden min-h-0">
@@ -0,0 +1,335 @@
+"use client";
+
+import { useCallback, useEffect, useRef, useState } from "react";
+import LineChart from "./LineChart";
+import { readFileChannels } from "@/lib/channels";
+import {
+  CHART_SIZE,
+  formatValue,
+  panRange,
+  pointerToX,
+  zoomRange,
+} from "@/lib/charts";
+
+// Channels plotted first when a file has them
+const DEFAULT_TRACES = ["GenPwr", "RotSpeed", "BldPitch1", "WindHubVelX"];
+const MAX_TRACES = 4;
+const TRACE_COLORS = ["#34d399", "#60a5fa", "#f472b6", "#fbbf24"];
+const ZOOM_STEP = 1.25;
+const REFINE_DELAY = 250; // ms after the last zoom/pan before re-reading
+
+function defaultTraces(names) {
+  const picked = DEFAULT_TRACES.filter((name) => names.includes(name));
+  return picked.length
+    ? picked
+    : names.filter((name) => name !== "Time").slice(0, 2);
+}
+
+/**
+ * Channel statistics and decimated time traces of the file clicked in the
+ * sidebar. The file is parsed in its own worker; zooming or panning
+ * re-reads only the visible time span for the plotted channels.
+ */
+export default function TimeSeriesPreview({ file, onClose }) {
+  const [info, setInfo] = useState(null); // { names, units, timeRange, stats }
+  // Decimated points per channel and the time span they were read for
+  const [traces, setTraces] = useState({ range: null, data: {} });
+  const [selected, setSelected] = useState([]);
+  const [view, setView] = useState(null); // [start, end] or null = all
+  const [filter, setFilter] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const workerRef = useRef(null);
+  const pending = useRef(new Map());
+  const nextId = useRef(0);
+  const chartsRef = useRef(null);
+  const drag = useRef(null);
+
+  const request = useCallback(
+    (options) => {
+      const worker = workerRef.current;
+      if (!worker) return Promise.reject(new Error("Preview closed"));
+      const id = nextId.current++;
+      return new Promise((resolve, reject) => {
+        pending.current.set(id, { resolve, reject });
+        worker.postMessage({ id, file, fileName: file.name, options });
+      });
+    },
+    [file],
+  );
+
+  // One worker per previewed file - switching files drops stale work
+  useEffect(() => {
+    const worker = new Worker(
+      new URL("../lib/preview.worker.js", import.meta.url),
+      { type: "module" },
+    );
+    const waiting = pending.current;
+    worker.onmessage = ({ data }) => {
+      const task = waiting.get(data.id);
+      if (!task) return;
+      waiting.delete(data.id);
+      if (data.success) task.resolve(data.result);
+      else task.reject(new Error(data.error));
+    };
+    workerRef.current = worker;
+
+    let cancelled = false;
+    readFileChannels(file)
+      .then(({ names }) => {
+        const initial = defaultTraces(names);
+        setSelected(initial);
+        return request({ channels: initial, stats: true });
+      })
+      .then((result) => {
+        if (cancelled) return;
+        setInfo(result);
+        setTraces({ range: null, data: result.traces });
+      })
+      .catch((e) => !cancelled && setError(e.message))
+      .finally(() => !cancelled && setLoading(false));
+
+    return () => {
+      cancelled = true;
+      worker.terminate();
+      workerRef.current = null;
+      waiting.clear();
+    };
+  }, [file, request]);
+
+  // Re-read the visible span once zooming/panning settles
+  useEffect(() => {
+    if (!info || !selected.length) return;
+    const current =
+      String(traces.range) === String(view) &&
+      selected.every((name) => traces.data[name]);
+    if (current) return;
+
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      setLoading(true);
+      request({ channels: selected, range: view, stats: false })
+        .then(
+          (result) =>
+            !cancelled && setTraces({ range: view, data: result.traces }),
+        )
+        .catch((e) => !cancelled && setError(e.message))
+        .finally(() => !cancelled && setLoading(false));
+    }, REFINE_DELAY);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [info, selected, view, traces, request]);
+
+  // Wheel zoom needs a non-passive listener to keep the page from scrolling
+  useEffect(() => {
+    const el = chartsRef.current;
+    if (!el || !info) return;
+    const onWheel = (event) => {
+      const svg = event.target.closest("svg");
+      if (!svg) return;
+      event.preventDefault();
+      const full = info.timeRange;
+      setView((current) => {
+        const domain = current || full;
+        const center = pointerToX(
+          event.clientX,
+          svg.getBoundingClientRect(),
+          domain,
+        );
+        const factor = event.deltaY > 0 ? ZOOM_STEP : 1 / ZOOM_STEP;
+        return zoomRange(current, full, center, factor);
+      });
+    };
+    el.addEventListener("wheel", onWheel, { passive: false });
+    return () => el.removeEventListener("wheel", onWheel);
+  }, [info]);
+
+  const onPointerDown = (event) => {
+    const svg = event.target.closest("svg");
+    if (!svg || !view) return;
+    event.currentTarget.setPointerCapture(event.pointerId);
+    drag.current = {
+      startX: event.clientX,
+      view,
+      width: svg.getBoundingClientRect().width,
+    };
+  };
+
+  const onPointerMove = (event) => {
+    const d = drag.current;
+    if (!d) return;
+    const { width, margin } = CHART_SIZE;
+    const plotPx =
+      (d.width * (width - margin.left - margin.right)) / width || 1;
+    const delta =
+      (-(event.clientX - d.startX) / plotPx) * (d.view[1] - d.view[0]);
+    setView(panRange(d.view, info.timeRange, delta));
+  };
+
+  const toggleTrace = (name) =>
+    setSelected((current) =>
+      current.includes(name)
+        ? current.filter((n) => n !== name)
+        : [...current, name].slice(-MAX_TRACES),
+    );
+
+  const zoomButton = (factor) => {
+    const full = info.timeRange;
+    const [a, b] = view || full;
+    setView(zoomRange(view, full, (a + b) / 2, factor));
+  };
+
+  const unitOf = (name) => info?.units[info.names.indexOf(name)] || "";
+  const rows = (info?.stats || []).filter((row) =>
+    row.name.toLowerCase().includes(filter.toLowerCase()),
+  );
+
+  return (
+    <div className="bg-zinc-800/50 border border-zinc-700 rounded-xl p-6 shadow-xl backdrop-blur-sm">
+      <div className="flex items-center justify-between mb-4 gap-4">
+        <div className="min-w-0">
+          <h3 className="text-lg font-semibold text-zinc-100 truncate">
+            {file.name}
+          </h3>
+          <p className="text-xs text-zinc-400">
+            {info
+              ? `${info.names.length} channels · t = ${formatValue(info.timeRange[0])} to ${formatValue(info.timeRange[1])} s`
+              : "Reading..."}
+            {loading && info && " · updating..."}
+          </p>
+        </div>
+        <div className="flex gap-1 shrink-0">
+          {info && (
+            <>
+              <button
+                onClick={() => zoomButton(1 / ZOOM_STEP)}
+                className="px-2 py-1 rounded text-xs bg-zinc-800 border border-zinc-700 text-zinc-300 hover:text-zinc-100"
+              >
+                Zoom in
+              </button>
+              <button
+                onClick={() => zoomButton(ZOOM_STEP)}
+                disabled={!view}
+                className="px-2 py-1 rounded text-xs bg-zinc-800 border border-zinc-700 text-zinc-300 hover:text-zinc-100 disabled:opacity-40"
+              >
+                Zoom out
+              </button>
+              <button
+                onClick={() => setView(null)}
+                disabled={!view}
+                className="px-2 py-1 rounded text-xs bg-zinc-800 border border-zinc-700 text-zinc-300 hover:text-zinc-100 disabled:opacity-40"
+              >
+                Reset
+              </button>
+            </>
+          )}
+          <button
+            onClick={onClose}
+            className="px-2 py-1 rounded text-xs text-zinc-500 hover:text-zinc-200"
+          >
+            ✕
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="mb-3 text-xs text-red-400">{error}</div>}
+
+      {info && (
+        <div
+          ref={chartsRef}
+          className={`space-y-2 mb-4 ${view ? "cursor-grab" : ""}`}
+          onPointerDown={onPointerDown}
+          onPointerMove={onPointerMove}
+          onPointerUp={() => (drag.current = null)}
+          onPointerCancel={() => (drag.current = null)}
+        >
+          {selected.map((name, i) => (
+            <LineChart
+              key={name}
+              height={170}
+              xDomain={view || info.timeRange}
+              xLabel={i === selected.length - 1 ? "Time [s]" : ""}
+              yLabel={unitOf(name) ? `${name} ${unitOf(name)}` : name}
+              series={[
+                {
+                  id: name,
+                  type: "line",
+                  color: TRACE_COLORS[i % TRACE_COLORS.length],
+                  markers: false,
+                  points: (traces.data[name] || []).map((p) => ({
+                    ...p,
+                    label: name,
+                  })),
+                },
+              ]}
+            />
+          ))}
+          <p className="text-xs text-zinc-500">
+            Scroll to zoom, drag to pan. Traces keep the min and max of every
+            time slice, so spikes stay visible.
+          </p>
+        </div>
+      )}
+
+      {info?.stats && (
+        <>
+          <input
+            type="text"
+            placeholder="Filter channels"
+            value={filter}
+            onChange={(e) => setFilter(e.target.value)}
+            className="w-full mb-2 bg-zinc-900/50 border border-zinc-700 rounded-lg px-3 py-1.5 text-sm text-zinc-100 focus:outline-none focus:border-emerald-500/60"
+          />
+          <div className="max-h-72 overflow-y-auto">
+            <table className="w-full text-xs">
+              <thead className="text-zinc-400 text-left sticky top-0 bg-zinc-800">
+                <tr>
+                  <th className="py-1 pr-2 font-medium">Plot</th>
+                  <th className="py-1 pr-3 font-medium">Channel</th>
+                  <th className="py-1 pr-3 font-medium">Unit</th>
+                  <th className="py-1 pr-3 font-medium text-right">Mean</th>
+                  <th className="py-1 pr-3 font-medium text-right">Std</th>
+                  <th className="py-1 pr-3 font-medium text-right">Min</th>
+                  <th className="py-1 pr-3 font-medium text-right">Max</th>
+                  <th className="py-1 font-medium text-right">Non-finite</th>
+                </tr>
+              </thead>
+              <tbody className="text-zinc-300">
+                {rows.map((row) => (
+                  <tr
+                    key={row.name}
+                    className={`border-t border-zinc-700/50 ${
+                      row.nonFinite ? "text-red-300" : ""
+                    }`}
+                  >
+                    <td className="py-1 pr-2">
+                      {row.name !== "Time" && (
+                        <input
+                          type="checkbox"
+                          checked={selected.includes(row.name)}
+                          onChange={() => toggleTrace(row.name)}
+                          className="w-3.5 h-3.5"
+                        />
+                      )}
+                    </td>
+                    <td className="py-1 pr-3 font-mono">{row.name}</td>
+                    <td className="py-1 pr-3 text-zinc-500">{row.unit}</td>
+                    {[row.mean, row.std, row.min, row.max].map((v, k) => (
+                      <td key={k} className="py-1 pr-3 text-right">
+                        {formatValue(v)}
+                      </td>
+                    ))}
+                    <td className="py-1 text-right">{row.nonFinite}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
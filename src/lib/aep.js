@@ -0,0 +1,228 @@
+// Annual Energy Production from the generated power curve (IEC 61400-12-1, clause 9.3)
+import { compilePattern } from "./filenamePattern.js";
+
+const HOURS_PER_YEAR = 8760;
+
+export const AEP_DISTRIBUTIONS = {
+  none: "none",
+  rayleigh: "rayleigh",
+  weibull: "weibull",
+  table: "table",
+};
+
+export const DEFAULT_AEP_PARAMS = {
+  aepDistribution: AEP_DISTRIBUTIONS.rayleigh,
+  aepMeanWindSpeed: 8.0, // m/s
+  aepWeibullA: 9.0, // m/s
+  aepWeibullK: 2.0,
+  aepAvailability: 100, // %
+  aepLosses: 0, // %
+};
+
+/**
+ * Cumulative distribution function for the chosen wind climate
+ */
+function windCDF(params) {
+  if (params.aepDistribution === AEP_DISTRIBUTIONS.weibull) {
+    const A = Number(params.aepWeibullA);
+    const k = Number(params.aepWeibullK);
+    return (v) => 1 - Math.exp(-Math.pow(v / A, k));
+  }
+  const vAve = Number(params.aepMeanWindSpeed);
+  return (v) => 1 - Math.exp((-Math.PI / 4) * (v / vAve) ** 2);
+}
+
+/**
+ * Linear interpolation on a sorted curve, zero outside its range
+ */
+function interpolatePower(curve, v) {
+  if (!curve.length || v < curve[0].v || v > curve[curve.length - 1].v) {
+    return 0;
+  }
+  for (let i = 1; i < curve.length; i++) {
+    if (v <= curve[i].v) {
+      const a = curve[i - 1];
+      const b = curve[i];
+      const t = b.v === a.v ? 0 : (v - a.v) / (b.v - a.v);
+      return a.p + t * (b.p - a.p);
+    }
+  }
+  return curve[curve.length - 1].p;
+}
+
+/**
+ * Parse a wind speed frequency table (CSV, TSV or whitespace separated).
+ * The first two numeric columns are wind speed and frequency; frequencies may
+ * be fractions, percentages or hours - they are normalized to sum to 1.
+ * Non-numeric lines (headers, comments) are skipped.
+ */
+export function parseFrequencyTable(text) {
+  const rows = [];
+  for (const raw of text.split(/\r?\n/)) {
+    const cells = raw.trim().split(/[\s,;]+/);
+    if (cells.length < 2) continue;
+    const v = parseFloat(cells[0]);
+    const f = parseFloat(cells[1]);
+    if (!Number.isFinite(v) || !Number.isFinite(f) || f < 0) continue;
+    rows.push({ v, f });
+  }
+
+  const total = rows.reduce((a, r) => a + r.f, 0);
+  if (!rows.length || total <= 0) {
+    throw new Error("Frequency table has no valid wind speed / frequency rows");
+  }
+
+  rows.sort((a, b) => a.v - b.v);
+  return rows.map((r) => ({ v: r.v, f: r.f / total }));
+}
+
+/**
+ * Why settings cannot produce an AEP, or null - checked before processing
+ * so a run is not lost to it afterwards
+ */
+export function aepParamsError(settings) {
+  if (
+    settings.aepDistribution === AEP_DISTRIBUTIONS.table &&
+    !settings.aepFrequencyTable?.length
+  ) {
+    return "AEP needs a wind speed frequency table";
+  }
+  // Grouping keys besides the wind speed (yaw, TI...) give several power
+  // curves, one per case, that a single AEP would sum as one
+  const { fields } = compilePattern(settings.filenamePattern ?? "");
+  const cases = (settings.groupBy || []).filter(
+    (field) => field !== "windSpeed" && fields.includes(field),
+  );
+  if (settings.aepDistribution !== AEP_DISTRIBUTIONS.none && cases.length) {
+    return `AEP needs a single power curve - group by wind speed only, not by ${cases.join(", ")}, or turn AEP off`;
+  }
+  return null;
+}
+
+/**
+ * Why a power curve cannot be integrated, or null: more than one row per
+ * wind speed means it still holds several cases. Besides rows at the same
+ * speed, the per-file results show curve groups (filename prefixes such as
+ * ws8_yaw0 and ws8_yaw8) that share the pattern's case wind speed.
+ */
+export function aepCurveError(powerCurveData, results = []) {
+  const speeds = powerCurveData.map(
+    (r) => r["CaseWS(ms)"] ?? r["WindSpeedNorm(ms)"] ?? r["WindSpeed(ms)"],
+  );
+  let twin = speeds.find((v, i) => speeds.indexOf(v) !== i);
+
+  const curveGroups = new Set(powerCurveData.map((r) => r.WindSpeedGroup));
+  const groupAt = new Map();
+  for (const r of results) {
+    const v = r["CaseWS(ms)"];
+    if (twin !== undefined) break;
+    if (typeof v !== "number" || !curveGroups.has(r.WindSpeedGroup)) continue;
+    if (groupAt.has(v) && groupAt.get(v) !== r.WindSpeedGroup) twin = v;
+    groupAt.set(v, r.WindSpeedGroup);
+  }
+
+  return twin === undefined
+    ? null
+    : `the power curve has several rows at ${twin} m/s - one per case; group the files by wind speed only`;
+}
+
+/**
+ * Integrate the power curve over the wind climate.
+ *
+ * Rayleigh / Weibull use the IEC bin summation
+ *   AEP = Nh · Σ [F(V_i) − F(V_i−1)] · (P_i−1 + P_i) / 2
+ * with V_0 = V_1 − 0.5 m/s and P_0 = 0. A frequency table weights the
+ * interpolated curve power at each tabulated wind speed.
+ *
+ * Uses the density-normalized columns when present. Returns null when AEP is
+ * disabled or the curve is empty; throws on a curve of several cases (see
+ * aepCurveError).
+ */
+export function computeAEP(powerCurveData, params, frequencyTable = null) {
+  if (params.aepDistribution === AEP_DISTRIBUTIONS.none) return null;
+  const curveError = aepCurveError(powerCurveData);
+  if (curveError) throw new Error(`No AEP: ${curveError}`);
+
+  const curve = powerCurveData
+    .map((r) => ({
+      v: r["WindSpeedNorm(ms)"] ?? r["WindSpeed(ms)"],
+      p: r["PowerNorm(kW)"] ?? r["Power(kW)"],
+    }))
+    .filter((r) => Number.isFinite(r.v) && Number.isFinite(r.p))
+    .sort((a, b) => a.v - b.v);
+  if (!curve.length) return null;
+
+  let grossKWh = 0;
+  if (params.aepDistribution === AEP_DISTRIBUTIONS.table) {
+    const error = aepParamsError({
+      ...params,
+      aepFrequencyTable: frequencyTable,
+    });
+    if (error) throw new Error(error);
+    for (const { v, f } of frequencyTable) {
+      grossKWh += HOURS_PER_YEAR * f * interpolatePower(curve, v);
+    }
+  } else {
+    const F = windCDF(params);
+    let prevV = Math.max(0, curve[0].v - 0.5);
+    let prevP = 0;
+    for (const { v, p } of curve) {
+      grossKWh += HOURS_PER_YEAR * (F(v) - F(prevV)) * ((prevP + p) / 2);
+      prevV = v;
+      prevP = p;
+    }
+  }
+
+  const availability = Number(params.aepAvailability) / 100;
+  const losses = Number(params.aepLosses) / 100;
+  const netKWh = grossKWh * availability * (1 - losses);
+  const ratedPower = Math.max(...curve.map((r) => r.p));
+
+  return {
+    distribution: params.aepDistribution,
+    grossMWh: grossKWh / 1000,
+    netMWh: netKWh / 1000,
+    ratedPowerKW: ratedPower,
+    capacityFactor: ratedPower > 0 ? netKWh / (ratedPower * HOURS_PER_YEAR) : 0,
+    fullLoadHours: ratedPower > 0 ? netKWh / ratedPower : 0,
+    availability: Number(params.aepAvailability),
+    losses: Number(params.aepLosses),
+  };
+}
+
+/**
+ * Flatten an AEP result into Metric / Value / Unit rows for the exporters
+ */
+export function aepToRecords(aep, params) {
+  const climate =
+    aep.distribution === AEP_DISTRIBUTIONS.weibull
+      ? [
+          {
+            Metric: "Weibull A",
+            Value: Number(params.aepWeibullA),
+            Unit: "m/s",
+          },
+          { Metric: "Weibull k", Value: Number(params.aepWeibullK), Unit: "-" },
+        ]
+      : aep.distribution === AEP_DISTRIBUTIONS.rayleigh
+        ? [
+            {
+              Metric: "Mean Wind Speed",
+              Value: Number(params.aepMeanWindSpeed),
+              Unit: "m/s",
+            },
+          ]
+        : [];
+
+  return [
+    { Metric: "Distribution", Value: aep.distribution, Unit: "" },
+    ...climate,
+    { Metric: "Availability", Value: aep.availability, Unit: "%" },
+    { Metric: "Losses", Value: aep.losses, Unit: "%" },
+    { Metric: "Rated Power", Value: aep.ratedPowerKW, Unit: "kW" },
+    { Metric: "Gross AEP", Value: aep.grossMWh, Unit: "MWh/yr" },
+    { Metric: "Net AEP", Value: aep.netMWh, Unit: "MWh/yr" },
+    { Metric: "Capacity Factor", Value: aep.capacityFactor * 100, Unit: "%" },
+    { Metric: "Full Load Hours", Value: aep.fullLoadHours, Unit: "h/yr" },
+  ];
+}
@@ -0,0 +1,48 @@
+// Air-density normalization of per-file records (IEC 61400-12-1, clause 9.1.5)
+export const DEFAULT_AIR_DENSITY = 1.225; // kg/m³ - ISO standard atmosphere
+
+export const NORMALIZATION_METHODS = {
+  // Stall-regulated turbines: scale power, keep wind speed
+  power: "power",
+  // Active power control (pitch-regulated) turbines: scale wind speed, keep power
+  windSpeed: "windSpeed",
+};
+
+/**
+ * Normalize a single per-file record from the simulation density to the
+ * site (reference) density.
+ *
+ *   power:     P_n = P · ρ_site / ρ_sim
+ *   windSpeed: V_n = V · (ρ_sim / ρ_site)^(1/3)
+ *
+ * Raw values stay in "Power(kW)" / "WindSpeed(ms)", normalized values are
+ * written to "PowerNorm(kW)" / "WindSpeedNorm(ms)".
+ */
+export function normalizeRecord(record, params) {
+  const siteDensity = Number(params.airDensity) || DEFAULT_AIR_DENSITY;
+  const simDensity = Number(params.simulationDensity) || DEFAULT_AIR_DENSITY;
+  const ratio = siteDensity / simDensity;
+
+  const power = record["Power(kW)"];
+  const wind = record["WindSpeed(ms)"];
+
+  const { WindSpeedGroup, ...rest } = record;
+  delete rest["Power(kW)"];
+  delete rest["WindSpeed(ms)"];
+
+  const byPower = params.normalizationMethod === NORMALIZATION_METHODS.power;
+
+  const normalized = {
+    WindSpeedGroup,
+    Density: siteDensity,
+    SimDensity: simDensity,
+    "WindSpeed(ms)": wind,
+    "WindSpeedNorm(ms)": byPower ? wind : wind * Math.cbrt(1 / ratio),
+  };
+  // Power(kW) is absent when the channel mapping leaves out the power channel
+  if (typeof power === "number") {
+    normalized["Power(kW)"] = power;
+    normalized["PowerNorm(kW)"] = byPower ? power * ratio : power;
+  }
+  return { ...normalized, ...rest };
+}
@@ -0,0 +1,39 @@
+// Method-of-bins grouping for the power curve (IEC 61400-12-1, clause 9.1.6)
+export const BINNING_MODES = {
+  // Group by filename prefix before "_seed" (legacy behaviour)
+  filename: "filename",
+  // Group by per-file mean wind speed into fixed-width bins
+  windSpeed: "windSpeed",
+};
+
+export const DEFAULT_BIN_WIDTH = 0.5; // m/s
+
+// Trim floating point noise from multiples of the bin width (10.500000001)
+const clean = (v) => Number(v.toFixed(6));
+
+/**
+ * Centre of the bin that contains windSpeed. Bins are centred on integer
+ * multiples of binWidth and include their lower edge.
+ */
+export function binCenter(windSpeed, binWidth = DEFAULT_BIN_WIDTH) {
+  return clean(Math.floor(windSpeed / binWidth + 0.5) * binWidth);
+}
+
+/**
+ * Lower and upper edges of the bin centred on center
+ */
+export function binEdges(center, binWidth = DEFAULT_BIN_WIDTH) {
+  return {
+    lower: clean(center - binWidth / 2),
+    upper: clean(center + binWidth / 2),
+  };
+}
+
+/**
+ * Filename grouping key: the part before "_seed", else the name without
+ * its extension
+ */
+export const fileGroupKey = (fileName) =>
+  fileName.toLowerCase().includes("_seed")
+    ? fileName.toLowerCase().split("_seed")[0]
+    : fileName.replace(/\.[^/.]+$/, "");
@@ -0,0 +1,106 @@
+// Channel mapping: which OpenFAST channels are accumulated and how they are named
+import { isOutbFile, readOutbHeader } from "./outb.js";
+
+const STORAGE_KEY = "powerCurve.channelMapping";
+const HEADER_SCAN_BYTES = 64 * 1024; // header + units rows fit easily
+
+// Extra per-file statistics a channel can report besides its mean
+export const CHANNEL_STATS = ["std", "min", "max", "p5", "p95"];
+
+/**
+ * Default mapping - mean is always reported, `stats` adds extra columns
+ * (Power(kW)_std, Bladepitch1_max, ...). Density normalization and AEP read
+ * the "Power(kW)" column.
+ */
+export const DEFAULT_CHANNELS = [
+  {
+    header: "GenPwr",
+    column: "Power(kW)",
+    stats: ["std", "min", "max", "p5", "p95"],
+  },
+  { header: "GenTq", column: "Torque(kNm)", stats: [] },
+  { header: "GenSpeed", column: "GenSpeed(RPM)", stats: [] },
+  { header: "RotSpeed", column: "RotSpeed(RPM)", stats: ["min", "max"] },
+  { header: "RtAeroCp", column: "Cp", stats: [] },
+  { header: "RtAeroCt", column: "Ct", stats: [] },
+  { header: "BldPitch1", column: "Bladepitch1", stats: ["min", "max"] },
+  { header: "BldPitch2", column: "Bladepitch2", stats: ["min", "max"] },
+  { header: "BldPitch3", column: "Bladepitch3", stats: ["min", "max"] },
+];
+
+// Hub-height wind components, always read to compute WindSpeed(ms)
+export const WIND_CHANNELS = ["WindHubVelX", "WindHubVelY", "WindHubVelZ"];
+
+/**
+ * Percentiles (as numbers) requested by a channel's stats list
+ */
+export const channelPercentiles = (channel) =>
+  channel.stats.filter((s) => s[0] === "p").map((s) => Number(s.slice(1)));
+
+/**
+ * Read channel names and units from the header of an .out or .outb file
+ * without loading the whole file
+ */
+export async function readFileChannels(file) {
+  if (isOutbFile(file.name)) {
+    const header = await readOutbHeader(file, HEADER_SCAN_BYTES);
+    return { names: header.names, units: header.units };
+  }
+
+  const lines = (await file.slice(0, HEADER_SCAN_BYTES).text()).split(/\r?\n/);
+  const headerIdx = lines.findIndex((line) => line.includes("Time"));
+  if (headerIdx === -1) return { names: [], units: [] };
+  return {
+    names: lines[headerIdx].trim().split(/\s+/),
+    units: (lines[headerIdx + 1] || "").trim().split(/\s+/),
+  };
+}
+
+/**
+ * Union of the channel names of the first few files, in first-seen order,
+ * with the unit each channel was first seen with
+ */
+export async function collectChannels(files, maxFiles = 10) {
+  const units = {};
+  for (const file of files.slice(0, maxFiles)) {
+    try {
+      const header = await readFileChannels(file);
+      header.names.forEach((name, i) => {
+        if (!(name in units)) units[name] = header.units[i] || "";
+      });
+    } catch (e) {
+      console.warn(`Could not read header of ${file.name}:`, e);
+    }
+  }
+  return { names: Object.keys(units), units };
+}
+
+/**
+ * Check a mapping for empty or duplicate output column names
+ * Returns an error message, or null when the mapping is usable
+ */
+export function validateChannelMapping(channels) {
+  if (!channels.length) return "Select at least one channel";
+  const names = new Set(["WindSpeedGroup", "WindSpeed(ms)"]);
+  for (const ch of channels) {
+    const name = ch.column.trim();
+    if (!name) return `Channel ${ch.header} has no output column name`;
+    if (names.has(name)) return `Duplicate output column name: ${name}`;
+    names.add(name);
+  }
+  return null;
+}
+
+export function loadChannelMapping() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (Array.isArray(saved) && saved.length) return saved;
+  } catch (e) {
+    console.warn("Ignoring saved channel mapping:", e);
+  }
+  return DEFAULT_CHANNELS;
+}
+
+export function saveChannelMapping(channels) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(channels));
+}
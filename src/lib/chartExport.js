@@ -0,0 +1,61 @@
+// Save a rendered <svg> chart as an SVG or PNG file
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+function download(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Standalone SVG markup of a chart element at its viewBox size
+ */
+export function serializeSvg(svg) {
+  const clone = svg.cloneNode(true);
+  const { width, height } = svg.viewBox.baseVal;
+  clone.setAttribute("xmlns", SVG_NS);
+  clone.setAttribute("width", width);
+  clone.setAttribute("height", height);
+  return new XMLSerializer().serializeToString(clone);
+}
+
+export function exportSvg(svg, baseName) {
+  const blob = new Blob([serializeSvg(svg)], { type: "image/svg+xml" });
+  download(blob, `${baseName}.svg`);
+}
+
+/**
+ * Rasterize the chart at `scale` times its viewBox size
+ */
+export async function exportPng(svg, baseName, scale = 2) {
+  const { width, height } = svg.viewBox.baseVal;
+  const url = URL.createObjectURL(
+    new Blob([serializeSvg(svg)], { type: "image/svg+xml" }),
+  );
+  try {
+    const image = new Image();
+    await new Promise((resolve, reject) => {
+      image.onload = resolve;
+      image.onerror = () => reject(new Error("Could not render the chart"));
+      image.src = url;
+    });
+
+    const canvas = document.createElement("canvas");
+    canvas.width = width * scale;
+    canvas.height = height * scale;
+    const ctx = canvas.getContext("2d");
+    ctx.scale(scale, scale);
+    ctx.drawImage(image, 0, 0, width, height);
+
+    const blob = await new Promise((resolve) =>
+      canvas.toBlob(resolve, "image/png"),
+    );
+    download(blob, `${baseName}.png`);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
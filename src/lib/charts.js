@@ -0,0 +1,138 @@
+// Chart helpers: scales, axis ticks and the series plotted from the results
+
+// x-axis of the performance charts
+export const CHART_X_COLUMN = "WindSpeed(ms)";
+
+// viewBox geometry of LineChart
+export const CHART_SIZE = {
+  width: 480,
+  height: 300,
+  margin: { top: 16, right: 16, bottom: 40, left: 60 },
+};
+
+/**
+ * Data x value under a pointer, for a chart drawn at `rect` (the element's
+ * bounding box) over `domain`
+ */
+export function pointerToX(clientX, rect, [d0, d1]) {
+  const { width, margin } = CHART_SIZE;
+  const px = ((clientX - rect.left) * width) / rect.width;
+  const f = (px - margin.left) / (width - margin.left - margin.right);
+  return d0 + Math.min(1, Math.max(0, f)) * (d1 - d0);
+}
+
+/**
+ * [min, max] of the finite values, padded when all values are equal
+ */
+export function extent(values) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const v of values) {
+    if (!Number.isFinite(v)) continue;
+    if (v < min) min = v;
+    if (v > max) max = v;
+  }
+  if (min === Infinity) return [0, 1];
+  if (min === max) {
+    const pad = Math.abs(min) * 0.05 || 1;
+    return [min - pad, max + pad];
+  }
+  return [min, max];
+}
+
+/**
+ * Linear map from a [d0, d1] domain onto a [r0, r1] pixel range, with
+ * invert() for the way back
+ */
+export function linearScale([d0, d1], [r0, r1]) {
+  const k = (r1 - r0) / (d1 - d0 || 1);
+  const scale = (v) => r0 + (v - d0) * k;
+  scale.invert = (p) => d0 + (p - r0) / k;
+  return scale;
+}
+
+/**
+ * About `count` round tick values (1, 2 or 5 times a power of ten) covering
+ * [min, max]; the returned domain is widened to the outer ticks
+ */
+export function niceTicks(min, max, count = 5) {
+  const raw = (max - min) / Math.max(1, count);
+  const power = 10 ** Math.floor(Math.log10(raw || 1));
+  const step = Number(
+    (
+      [1, 2, 5, 10].map((m) => m * power).find((s) => s >= raw) || 10 * power
+    ).toPrecision(12),
+  );
+  const start = Math.floor(min / step) * step;
+  const stop = Math.ceil(max / step) * step;
+
+  const ticks = [];
+  for (let v = start; v <= stop + step / 2; v += step) {
+    ticks.push(Number(v.toPrecision(12)));
+  }
+  return { ticks, domain: [start, stop], step };
+}
+
+/**
+ * Short tick/tooltip label: enough digits for the step, no trailing noise
+ */
+export function formatValue(v, step = null) {
+  if (!Number.isFinite(v)) return "";
+  const digits =
+    step === null
+      ? Math.abs(v) >= 100
+        ? 1
+        : 3
+      : Math.max(0, -Math.floor(Math.log10(step)));
+  return String(Number(v.toFixed(Math.min(digits, 6))));
+}
+
+/**
+ * Points of one chart: the averaged curve from the power curve rows and one
+ * scatter point per file from the individual rows
+ */
+export function chartSeries(powerCurve, individual, column) {
+  const point = (row, label) => ({
+    x: row[CHART_X_COLUMN],
+    y: row[column],
+    label,
+  });
+  const valid = (p) => Number.isFinite(p.x) && Number.isFinite(p.y);
+
+  return {
+    curve: powerCurve
+      .map((row) => point(row, row.WindSpeedGroup))
+      .filter(valid)
+      .sort((a, b) => a.x - b.x),
+    points: individual
+      .map((row) => point(row, row.FileName ?? row.WindSpeedGroup))
+      .filter(valid),
+  };
+}
+
+/**
+ * Zoom `range` around `center` by `factor` (< 1 zooms in) inside `full`;
+ * returns null once the whole of `full` is in view again
+ */
+export function zoomRange(range, full, center, factor) {
+  const [a, b] = range || full;
+  const span = Math.min(full[1] - full[0], (b - a) * factor);
+  if (span >= full[1] - full[0]) return null;
+  const f = (center - a) / (b - a || 1);
+  return clampRange([center - f * span, center - f * span + span], full);
+}
+
+/**
+ * Shift `range` by `delta` without leaving `full`
+ */
+export function panRange(range, full, delta) {
+  if (!range) return null;
+  return clampRange([range[0] + delta, range[1] + delta], full);
+}
+
+function clampRange([a, b], [lo, hi]) {
+  const span = b - a;
+  if (a < lo) return [lo, lo + span];
+  if (b > hi) return [hi - span, hi];
+  return [a, b];
+}
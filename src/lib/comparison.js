@@ -0,0 +1,139 @@
+// Baseline vs. variant comparison: two power curves processed with the same
+// settings, aligned bin by bin
+import { CHART_X_COLUMN } from "./charts.js";
+
+// Channels compared between the sets, by OpenFAST header; the output column
+// names come from the channel mapping
+export const COMPARED_CHANNELS = [
+  "GenPwr",
+  "RtAeroCp",
+  "RtAeroCt",
+  "BldPitch1",
+  "BldPitch2",
+  "BldPitch3",
+  "RotSpeed",
+];
+
+// Suffixes of the comparison columns of each compared channel
+export const COMPARISON_SUFFIXES = ["baseline", "variant", "delta", "deltaPct"];
+
+/**
+ * Output columns of the compared channels, in COMPARED_CHANNELS order
+ */
+export function comparisonColumns(channels) {
+  return COMPARED_CHANNELS.map(
+    (header) => channels.find((ch) => ch.header === header)?.column,
+  ).filter(Boolean);
+}
+
+/**
+ * Pair the rows of two power curves. Rows match on WindSpeedGroup (the
+ * filename group, or the wind speed bin and its case keys); when the two
+ * sets share no group at all - differently named files - they match on the
+ * group wind speed instead. Rows found in only one set are kept with the
+ * other side null. Sorted by wind speed.
+ */
+export function alignCurves(baseline, variant) {
+  const byGroup = (row) => String(row.WindSpeedGroup);
+  const bySpeed = (row) => String(row[CHART_X_COLUMN]);
+  const groups = new Set(baseline.map(byGroup));
+  const keyOf = variant.some((row) => groups.has(byGroup(row)))
+    ? byGroup
+    : bySpeed;
+
+  const pairs = new Map();
+  for (const row of baseline) {
+    pairs.set(keyOf(row), { baseline: row, variant: null });
+  }
+  for (const row of variant) {
+    const pair = pairs.get(keyOf(row));
+    if (pair) pair.variant = row;
+    else pairs.set(keyOf(row), { baseline: null, variant: row });
+  }
+
+  const speed = ({ baseline: b, variant: v }) =>
+    (b ?? v)[CHART_X_COLUMN] ?? Infinity;
+  return [...pairs.values()].sort((a, b) => speed(a) - speed(b));
+}
+
+const finite = (v) => (Number.isFinite(v) ? v : null);
+
+/**
+ * Delta table: one row per aligned bin with, for every column, the baseline
+ * and variant values, the absolute difference (variant - baseline) and the
+ * difference in % of the baseline. Missing sides and a zero baseline give
+ * null cells.
+ */
+export function compareCurves(baseline, variant, columns) {
+  return alignCurves(baseline, variant).map(({ baseline: b, variant: v }) => {
+    const row = {
+      WindSpeedGroup: (b ?? v).WindSpeedGroup,
+      [CHART_X_COLUMN]: finite((b ?? v)[CHART_X_COLUMN]),
+      BaselineSamples: b?.Samples ?? 0,
+      VariantSamples: v?.Samples ?? 0,
+    };
+    for (const column of columns) {
+      const x = finite(b?.[column]);
+      const y = finite(v?.[column]);
+      const delta = x !== null && y !== null ? y - x : null;
+      row[`${column}_baseline`] = x;
+      row[`${column}_variant`] = y;
+      row[`${column}_delta`] = delta;
+      row[`${column}_deltaPct`] =
+        delta !== null && x !== 0 ? (delta / Math.abs(x)) * 100 : null;
+    }
+    return row;
+  });
+}
+
+/**
+ * Units of the delta table columns from the power curve units
+ */
+export function comparisonUnits(columns, units = {}) {
+  const out = { [CHART_X_COLUMN]: units[CHART_X_COLUMN] || "m/s" };
+  for (const column of columns) {
+    for (const suffix of COMPARISON_SUFFIXES) {
+      out[`${column}_${suffix}`] =
+        suffix === "deltaPct" ? "%" : units[column] || "";
+    }
+  }
+  return out;
+}
+
+/**
+ * AEP difference between two computeAEP results, null unless both exist
+ */
+export function compareAEP(baseline, variant) {
+  if (!baseline || !variant) return null;
+  const pct = (a, b) => (a !== 0 ? ((b - a) / a) * 100 : null);
+  return {
+    baselineMWh: baseline.netMWh,
+    variantMWh: variant.netMWh,
+    deltaMWh: variant.netMWh - baseline.netMWh,
+    deltaPct: pct(baseline.netMWh, variant.netMWh),
+    grossDeltaMWh: variant.grossMWh - baseline.grossMWh,
+    capacityFactorDelta:
+      (variant.capacityFactor - baseline.capacityFactor) * 100,
+  };
+}
+
+/**
+ * Metric / Value / Unit rows of an AEP difference, appended to the AEP export
+ */
+export function aepComparisonToRecords(diff) {
+  return [
+    { Metric: "Variant Net AEP", Value: diff.variantMWh, Unit: "MWh/yr" },
+    { Metric: "Net AEP Difference", Value: diff.deltaMWh, Unit: "MWh/yr" },
+    { Metric: "Net AEP Difference", Value: diff.deltaPct, Unit: "%" },
+    {
+      Metric: "Gross AEP Difference",
+      Value: diff.grossDeltaMWh,
+      Unit: "MWh/yr",
+    },
+    {
+      Metric: "Capacity Factor Difference",
+      Value: diff.capacityFactorDelta,
+      Unit: "%-points",
+    },
+  ];
+}
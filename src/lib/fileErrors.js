@@ -0,0 +1,39 @@
+// Per-file failures collected during a run, so dropped files are visible
+export const ERROR_STAGES = {
+  read: "read", // the file could not be read
+  header: "header", // no usable header (text) or a broken .outb header
+  parse: "parse", // a malformed data row
+  data: "data", // the file holds no data rows
+  worker: "worker", // the worker itself crashed
+};
+
+/**
+ * Error tagged with the processing stage and, where known, the 1-based
+ * line number it refers to
+ */
+export function fileError(stage, message, line = null) {
+  return Object.assign(new Error(message), { stage, line });
+}
+
+/**
+ * Rows for the errors export (CSV, XLSX, FW.TXT)
+ */
+export const errorsToRecords = (errors) =>
+  errors.map((e) => ({
+    File: e.file,
+    Group: e.group,
+    Stage: e.stage,
+    Line: e.line === null ? "" : String(e.line),
+    Message: e.message,
+  }));
+
+/**
+ * Failed files per wind speed group, largest count first
+ */
+export function countErrorsByGroup(errors) {
+  const counts = new Map();
+  for (const e of errors) counts.set(e.group, (counts.get(e.group) || 0) + 1);
+  return [...counts]
+    .map(([group, count]) => ({ group, count }))
+    .sort((a, b) => b.count - a.count);
+}
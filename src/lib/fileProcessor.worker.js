@@ -0,0 +1,10 @@
+// Web Worker for file parsing (runs on separate thread)
+// Bundled as a module worker - the parsing itself lives in ./processFile
+import { processTask } from "./processFile.js";
+
+/**
+ * Main worker message handler
+ */
+self.onmessage = async (event) => {
+  self.postMessage(await processTask(event.data));
+};
@@ -0,0 +1,28 @@
+// Chunked text reading - a file is never held in memory as a whole
+export const CHUNK_SIZE = 8 * 1024 * 1024; // 8MB slices per read
+
+/**
+ * Call onLine for every line of a File (without the line break), reading
+ * it in slices of `chunkSize` bytes. A line split across two slices is
+ * carried over to the next one, as are multi-byte UTF-8 characters.
+ */
+export async function readLines(file, onLine, chunkSize = CHUNK_SIZE) {
+  const decoder = new TextDecoder("utf-8");
+  let carry = "";
+
+  for (let offset = 0; offset < file.size; offset += chunkSize) {
+    const bytes = await file.slice(offset, offset + chunkSize).arrayBuffer();
+    const text = carry + decoder.decode(bytes, { stream: true });
+
+    let start = 0;
+    let end;
+    while ((end = text.indexOf("\n", start)) !== -1) {
+      onLine(text.substring(start, text[end - 1] === "\r" ? end - 1 : end));
+      start = end + 1;
+    }
+    carry = text.substring(start);
+  }
+
+  carry += decoder.decode();
+  if (carry) onLine(carry.endsWith("\r") ? carry.slice(0, -1) : carry);
+}
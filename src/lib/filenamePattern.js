@@ -0,0 +1,107 @@
+// Case parameters (wind speed, seed, yaw, DLC, TI) parsed from file names
+// with a named-capture regular expression
+import { fileGroupKey } from "./binning.js";
+
+// Output column and type of the well-known capture names; any other
+// capture name becomes a column of the same name
+export const FILENAME_FIELDS = {
+  dlc: { column: "DLC", numeric: false },
+  windSpeed: { column: "CaseWS(ms)", numeric: true },
+  seed: { column: "Seed", numeric: true },
+  yaw: { column: "Yaw(deg)", numeric: true },
+  ti: { column: "TI(%)", numeric: true },
+};
+
+export const FILENAME_PRESETS = [
+  { id: "none", label: "None (filename prefix only)", pattern: "" },
+  {
+    id: "wsSeed",
+    label: "ws11.0_seed3",
+    pattern: "ws(?<windSpeed>\\d+(?:\\.\\d+)?)_seed(?<seed>\\d+)",
+  },
+  {
+    id: "dlc",
+    label: "DLC1.2_ws11.0_yaw-8_seed3",
+    pattern:
+      "DLC(?<dlc>[\\d.]+[a-z]?)_ws(?<windSpeed>\\d+(?:\\.\\d+)?)_yaw(?<yaw>-?\\d+(?:\\.\\d+)?)_seed(?<seed>\\d+)",
+  },
+  {
+    id: "ti",
+    label: "ws11.0_ti16_seed3",
+    pattern:
+      "ws(?<windSpeed>\\d+(?:\\.\\d+)?)_ti(?<ti>\\d+(?:\\.\\d+)?)_seed(?<seed>\\d+)",
+  },
+];
+
+export const DEFAULT_FILENAME_PARAMS = {
+  filenamePattern: "",
+  groupBy: [], // capture names used as grouping keys
+};
+
+const NUMBER = /^[+-]?\d+(\.\d+)?$/;
+
+/**
+ * Compile a pattern (case-insensitive). Returns { regex, fields, error };
+ * an empty pattern gives regex null and no fields.
+ */
+export function compilePattern(source) {
+  if (!source || !source.trim()) {
+    return { regex: null, fields: [], error: null };
+  }
+  try {
+    const regex = new RegExp(source, "i");
+    const fields = [...source.matchAll(/\(\?<([A-Za-z_$][\w$]*)>/g)].map(
+      (m) => m[1],
+    );
+    if (!fields.length) {
+      return { regex, fields, error: "Pattern has no named groups (?<name>)" };
+    }
+    return { regex, fields, error: null };
+  } catch (e) {
+    return { regex: null, fields: [], error: e.message };
+  }
+}
+
+/**
+ * Output column of a capture name
+ */
+export const fieldColumn = (field) => FILENAME_FIELDS[field]?.column ?? field;
+
+/**
+ * Match a file name; returns { raw, values } keyed by capture name, or
+ * null when the name does not match
+ */
+export function parseFilename(fileName, compiled) {
+  const groups = compiled.regex?.exec(fileName)?.groups;
+  if (!groups) return null;
+
+  const raw = {};
+  const values = {};
+  for (const field of compiled.fields) {
+    const text = groups[field] ?? "";
+    const numeric = FILENAME_FIELDS[field]?.numeric ?? NUMBER.test(text);
+    raw[field] = text;
+    values[field] = numeric && NUMBER.test(text) ? Number(text) : text;
+  }
+  return { raw, values };
+}
+
+/**
+ * Case columns and grouping key for one file. Files that do not match, or
+ * runs without grouping keys, keep the filename-prefix group.
+ */
+export function caseInfo(fileName, compiled, groupBy = []) {
+  const parsed = parseFilename(fileName, compiled);
+  const columns = {};
+  for (const field of compiled.fields) {
+    columns[fieldColumn(field)] = parsed ? parsed.values[field] : "";
+  }
+
+  const keys = groupBy.filter((field) => compiled.fields.includes(field));
+  const group =
+    parsed && keys.length
+      ? keys.map((field) => `${field}=${parsed.raw[field]}`).join(", ")
+      : fileGroupKey(fileName);
+
+  return { matched: !!parsed, columns, group };
+}
@@ -0,0 +1,90 @@
+// Run settings exported next to the results, so an output file can be traced
+// back to how it was produced
+import { NORMALIZATION_METHODS } from "./airDensity.js";
+import { BINNING_MODES } from "./binning.js";
+import { compilePattern, fieldColumn } from "./filenamePattern.js";
+import { describeWindow } from "./timeWindow.js";
+import { describeWindSpeed, windSpeedSettings } from "./windSpeed.js";
+
+/**
+ * Rows for the metadata export (CSV, XLSX, FW.TXT)
+ * `run` adds facts about the run itself: { generated, files, variantFiles,
+ * partial }; generated is the run's timestamp (default: now), variantFiles
+ * is only set in comparison mode
+ */
+export function metadataToRecords(params, run = {}) {
+  const { fields } = compilePattern(params.filenamePattern);
+  const keys = fields
+    .filter((field) => (params.groupBy || []).includes(field))
+    .map(fieldColumn);
+
+  return [
+    {
+      Parameter: "Generated",
+      Value: new Date(run.generated ?? Date.now()).toISOString(),
+    },
+    { Parameter: "Wind Speed Definition", Value: describeWindSpeed(params) },
+    {
+      Parameter: "Wind Speed Method",
+      Value: windSpeedSettings(params).method,
+    },
+    {
+      Parameter: "Site Air Density (kg/m^3)",
+      Value: Number(params.airDensity),
+    },
+    {
+      Parameter: "Simulation Air Density (kg/m^3)",
+      Value: Number(params.simulationDensity),
+    },
+    {
+      Parameter: "Normalization",
+      Value:
+        params.normalizationMethod === NORMALIZATION_METHODS.power
+          ? "Power"
+          : "Wind speed",
+    },
+    {
+      Parameter: "Grouping",
+      Value:
+        params.binningMode === BINNING_MODES.windSpeed
+          ? `${Number(params.binWidth)} m/s bins`
+          : "Filename prefix",
+    },
+    { Parameter: "Grouping Keys", Value: keys.join(", ") },
+    { Parameter: "Filename Pattern", Value: params.filenamePattern || "" },
+    { Parameter: "Averaging Window", Value: describeWindow(params) },
+    ...(params.referenceCurve
+      ? [
+          {
+            Parameter: "Reference Curve",
+            Value: params.referenceCurveFileName,
+          },
+          {
+            Parameter: "Reference Tolerance (%)",
+            Value: Number(params.referenceTolerance),
+          },
+        ]
+      : []),
+    ...(Number(params.rotorDiameter) > 0
+      ? [
+          {
+            Parameter: "Rotor Diameter (m)",
+            Value: Number(params.rotorDiameter),
+          },
+        ]
+      : []),
+    ...(Number(params.hubHeight) > 0
+      ? [{ Parameter: "Hub Height (m)", Value: Number(params.hubHeight) }]
+      : []),
+    { Parameter: "Files Processed", Value: String(run.files ?? "") },
+    ...(run.variantFiles !== undefined
+      ? [
+          {
+            Parameter: "Variant Files Processed",
+            Value: String(run.variantFiles),
+          },
+        ]
+      : []),
+    { Parameter: "Partial", Value: run.partial ? "yes" : "no" },
+  ];
+}
@@ -1,20 +1,33 @@
+import { normalizeRecord } from "./airDensity.js";
+import {
+  BINNING_MODES,
+  DEFAULT_BIN_WIDTH,
+  binCenter,
+  binEdges,
+  fileGroupKey,
+} from "./binning.js";
+import { statColumn, statOf } from "./statistics.js";
+import { DEFAULT_CHANNELS } from "./channels.js";
+import { processFile, taskMemory } from "./processFile.js";
+import { DEFAULT_MEMORY_BUDGET, WorkerScheduler } from "./workerScheduler.js";
+import { ERROR_STAGES } from "./fileErrors.js";
+import { caseInfo, compilePattern, fieldColumn } from "./filenamePattern.js";
+import { WINDOW_COLUMNS, windowSettings } from "./timeWindow.js";
+import { windSpeedSettings } from "./windSpeed.js";
+import { applyChannelUnits, outputUnits } from "./units.js";
+
 // MEGA-SPEED optimization with Web Workers for 2640+ files / 100GB+ datasets
-const CHUNK_SIZE = 500 * 1024 * 1024; // 500MB chunks - extreme speed (10x I/O reduction)
-const MAX_CONCURRENT = Math.min(navigator?.hardwareConcurrency || 4, 32); // Up to 32 for high-end
+const MAX_CONCURRENT = Math.min(
+  (typeof navigator !== "undefined" && navigator.hardwareConcurrency) || 4,
+  32,
+); // Up to 32 for high-end
 const PROGRESS_INTERVAL = 100; // Update UI every 100ms (batched)
 
-/**
- * Lightning-fast streaming file processor using Web Workers
- * Optimized for 2640+ files and 100GB+ datasets
- *
- * NOTE: Main thread only reads file as ArrayBuffer and sends to workers
- * All heavy processing offloaded to Web Worker threads
- */
-export async function streamProcessFile(file, airDensity) {
-  // Read file as ArrayBuffer (fast binary read)
-  const arrayBuffer = await file.arrayBuffer();
-  return { arrayBuffer, fileName: file.name, airDensity };
-}
+// Module Web Worker running ./fileProcessor.worker.js
+const createBrowserWorker = () =>
+  new Worker(new URL("./fileProcessor.worker.js", import.meta.url), {
+    type: "module",
+  });
 
 /**
  * High-performance file processor using Web Workers
@@ -24,298 +37,234 @@ export async function streamProcessFile(file, airDensity) {
  * Main thread stays responsive for UI updates via requestIdleCallback batching
  */
 export class FileProcessor {
-  constructor() {
+  /**
+   * createWorker() returns an object with the Web Worker interface
+   * (postMessage, onmessage, onerror, terminate) - the CLI passes one
+   * backed by worker_threads. workerCount 0 processes on the calling
+   * thread, as the server does.
+   */
+  constructor({
+    createWorker = createBrowserWorker,
+    workerCount = MAX_CONCURRENT,
+  } = {}) {
+    this.createWorker = createWorker;
+    this.workerCount = workerCount;
     this.workers = [];
-    this.workerPool = [];
+    this.scheduler = null;
     this.taskId = 0;
     this.lastProgressUpdate = 0;
+    this.paused = false;
+    this.resumeWaiters = [];
   }
 
   /**
    * Initialize worker pool for true parallelization
-   * Each worker processes files on a separate OS thread
+   * Each worker processes files on a separate OS thread; a WorkerScheduler
+   * feeds them from a FIFO queue
    */
-  initWorkers(count = MAX_CONCURRENT) {
+  initWorkers(count = this.workerCount, memoryBudget = DEFAULT_MEMORY_BUDGET) {
+    if (this.workers.length) return;
+
     // Create Web Worker instances - each runs on separate thread
     for (let i = 0; i < count; i++) {
       try {
-        const worker = new Worker("/fileProcessor.worker.js");
-        this.workers.push(worker);
-        this.workerPool.push(worker);
+        this.workers.push(this.createWorker());
       } catch (e) {
         console.warn("Worker creation failed, falling back to main thread");
       }
     }
+    if (this.workers.length) {
+      this.scheduler = new WorkerScheduler(this.workers, { memoryBudget });
+    }
+  }
+
+  /**
+   * Per-worker utilization (tasks, busy time, bytes processed) of the last
+   * processBatches run - empty when running on the main thread
+   */
+  getWorkerStats() {
+    return this.scheduler ? this.scheduler.stats() : [];
+  }
+
+  /**
+   * Stop dispatching new files - files already running finish and keep
+   * their results
+   */
+  pause() {
+    this.paused = true;
+    this.scheduler?.pause();
+  }
+
+  resume() {
+    this.paused = false;
+    this.scheduler?.resume();
+    for (const wake of this.resumeWaiters.splice(0)) wake();
+  }
+
+  /**
+   * Resolves once resume() is called or the signal aborts
+   */
+  waitWhilePaused(signal) {
+    if (!this.paused || signal?.aborted) return Promise.resolve();
+    return new Promise((resolve) => {
+      this.resumeWaiters.push(resolve);
+      signal?.addEventListener("abort", resolve, { once: true });
+    });
   }
 
   /**
    * Process files using worker pool - TRUE PARALLELIZATION
    *
-   * Each file is processed on a separate worker thread while main thread handles UI
-   * This prevents lag during 100GB+ processing with 2640+ files
+   * Every file is queued up front (only the File handle, no content); idle
+   * workers pull the next one as long as the working memory of the files
+   * in flight (a few slices each, see taskMemory) fits the memory budget
+   *
+   * params: { airDensity, simulationDensity, normalizationMethod,
+   *           binningMode, binWidth, channels, strict,
+   *           transientMode, transientCutoff, windowEnd,
+   *           filenamePattern, groupBy,
+   *           windSpeedMethod, windSpeedChannel }
+   *
+   * Failed files are returned in `errors` ({ file, group, stage, line,
+   * message }); with `strict` the first failure rejects the whole run.
+   * Aborting `signal` terminates the workers; the files finished so far
+   * are still aggregated and returned with `partial: true`
    */
-  async processBatches(files, airDensity, onProgress) {
+  async processBatches(files, params, onProgress, signal) {
+    this.paused = false;
     this.initWorkers();
 
     const totalFiles = files.length;
     let processedCount = 0;
     const results = new Array(totalFiles);
-    const fileIndices = new Map(files.map((f, i) => [f.name, i]));
 
     // If no workers available, fall back to main thread (graceful degradation)
-    if (this.workers.length === 0) {
-      console.warn(
-        "No workers available, using fallback main-thread processing",
-      );
-      return this.processBatchesFallback(files, airDensity, onProgress);
+    if (!this.scheduler) {
+      if (this.workerCount > 0) {
+        console.warn(
+          "No workers available, using fallback main-thread processing",
+        );
+      }
+      return this.processBatchesFallback(files, params, onProgress, signal);
     }
 
-    // Create task-to-resolve map for promises
-    const taskPromises = [];
+    const channels = params.channels || DEFAULT_CHANNELS;
+    const settings = windowSettings(params);
+    const wind = windSpeedSettings(params);
+    this.scheduler.resetStats();
 
-    return new Promise(async (resolveMain, rejectMain) => {
-      try {
-        // Process each file
-        for (let fileIdx = 0; fileIdx < files.length; fileIdx++) {
-          const file = files[fileIdx];
-
-          // Read file as ArrayBuffer
-          const arrayBuffer = await file.arrayBuffer();
-
-          // Get or wait for available worker
-          let worker;
-          if (this.workerPool.length > 0) {
-            worker = this.workerPool.shift();
-          } else {
-            // Wait for a worker to become available
-            await new Promise((resolve) => {
-              const checkWorker = setInterval(() => {
-                if (this.workerPool.length > 0) {
-                  clearInterval(checkWorker);
-                  worker = this.workerPool.shift();
-                  resolve();
-                }
-              }, 10);
-            });
-          }
-
-          // Assign task to worker
-          const taskId = this.taskId++;
-
-          const taskPromise = new Promise((resolve, reject) => {
-            // One-time message handler for this task
-            const handler = (event) => {
-              const {
-                taskId: responseTaskId,
-                success,
-                result,
-                error,
-                fileName,
-              } = event.data;
-
-              if (responseTaskId === taskId) {
-                worker.removeEventListener("message", handler);
-
-                if (success) {
-                  results[fileIndices.get(fileName)] = result;
-                  processedCount++;
-
-                  // Throttled progress update (100ms) using requestIdleCallback
-                  const now = Date.now();
-                  if (now - this.lastProgressUpdate > PROGRESS_INTERVAL) {
-                    this.lastProgressUpdate = now;
-
-                    if (typeof requestIdleCallback !== "undefined") {
-                      requestIdleCallback(() => {
-                        onProgress({
-                          progress: Math.round(
-                            (processedCount / totalFiles) * 90,
-                          ),
-                          message: `Processing: ${processedCount}/${totalFiles}`,
-                          currentFile: fileName,
-                          filesProcessed: processedCount,
-                        });
-                      });
-                    } else {
-                      onProgress({
-                        progress: Math.round(
-                          (processedCount / totalFiles) * 90,
-                        ),
-                        message: `Processing: ${processedCount}/${totalFiles}`,
-                        currentFile: fileName,
-                        filesProcessed: processedCount,
-                      });
-                    }
-                  }
-
-                  // Return worker to pool for next file
-                  this.workerPool.push(worker);
-                  resolve(true);
-                } else {
-                  console.error(`Error processing ${fileName}:`, error);
-                  processedCount++;
-                  this.workerPool.push(worker);
-                  resolve(false);
-                }
-              }
-            };
-
-            worker.addEventListener("message", handler);
-          });
-
-          // Send file to worker with zero-copy transfer of ArrayBuffer
-          worker.postMessage(
-            {
-              taskId,
-              fileData: arrayBuffer,
-              fileName: file.name,
-              airDensity,
-            },
-            [arrayBuffer],
-          ); // Transfer ArrayBuffer ownership to worker
-
-          taskPromises.push(taskPromise);
-        }
-
-        // Wait for all tasks to complete
-        await Promise.all(taskPromises);
-
-        // Collect valid results
-        const individualData = results.filter(
-          (r) => r !== null && r !== undefined,
-        );
+    const reportProgress = (fileName) => {
+      const now = Date.now();
+      if (now - this.lastProgressUpdate <= PROGRESS_INTERVAL) return;
+      this.lastProgressUpdate = now;
 
+      const update = () =>
         onProgress({
-          progress: 95,
-          message: "Aggregating power curve data...",
+          progress: Math.round((processedCount / totalFiles) * 90),
+          message: `Processing: ${processedCount}/${totalFiles}`,
+          currentFile: fileName,
+          filesProcessed: processedCount,
         });
+      // Batched via requestIdleCallback where available
+      if (typeof requestIdleCallback !== "undefined") {
+        requestIdleCallback(update);
+      } else {
+        update();
+      }
+    };
+
+    const errors = [];
+    let strictFailed = false;
+    const fail = (record) => {
+      console.error(`Error processing ${record.file}:`, record.message);
+      errors.push(record);
+      if (params.strict && !strictFailed) {
+        strictFailed = true;
+        this.terminate(); // stop the remaining files
+      }
+    };
 
-        // Aggregate to power curve (single pass grouping)
-        const groups = {};
-        for (const r of individualData) {
-          const group = r.WindSpeedGroup;
-          if (!groups[group]) {
-            groups[group] = {
-              power: 0,
-              torque: 0,
-              speed: 0,
-              cp: 0,
-              ct: 0,
-              pitch1: 0,
-              pitch2: 0,
-              pitch3: 0,
-              wind: 0,
-              count: 0,
-            };
-          }
-          const g = groups[group];
-          g.power += r["Power(kW)"];
-          g.torque += r["Torque(kNm)"];
-          g.speed += r["GenSpeed(RPM)"];
-          g.cp += r.Cp;
-          g.ct += r.Ct;
-          g.pitch1 += r.Bladepitch1;
-          g.pitch2 += r.Bladepitch2;
-          g.pitch3 += r.Bladepitch3;
-          g.wind += r["WindSpeed(ms)"];
-          g.count++;
-        }
-
-        const powerCurveData = [];
-        for (const [groupKey, data] of Object.entries(groups)) {
-          const cnt = data.count;
-          powerCurveData.push({
-            WindSpeedGroup: groupKey,
-            "Power(kW)": data.power / cnt,
-            "Torque(kNm)": data.torque / cnt,
-            "GenSpeed(RPM)": data.speed / cnt,
-            Cp: data.cp / cnt,
-            Ct: data.ct / cnt,
-            Bladepitch1: data.pitch1 / cnt,
-            Bladepitch2: data.pitch2 / cnt,
-            Bladepitch3: data.pitch3 / cnt,
-            "WindSpeed(ms)": Math.round((data.wind / cnt) * 2) / 2,
-          });
-        }
-
-        // Sort by wind speed
-        const compareFn = (a, b) => a["WindSpeed(ms)"] - b["WindSpeed(ms)"];
-        individualData.sort(compareFn);
-        powerCurveData.sort(compareFn);
-
-        resolveMain({ results: individualData, powerCurve: powerCurveData });
+    const tasks = files.map(async (file, fileIdx) => {
+      try {
+        // Send the File handle itself - the worker streams it in slices,
+        // so no file content is read on the main thread
+        const { success, result, units, error, stage, line } =
+          await this.scheduler.run(
+            {
+              taskId: this.taskId++,
+              file,
+              fileName: file.name,
+              channels,
+              window: settings,
+              wind,
+            },
+            file.size,
+            taskMemory(file.size),
+          );
+        if (success) {
+          results[fileIdx] = { record: result, units, fileName: file.name };
+        } else fail(this.errorRecord(file.name, error, stage, line));
       } catch (error) {
-        rejectMain(error);
+        if (signal?.aborted || strictFailed) return; // cancelled, not failed
+        fail(this.errorRecord(file.name, error.message, ERROR_STAGES.worker));
       }
+      processedCount++;
+      reportProgress(file.name);
     });
+
+    // Cancelling tears the workers down; they are recreated on the next run
+    const cancel = () => this.terminate();
+    if (signal?.aborted) cancel();
+    signal?.addEventListener("abort", cancel, { once: true });
+    try {
+      await Promise.all(tasks);
+    } finally {
+      signal?.removeEventListener("abort", cancel);
+    }
+    if (strictFailed) throw this.strictError(errors);
+
+    // Collect valid results
+    const entries = results.filter((r) => r !== null && r !== undefined);
+    return {
+      ...this.finalizeResults(entries, params, onProgress),
+      partial: !!signal?.aborted,
+      errors,
+    };
   }
 
   /**
    * Fallback processor for when workers unavailable
-   * Processes files sequentially on main thread
+   * Processes files sequentially on main thread; pause and cancel take
+   * effect between files
    */
-  async processBatchesFallback(files, airDensity, onProgress) {
+  async processBatchesFallback(files, params, onProgress, signal) {
     const totalFiles = files.length;
     let processedCount = 0;
-    const results = new Array(totalFiles);
-    const fileIndices = new Map(files.map((f, i) => [f.name, i]));
-    const individualData = [];
+    const entries = [];
+    const errors = [];
+    const channels = params.channels || DEFAULT_CHANNELS;
+    const settings = windowSettings(params);
+    const wind = windSpeedSettings(params);
 
     // Process files sequentially (safe fallback)
-    for (let fileIdx = 0; fileIdx < files.length; fileIdx++) {
-      const file = files[fileIdx];
+    for (const file of files) {
+      await this.waitWhilePaused(signal);
+      if (signal?.aborted) break;
 
       try {
-        // Main thread parsing (slow but fallback)
-        const arrayBuffer = await file.arrayBuffer();
-        const text = new TextDecoder().decode(arrayBuffer);
-
-        // Parse file manually
-        const lines = text.split("\n");
-        let headers = null;
-        let headerIndices = null;
-        const stats = new Float64Array(15);
-
-        for (const line of lines) {
-          if (!line.trim()) continue;
-
-          if (!headers) {
-            if (line.includes("Time")) {
-              headers = line.split(/\s+/);
-              headerIndices = this.buildHeaderIndices(headers);
-              continue;
-            }
-          } else if (headerIndices) {
-            this.processLineOptimized(line, headers, headerIndices, stats);
-          }
-        }
-
-        const count = stats[14];
-        if (count > 0) {
-          const result = {
-            WindSpeedGroup: file.name.toLowerCase().includes("_seed")
-              ? file.name.toLowerCase().split("_seed")[0]
-              : file.name.replace(/\.[^/.]+$/, ""),
-            Density: airDensity,
-            "Power(kW)": stats[0] / count,
-            "Torque(kNm)": stats[1] / count,
-            "GenSpeed(RPM)": stats[2] / count,
-            Cp: stats[3] / count,
-            Ct: stats[4] / count,
-            Bladepitch1: stats[5] / count,
-            Bladepitch2: stats[6] / count,
-            Bladepitch3: stats[7] / count,
-            "WindSpeed(ms)": Math.sqrt(
-              (stats[11] / count) ** 2 +
-                (stats[12] / count) ** 2 +
-                (stats[13] / count) ** 2,
-            ),
-          };
-          results[fileIdx] = result;
-          individualData.push(result);
-        }
+        // Main thread parsing (slow but fallback) - same core as the workers
+        const { record, units } = await processFile(file, file.name, {
+          channels,
+          window: settings,
+          wind,
+        });
+        entries.push({ record, units, fileName: file.name });
       } catch (error) {
         console.error(`Error processing ${file.name}:`, error);
+        errors.push(
+          this.errorRecord(file.name, error.message, error.stage, error.line),
+        );
+        if (params.strict) throw this.strictError(errors);
       }
 
       processedCount++;
@@ -333,182 +282,234 @@ export class FileProcessor {
       }
     }
 
+    return {
+      ...this.finalizeResults(entries, params, onProgress),
+      partial: !!signal?.aborted,
+      errors,
+    };
+  }
+
+  /**
+   * One row of the per-file error report
+   */
+  errorRecord(fileName, message, stage = ERROR_STAGES.read, line = null) {
+    return {
+      file: fileName,
+      group: fileGroupKey(fileName),
+      stage,
+      line: line ?? null,
+      message,
+    };
+  }
+
+  /**
+   * Strict mode: the first failed file fails the whole run
+   */
+  strictError(errors) {
+    const [first] = errors;
+    const error = new Error(
+      `Strict mode: ${first.file} failed (${first.stage}${
+        first.line ? `, line ${first.line}` : ""
+      }): ${first.message}`,
+    );
+    error.fileErrors = errors;
+    return error;
+  }
+
+  /**
+   * Shared post-processing for worker and fallback paths: unit conversion,
+   * density normalization, power curve aggregation and sorting
+   *
+   * entries: [{ record, units, fileName }] - units are the file's units-row
+   * tokens for each mapped channel
+   */
+  finalizeResults(entries, params, onProgress) {
     onProgress({
       progress: 95,
       message: "Aggregating power curve data...",
     });
 
-    // Aggregate (same as worker version)
-    const groups = {};
-    for (const r of individualData) {
-      const group = r.WindSpeedGroup;
-      if (!groups[group]) {
-        groups[group] = {
-          power: 0,
-          torque: 0,
-          speed: 0,
-          cp: 0,
-          ct: 0,
-          pitch1: 0,
-          pitch2: 0,
-          pitch3: 0,
-          wind: 0,
-          count: 0,
-        };
-      }
-      const g = groups[group];
-      g.power += r["Power(kW)"];
-      g.torque += r["Torque(kNm)"];
-      g.speed += r["GenSpeed(RPM)"];
-      g.cp += r.Cp;
-      g.ct += r.Ct;
-      g.pitch1 += r.Bladepitch1;
-      g.pitch2 += r.Bladepitch2;
-      g.pitch3 += r.Bladepitch3;
-      g.wind += r["WindSpeed(ms)"];
-      g.count++;
-    }
-
-    const powerCurveData = [];
-    for (const [groupKey, data] of Object.entries(groups)) {
-      const cnt = data.count;
-      powerCurveData.push({
-        WindSpeedGroup: groupKey,
-        "Power(kW)": data.power / cnt,
-        "Torque(kNm)": data.torque / cnt,
-        "GenSpeed(RPM)": data.speed / cnt,
-        Cp: data.cp / cnt,
-        Ct: data.ct / cnt,
-        Bladepitch1: data.pitch1 / cnt,
-        Bladepitch2: data.pitch2 / cnt,
-        Bladepitch3: data.pitch3 / cnt,
-        "WindSpeed(ms)": Math.round((data.wind / cnt) * 2) / 2,
-      });
-    }
+    const channels = params.channels || DEFAULT_CHANNELS;
+    const unitReport = { converted: new Set(), mismatched: new Set() };
+    const compiled = compilePattern(params.filenamePattern);
+    const individualData = entries.map(({ record, units, fileName }) => {
+      const normalized = normalizeRecord(
+        applyChannelUnits(record, channels, units, unitReport),
+        params,
+      );
+      delete normalized.WindSpeedGroup;
+      // Case columns from the filename pattern follow the group
+      const { columns, group } = caseInfo(fileName, compiled, params.groupBy);
+      return {
+        WindSpeedGroup: group,
+        FileName: fileName,
+        ...columns,
+        ...normalized,
+      };
+    });
+    const powerCurveData = this.aggregatePowerCurve(individualData, params);
 
     const compareFn = (a, b) => a["WindSpeed(ms)"] - b["WindSpeed(ms)"];
     individualData.sort(compareFn);
     powerCurveData.sort(compareFn);
 
-    return { results: individualData, powerCurve: powerCurveData };
-  }
-
-  /**
-   * Pre-build header indices for O(1) lookups
-   */
-  buildHeaderIndices(headers) {
-    const indices = {};
-    for (let i = 0; i < headers.length; i++) {
-      const h = headers[i];
-      if (h === "GenPwr") indices.genPwr = i;
-      else if (h === "GenTq") indices.torque = i;
-      else if (h === "GenSpeed") indices.rpm = i;
-      else if (h === "RtAeroCp") indices.cp = i;
-      else if (h === "RtAeroCt") indices.ct = i;
-      else if (h === "BldPitch1") indices.pitch1 = i;
-      else if (h === "BldPitch2") indices.pitch2 = i;
-      else if (h === "BldPitch3") indices.pitch3 = i;
-      else if (h === "WindHubVelX") indices.windX = i;
-      else if (h === "WindHubVelY") indices.windY = i;
-      else if (h === "WindHubVelZ") indices.windZ = i;
-    }
-    return indices;
+    const sourceUnits = entries[0]?.units;
+    return {
+      results: individualData,
+      powerCurve: powerCurveData,
+      units: {
+        individual: outputUnits(individualData, channels, sourceUnits),
+        powerCurve: outputUnits(powerCurveData, channels, sourceUnits),
+      },
+      unitReport: {
+        converted: [...unitReport.converted],
+        mismatched: [...unitReport.mismatched],
+      },
+    };
   }
 
   /**
-   * Ultra-fast line processing - no intermediate objects
+   * Average every numeric column of the per-file records by group (single pass)
+   * Statistic columns reduce by kind: _min/_max take the extreme, _std pools
+   * the within-file variance, and each _std channel gains a _seedStd column
+   * with the spread of the per-file means across seeds. The averaging window
+   * columns only describe single files and are left out.
+   *
+   * Groups are either WindSpeedGroup (the filename prefix, or the chosen
+   * filename pattern keys) or, in wind speed binning mode, fixed-width bins
+   * of the per-file WindSpeedNorm(ms) - the density-normalized speed, as
+   * IEC bins it - split further by any pattern keys. Either way the wind
+   * speed columns are the means of their files.
    */
-  processLineOptimized(line, headers, indices, stats) {
-    // Fast whitespace split (no regex)
-    let start = 0;
-    let valIdx = 0;
-    const len = line.length;
-    const values = [];
-
-    for (let i = 0; i <= len; i++) {
-      const c = line.charCodeAt(i);
-      const isSpace = i === len || c <= 32; // space, tab, newline, etc.
-
-      if (!isSpace) {
-        if (start === i) start = i;
-      } else if (start < i) {
-        values[valIdx++] = line.substring(start, i);
-        start = i + 1;
+  aggregatePowerCurve(individualData, params = {}) {
+    const byBin = params.binningMode === BINNING_MODES.windSpeed;
+    const binWidth = Number(params.binWidth) || DEFAULT_BIN_WIDTH;
+
+    // Case columns from the filename pattern are per-file labels, not
+    // measurements; the ones chosen as grouping keys are carried over
+    const compiled = compilePattern(params.filenamePattern);
+    const caseColumns = compiled.fields.map(fieldColumn);
+    const keyColumns = (params.groupBy || [])
+      .filter((field) => compiled.fields.includes(field))
+      .map(fieldColumn);
+    const splitBins = byBin && keyColumns.length > 0;
+    const skipColumns = new Set([...WINDOW_COLUMNS, ...caseColumns]);
+
+    const groups = new Map();
+    for (const r of individualData) {
+      const center = byBin
+        ? binCenter(r["WindSpeedNorm(ms)"] ?? r["WindSpeed(ms)"], binWidth)
+        : null;
+      const key = !byBin
+        ? r.WindSpeedGroup
+        : splitBins
+          ? `${center}|${r.WindSpeedGroup}`
+          : center;
+      let g = groups.get(key);
+      if (!g) {
+        g = {
+          cols: {},
+          count: 0,
+          center,
+          caseKey: r.WindSpeedGroup,
+          keyValues: Object.fromEntries(keyColumns.map((c) => [c, r[c]])),
+        };
+        groups.set(key, g);
+      }
+      for (const col in r) {
+        const v = r[col];
+        if (typeof v !== "number" || skipColumns.has(col)) continue;
+        const c = (g.cols[col] ||= {
+          sum: 0,
+          sumSq: 0,
+          min: Infinity,
+          max: -Infinity,
+        });
+        c.sum += v;
+        c.sumSq += v * v;
+        if (v < c.min) c.min = v;
+        if (v > c.max) c.max = v;
       }
+      g.count++;
     }
 
-    if (values.length < 8) return; // Minimum fields required
+    const powerCurveData = [];
+    for (const [key, { cols, count, center, caseKey, keyValues }] of groups) {
+      const values = {};
+      for (const col in cols) {
+        const { sum, sumSq, min, max } = cols[col];
+        const stat = statOf(col);
+        if (stat === "min") values[col] = min;
+        else if (stat === "max") values[col] = max;
+        // Within-file spread: pool the per-file variances
+        else if (stat === "std") values[col] = Math.sqrt(sumSq / count);
+        else values[col] = sum / count;
+
+        // Seed-to-seed spread of the mean for channels that track spread
+        if (cols[statColumn(col, "std")]) {
+          const mean = sum / count;
+          values[statColumn(col, "seedStd")] =
+            count > 1
+              ? Math.sqrt(
+                  Math.max(0, (sumSq - count * mean * mean) / (count - 1)),
+                )
+              : 0;
+        }
+      }
 
-    // Direct accumulation into Float64Array
-    if (indices.genPwr !== undefined) {
-      const v = parseFloat(values[indices.genPwr]);
-      if (!isNaN(v)) stats[0] += v;
-    }
-    if (indices.torque !== undefined) {
-      const v = parseFloat(values[indices.torque]);
-      if (!isNaN(v)) stats[1] += v;
-    }
-    if (indices.rpm !== undefined) {
-      const v = parseFloat(values[indices.rpm]);
-      if (!isNaN(v)) stats[2] += v;
-    }
-    if (indices.cp !== undefined) {
-      const v = parseFloat(values[indices.cp]);
-      if (!isNaN(v)) stats[3] += v;
-    }
-    if (indices.ct !== undefined) {
-      const v = parseFloat(values[indices.ct]);
-      if (!isNaN(v)) stats[4] += v;
-    }
-    if (indices.pitch1 !== undefined) {
-      const v = parseFloat(values[indices.pitch1]);
-      if (!isNaN(v)) stats[5] += v;
-    }
-    if (indices.pitch2 !== undefined) {
-      const v = parseFloat(values[indices.pitch2]);
-      if (!isNaN(v)) stats[6] += v;
-    }
-    if (indices.pitch3 !== undefined) {
-      const v = parseFloat(values[indices.pitch3]);
-      if (!isNaN(v)) stats[7] += v;
-    }
-    if (indices.windX !== undefined) {
-      const v = parseFloat(values[indices.windX]);
-      if (!isNaN(v)) stats[11] += v;
-    }
-    if (indices.windY !== undefined) {
-      const v = parseFloat(values[indices.windY]);
-      if (!isNaN(v)) stats[12] += v;
-    }
-    if (indices.windZ !== undefined) {
-      const v = parseFloat(values[indices.windZ]);
-      if (!isNaN(v)) stats[13] += v;
+      if (byBin) {
+        // IEC: the bin wind speed is the mean of its samples, not the centre
+        const { lower, upper } = binEdges(center, binWidth);
+        powerCurveData.push({
+          WindSpeedGroup: splitBins
+            ? `${center.toFixed(2)}, ${caseKey}`
+            : center.toFixed(2),
+          ...keyValues,
+          "BinCenter(ms)": center,
+          "BinLower(ms)": lower,
+          "BinUpper(ms)": upper,
+          Samples: count,
+          ...values,
+        });
+      } else {
+        powerCurveData.push({
+          WindSpeedGroup: key,
+          ...keyValues,
+          Samples: count,
+          ...values,
+        });
+      }
     }
 
-    stats[14]++; // Increment count
+    return powerCurveData;
   }
 
   /**
    * Terminate all workers and clean up resources
    */
   terminate() {
+    this.scheduler?.clear(new Error("File processor terminated"));
     for (const worker of this.workers) {
       worker.terminate();
     }
     this.workers = [];
-    this.workerPool = [];
+    this.scheduler = null;
   }
 }
 
+// Quote CSV cells holding a delimiter, quote or line break (RFC 4180)
+const csvCell = (s) => (/[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s);
+
 /**
  * Format helpers (optimized for large datasets)
  */
-export function toCSV(data) {
+export function toCSV(data, units = null) {
   if (!data || !data.length) return "";
 
   const headers = Object.keys(data[0]);
   const lines = [];
   lines.push(headers.join(","));
+  if (units) lines.push(headers.map((h) => units[h] || "").join(","));
 
   // Stream-like processing to reduce memory
   for (let i = 0; i < data.length; i++) {
@@ -516,7 +517,8 @@ export function toCSV(data) {
     const values = new Array(headers.length);
     for (let j = 0; j < headers.length; j++) {
       const val = row[headers[j]];
-      values[j] = typeof val === "number" ? val.toFixed(6) : String(val ?? "");
+      values[j] =
+        typeof val === "number" ? val.toFixed(6) : csvCell(String(val ?? ""));
     }
     lines.push(values.join(","));
   }
@@ -524,15 +526,20 @@ export function toCSV(data) {
   return lines.join("\n");
 }
 
-export function toFWTXT(data) {
+export function toFWTXT(data, units = null) {
   if (!data || !data.length) return "";
 
   const headers = Object.keys(data[0]);
+  const unitCells = units ? headers.map((h) => units[h] || "") : null;
 
   // Calculate column widths with single pass
   const colWidths = new Array(headers.length);
   for (let j = 0; j < headers.length; j++) {
-    colWidths[j] = Math.max(headers[j].length, 15);
+    colWidths[j] = Math.max(
+      headers[j].length,
+      unitCells ? unitCells[j].length : 0,
+      15,
+    );
   }
 
   // Update widths based on data (single pass)
@@ -553,6 +560,9 @@ export function toFWTXT(data) {
   const separator = colWidths.map((w) => "=".repeat(w)).join("=|=");
 
   lines.push(headerLine);
+  if (unitCells) {
+    lines.push(unitCells.map((u, i) => u.padEnd(colWidths[i])).join(" | "));
+  }
   lines.push(separator);
 
   // Format rows
@@ -571,7 +581,7 @@ export function toFWTXT(data) {
   return lines.join("\n");
 }
 
-export async function toXLSXBlob(data, sheetName = "Sheet1") {
+export async function toXLSXBlob(data, sheetName = "Sheet1", units = null) {
   const XLSX = (await import("xlsx")).default || (await import("xlsx"));
 
   if (!data || !data.length) return new Blob([]);
@@ -585,7 +595,8 @@ export async function toXLSXBlob(data, sheetName = "Sheet1") {
   );
 
   const wb = XLSX.utils.book_new();
-  const ws = XLSX.utils.aoa_to_sheet([headers, ...rows]);
+  const unitRow = units ? [headers.map((h) => units[h] || "")] : [];
+  const ws = XLSX.utils.aoa_to_sheet([headers, ...unitRow, ...rows]);
   XLSX.utils.book_append_sheet(wb, ws, sheetName);
 
   const arrayBuffer = XLSX.write(wb, { bookType: "xlsx", type: "array" });
@@ -594,14 +605,62 @@ export async function toXLSXBlob(data, sheetName = "Sheet1") {
   });
 }
 
-export async function createZipPackage(resultsByFormat) {
+// Formats toFormatFile can build
+export const OUTPUT_FORMATS = ["csv", "xlsx", "fw.txt"];
+
+/**
+ * Build one output file ({ blob, filename, type }) in the given format
+ * `units` (column -> unit) adds a units row below the header
+ */
+export async function toFormatFile(
+  fmt,
+  data,
+  baseName,
+  sheetName,
+  units = null,
+) {
+  if (fmt === "csv") {
+    return {
+      blob: new Blob([toCSV(data, units)], { type: "text/csv" }),
+      filename: `${baseName}.csv`,
+      type: "text/csv",
+    };
+  }
+  if (fmt === "fw.txt") {
+    return {
+      blob: new Blob([toFWTXT(data, units)], { type: "text/plain" }),
+      filename: `${baseName}.fw.txt`,
+      type: "text/plain",
+    };
+  }
+  if (fmt === "xlsx") {
+    const type =
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+    return {
+      blob: await toXLSXBlob(data, sheetName, units),
+      filename: `${baseName}.xlsx`,
+      type,
+    };
+  }
+  throw new Error(`Unknown output format: ${fmt}`);
+}
+
+/**
+ * ZIP of every output file; `extraFiles` ({ filename, blob }) are added
+ * alongside them
+ */
+export async function createZipPackage(resultsByFormat, extraFiles = []) {
   const JSZip = (await import("jszip")).default;
   const zip = new JSZip();
 
+  // Added as ArrayBuffers - JSZip reads Blobs only in the browser
   for (const fmt of Object.keys(resultsByFormat)) {
-    const r = resultsByFormat[fmt];
-    zip.file(r.individual.filename, r.individual.blob);
-    zip.file(r.powerCurve.filename, r.powerCurve.blob);
+    for (const file of Object.values(resultsByFormat[fmt])) {
+      zip.file(file.filename, file.blob.arrayBuffer());
+    }
+  }
+  for (const file of extraFiles) {
+    zip.file(file.filename, file.blob.arrayBuffer());
   }
 
   return await zip.generateAsync({ type: "blob" });
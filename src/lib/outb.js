@@ -0,0 +1,212 @@
+// OpenFAST binary output (.outb) decoder
+
+// FileFmtID values written by OpenFAST (NWTC_IO WrBinFAST)
+const FMT_WITH_TIME = 1; // int16 channels, int32 packed time column
+const FMT_WITHOUT_TIME = 2; // int16 channels, time from start + increment
+const FMT_NO_COMPRESS_WITHOUT_TIME = 3; // float64 channels, no scale/offset
+const FMT_CHAN_LEN_IN = 4; // as 2, with the channel name length in the file
+
+export const isOutbFile = (name) => name.toLowerCase().endsWith(".outb");
+
+/**
+ * Parse the .outb header. The buffer only needs to hold the header -
+ * `dataOffset` tells how many bytes that is; when the buffer is too short
+ * `complete` is false and `dataOffset` is the minimum size still needed.
+ *
+ * Channel names and units include Time at index 0; packed data columns
+ * start at channel 1.
+ */
+export function parseOutbHeader(buffer) {
+  const view = new DataView(buffer);
+  const need = (n) => pos + n <= buffer.byteLength;
+  let pos = 0;
+
+  const fileId = view.getInt16(pos, true);
+  pos += 2;
+  if (fileId < FMT_WITH_TIME || fileId > FMT_CHAN_LEN_IN) {
+    throw new Error(`Unsupported .outb format id ${fileId}`);
+  }
+
+  let nameLength = 10;
+  if (fileId === FMT_CHAN_LEN_IN) {
+    nameLength = view.getInt16(pos, true);
+    pos += 2;
+  }
+
+  const numChannels = view.getInt32(pos, true);
+  const numSteps = view.getInt32(pos + 4, true);
+  pos += 8;
+
+  const timeA = view.getFloat64(pos, true);
+  const timeB = view.getFloat64(pos + 8, true);
+  pos += 16;
+
+  const scale = new Float64Array(numChannels).fill(1);
+  const offset = new Float64Array(numChannels);
+  if (fileId !== FMT_NO_COMPRESS_WITHOUT_TIME) {
+    if (!need(numChannels * 8 + 4)) {
+      return { complete: false, dataOffset: pos + numChannels * 8 + 4 };
+    }
+    for (let i = 0; i < numChannels; i++) {
+      scale[i] = view.getFloat32(pos + i * 4, true);
+      offset[i] = view.getFloat32(pos + (numChannels + i) * 4, true);
+    }
+    pos += numChannels * 8;
+  }
+
+  const descLength = view.getInt32(pos, true);
+  pos += 4;
+  const namesBytes = (numChannels + 1) * nameLength * 2;
+  if (!need(descLength + namesBytes)) {
+    return { complete: false, dataOffset: pos + descLength + namesBytes };
+  }
+
+  const decoder = new TextDecoder("latin1");
+  const readString = (len) => {
+    const s = decoder.decode(new Uint8Array(buffer, pos, len)).trim();
+    pos += len;
+    return s;
+  };
+
+  const description = readString(descLength);
+  const names = [];
+  const units = [];
+  for (let i = 0; i <= numChannels; i++) names.push(readString(nameLength));
+  for (let i = 0; i <= numChannels; i++) units.push(readString(nameLength));
+
+  const header = {
+    complete: true,
+    fileId,
+    numChannels,
+    numSteps,
+    description,
+    names,
+    units,
+    scale,
+    offset,
+    valueBytes: fileId === FMT_NO_COMPRESS_WITHOUT_TIME ? 8 : 2,
+  };
+
+  if (fileId === FMT_WITH_TIME) {
+    header.timeScale = timeA;
+    header.timeOffset = timeB;
+    header.timeOffsetBytes = pos;
+    pos += numSteps * 4;
+  } else {
+    header.timeStart = timeA;
+    header.timeIncrement = timeB;
+  }
+
+  header.dataOffset = pos;
+  return header;
+}
+
+/**
+ * Read and parse the header of an .outb File, fetching only the bytes
+ * the header occupies
+ */
+export async function readOutbHeader(file, scanBytes = 64 * 1024) {
+  let header = parseOutbHeader(await file.slice(0, scanBytes).arrayBuffer());
+  if (!header.complete) {
+    header = parseOutbHeader(
+      await file.slice(0, header.dataOffset).arrayBuffer(),
+    );
+  }
+  if (!header.complete) throw new Error(`Truncated .outb header`);
+  return header;
+}
+
+/**
+ * First and last Time value of an .outb File
+ */
+export async function readOutbTimeRange(file, header) {
+  const steps = Math.max(0, header.numSteps - 1);
+  if (header.fileId !== FMT_WITH_TIME) {
+    return {
+      first: header.timeStart,
+      last: header.timeStart + steps * header.timeIncrement,
+    };
+  }
+  const packedAt = async (t) => {
+    const at = header.timeOffsetBytes + t * 4;
+    const view = new DataView(await file.slice(at, at + 4).arrayBuffer());
+    return (view.getInt32(0, true) - header.timeOffset) / header.timeScale;
+  };
+  return { first: await packedAt(0), last: await packedAt(steps) };
+}
+
+/**
+ * Decode every time step of an .outb File, pushing channel values into
+ * accumulators. `targets` is a list of { index, stats } where index is the
+ * position in header.names (0 = Time) and stats has a push(value) method.
+ *
+ * The file is read in row-aligned slices of about `chunkSize` bytes, so
+ * memory stays bounded whatever the file size.
+ *
+ * Only steps with window.start <= Time <= window.end are accumulated;
+ * `span` ({ first, last, steps }) records the Time range actually used.
+ * `onRow(time)` is called after the targets of each accumulated step.
+ */
+export async function streamOutb(
+  file,
+  header,
+  targets,
+  chunkSize,
+  { window = null, span = null, onRow = null } = {},
+) {
+  const { numChannels, numSteps, scale, offset, valueBytes } = header;
+  const rowBytes = numChannels * valueBytes;
+
+  const expected = header.dataOffset + numSteps * rowBytes;
+  if (file.size < expected) {
+    throw new Error(`Truncated .outb file: ${file.size} of ${expected} bytes`);
+  }
+
+  const packedTime = header.fileId === FMT_WITH_TIME;
+  const stepsPerChunk = Math.max(1, Math.floor(chunkSize / rowBytes));
+
+  for (let first = 0; first < numSteps; first += stepsPerChunk) {
+    const steps = Math.min(stepsPerChunk, numSteps - first);
+    const rowsStart = header.dataOffset + first * rowBytes;
+    const rows = new DataView(
+      await file.slice(rowsStart, rowsStart + steps * rowBytes).arrayBuffer(),
+    );
+
+    let times = null;
+    if (packedTime) {
+      const timesStart = header.timeOffsetBytes + first * 4;
+      times = new DataView(
+        await file.slice(timesStart, timesStart + steps * 4).arrayBuffer(),
+      );
+    }
+    const timeAt = (t) =>
+      packedTime
+        ? (times.getInt32(t * 4, true) - header.timeOffset) / header.timeScale
+        : header.timeStart + (first + t) * header.timeIncrement;
+
+    for (let t = 0; t < steps; t++) {
+      const time = timeAt(t);
+      if (window && (time < window.start || time > window.end)) continue;
+      if (span) {
+        if (!span.steps++) span.first = time;
+        span.last = time;
+      }
+
+      const rowStart = t * rowBytes;
+      for (let k = 0; k < targets.length; k++) {
+        const { index, stats } = targets[k];
+        if (index === 0) {
+          stats.push(time);
+          continue;
+        }
+        const col = index - 1;
+        const packed =
+          valueBytes === 8
+            ? rows.getFloat64(rowStart + col * 8, true)
+            : rows.getInt16(rowStart + col * 2, true);
+        stats.push((packed - offset[col]) / scale[col]);
+      }
+      onRow?.(time);
+    }
+  }
+}
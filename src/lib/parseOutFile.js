@@ -1,3 +1,8 @@
+import { DEFAULT_CHANNELS } from "./channels.js";
+import { FileProcessor } from "./optimizedProcessing.js";
+import { processFile } from "./processFile.js";
+import { DEFAULT_WINDOW_PARAMS, windowSettings } from "./timeWindow.js";
+
 /* ======= helpers: parseOutFile (OPTIMIZED) ======= */
 export function parseOutFile(fileContent, timeColumn = "Time") {
   const lines = fileContent.split(/\r?\n/);
@@ -19,6 +24,7 @@ export function parseOutFile(fileContent, timeColumn = "Time") {
   }
 
   const headers = lines[headerIdx].trim().split(/\s+/);
+  const units = (lines[headerIdx + 1] || "").trim().split(/\s+/);
   const data = [];
 
   // Pre-calculate for aggregates
@@ -46,141 +52,47 @@ export function parseOutFile(fileContent, timeColumn = "Time") {
     data.push(row);
   }
 
-  return { headers, data, stats };
+  return { headers, units, data, stats };
 }
 
-/* ======= helpers: processOpenFASTOutFiles (MATCHES YOUR FIRST FILE) ======= */
-const COLUMNS = {
-  time: "Time",
-  genPwr: "GenPwr",
-  torque: "GenTq",
-  rpm: "GenSpeed",
-  cp: "RtAeroCp",
-  ct: "RtAeroCt",
-  bladePitch1: "BldPitch1",
-  bladePitch2: "BldPitch2",
-  bladePitch3: "BldPitch3",
-  windX: "WindHubVelX",
-  windY: "WindHubVelY",
-  windZ: "WindHubVelZ",
-};
-
-const mean = (arr) =>
-  arr && arr.length ? arr.reduce((a, b) => a + b, 0) / arr.length : 0;
-
-const groupKey = (name) =>
-  name.toLowerCase().includes("_seed")
-    ? name.toLowerCase().split("_seed")[0]
-    : name.replace(/\.[^/.]+$/, "");
-
-export function processOpenFASTOutFiles(files, airDensity = 1.225) {
-  const individualData = [];
-
+/* ======= helpers: processOpenFASTOutFiles ======= */
+// Same per-file core (./processFile) and aggregation as the worker path
+
+/**
+ * Per-file records and power curve for in-memory files ({ name, content })
+ * A file that cannot be processed throws its fileError. Async since 0.2.0.
+ */
+export async function processOpenFASTOutFiles(
+  files,
+  airDensity = 1.225,
+  channels = DEFAULT_CHANNELS,
+) {
+  const settings = windowSettings(DEFAULT_WINDOW_PARAMS);
+  const entries = [];
   for (const file of files) {
-    const parsed = parseOutFile(file.content, COLUMNS.time);
-    const { data, stats } = parsed;
-    if (!data || !data.length) continue;
-
-    // Single-pass wind speed aggregation
-    let windSum = 0;
-    for (let i = 0; i < data.length; i++) {
-      const r = data[i];
-      windSum += Math.sqrt(
-        (r[COLUMNS.windX] || 0) ** 2 +
-          (r[COLUMNS.windY] || 0) ** 2 +
-          (r[COLUMNS.windZ] || 0) ** 2,
-      );
-    }
-
-    const mean = (sum, count) => (count ? sum / count : 0);
-
-    const record = {
-      WindSpeedGroup: groupKey(file.name),
-      FileName: file.name,
-      "Power(kW)": mean(stats[COLUMNS.genPwr].sum, stats[COLUMNS.genPwr].count),
-      "Torque(kNm)": mean(
-        stats[COLUMNS.torque].sum,
-        stats[COLUMNS.torque].count,
-      ),
-      "GenSpeed(RPM)": mean(stats[COLUMNS.rpm].sum, stats[COLUMNS.rpm].count),
-      Cp: mean(stats[COLUMNS.cp].sum, stats[COLUMNS.cp].count),
-      Ct: mean(stats[COLUMNS.ct].sum, stats[COLUMNS.ct].count),
-      Bladepitch1: mean(
-        stats[COLUMNS.bladePitch1].sum,
-        stats[COLUMNS.bladePitch1].count,
-      ),
-      Bladepitch2: mean(
-        stats[COLUMNS.bladePitch2].sum,
-        stats[COLUMNS.bladePitch2].count,
-      ),
-      Bladepitch3: mean(
-        stats[COLUMNS.bladePitch3].sum,
-        stats[COLUMNS.bladePitch3].count,
-      ),
-      "WindSpeed(ms)": Math.round(mean(windSum, data.length) * 2) / 2,
-    };
-
-    individualData.push(record);
-  }
-
-  const groups = {};
-  for (let i = 0; i < individualData.length; i++) {
-    const r = individualData[i];
-    if (!groups[r.WindSpeedGroup]) {
-      groups[r.WindSpeedGroup] = [];
-    }
-    groups[r.WindSpeedGroup].push(r);
-  }
-
-  const powerCurveData = [];
-  for (const [g, rows] of Object.entries(groups)) {
-    let powerSum = 0,
-      torqueSum = 0,
-      speedSum = 0,
-      cpSum = 0,
-      ctSum = 0;
-    let pitch1Sum = 0,
-      pitch2Sum = 0,
-      pitch3Sum = 0,
-      windSum = 0;
-    const count = rows.length;
-
-    for (let i = 0; i < count; i++) {
-      const r = rows[i];
-      powerSum += r["Power(kW)"];
-      torqueSum += r["Torque(kNm)"];
-      speedSum += r["GenSpeed(RPM)"];
-      cpSum += r.Cp;
-      ctSum += r.Ct;
-      pitch1Sum += r["Bladepitch1"];
-      pitch2Sum += r["Bladepitch2"];
-      pitch3Sum += r["Bladepitch3"];
-      windSum += r["WindSpeed(ms)"];
-    }
-
-    powerCurveData.push({
-      WindSpeedGroup: g,
-      "Power(kW)": powerSum / count,
-      "Torque(kNm)": torqueSum / count,
-      "GenSpeed(RPM)": speedSum / count,
-      Cp: cpSum / count,
-      Ct: ctSum / count,
-      Bladepitch1: pitch1Sum / count,
-      Bladepitch2: pitch2Sum / count,
-      Bladepitch3: pitch3Sum / count,
-      "WindSpeed(ms)": Math.round((windSum / count) * 2) / 2,
-    });
+    const { record, units } = await processFile(
+      new Blob([file.content]),
+      file.name,
+      { channels, window: settings },
+    );
+    entries.push({ record, units, fileName: file.name });
   }
 
-  const base = groupKey(files[0]?.name || "openfast");
+  const { results, powerCurve, unitReport } =
+    new FileProcessor().finalizeResults(
+      entries,
+      { airDensity, simulationDensity: airDensity, channels },
+      () => {},
+    );
 
   return {
-    individualData,
-    powerCurveData,
+    individualData: results,
+    powerCurveData: powerCurve,
     baseName: {
       individual: `final_individual_${Date.now()}`,
       powerCurve: `final_powercurve_${Date.now()}`,
     },
+    unitReport,
   };
 }
 
@@ -0,0 +1,126 @@
+// Named processing presets: saved in the browser, exported and imported as
+// versioned JSON, and embedded in every output ZIP
+import { SETTINGS_KEYS, pickSettings } from "./settings.js";
+import { validateChannelMapping } from "./channels.js";
+
+const STORAGE_KEY = "powerCurve.presets";
+
+export const PRESET_FORMAT = "power-curve-preset";
+export const PRESET_VERSION = 1;
+// Name of the preset file inside the output ZIP
+export const PRESET_ZIP_NAME = "preset.json";
+
+/**
+ * Preset of the processing settings of a state object
+ */
+export function createPreset(name, state) {
+  return {
+    format: PRESET_FORMAT,
+    version: PRESET_VERSION,
+    name,
+    createdAt: new Date().toISOString(),
+    settings: pickSettings(state),
+  };
+}
+
+/**
+ * Preset of the settings a finished run was made with, named after the
+ * preset chosen for it
+ */
+export const runPreset = (run) => ({
+  format: PRESET_FORMAT,
+  version: PRESET_VERSION,
+  name: run.presetName || "Run settings",
+  createdAt: new Date(run.createdAt).toISOString(),
+  settings: run.settings,
+});
+
+export const presetToJSON = (preset) => JSON.stringify(preset, null, 2);
+
+/**
+ * Read a preset file. Only known settings are taken over; settings the file
+ * lacks (a preset from an older version) keep their current values.
+ * Throws on anything that is not a usable preset.
+ */
+export function parsePreset(text) {
+  let preset;
+  try {
+    preset = JSON.parse(text);
+  } catch {
+    throw new Error("Preset is not valid JSON");
+  }
+  if (preset?.format !== PRESET_FORMAT) {
+    throw new Error("Not a power curve preset file");
+  }
+  if (!Number.isInteger(preset.version) || preset.version > PRESET_VERSION) {
+    throw new Error(
+      `Unsupported preset version ${preset.version} (this app reads up to ${PRESET_VERSION})`,
+    );
+  }
+  if (typeof preset.settings !== "object" || preset.settings === null) {
+    throw new Error("Preset has no settings");
+  }
+
+  const settings = Object.fromEntries(
+    SETTINGS_KEYS.filter((key) => key in preset.settings).map((key) => [
+      key,
+      preset.settings[key],
+    ]),
+  );
+  if (settings.channelMapping) {
+    const error = Array.isArray(settings.channelMapping)
+      ? validateChannelMapping(settings.channelMapping)
+      : "channel mapping is not a list";
+    if (error) throw new Error(`Preset channel mapping: ${error}`);
+  }
+  if (settings.formats && !Array.isArray(settings.formats)) {
+    throw new Error("Preset formats are not a list");
+  }
+
+  return {
+    format: PRESET_FORMAT,
+    version: PRESET_VERSION,
+    name: String(preset.name || "Imported preset"),
+    createdAt: preset.createdAt || new Date().toISOString(),
+    settings,
+  };
+}
+
+/**
+ * File name for an exported preset: "Site A 1.18" -> "site_a_1_18.preset.json"
+ */
+export const presetFileName = (name) =>
+  `${
+    name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "_")
+      .replace(/^_|_$/g, "") || "preset"
+  }.preset.json`;
+
+export function loadPresets() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (Array.isArray(saved)) return saved;
+  } catch (e) {
+    console.warn("Ignoring saved presets:", e);
+  }
+  return [];
+}
+
+/**
+ * Store a preset, replacing any with the same name; returns the new list
+ */
+export function savePreset(preset) {
+  const presets = [
+    ...loadPresets().filter((p) => p.name !== preset.name),
+    preset,
+  ].sort((a, b) => a.name.localeCompare(b.name));
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+  return presets;
+}
+
+export function deletePreset(name) {
+  const presets = loadPresets().filter((p) => p.name !== name);
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+  return presets;
+}
@@ -0,0 +1,17 @@
+// Web Worker for the time-series preview of a single file
+import { previewFile } from "./timeSeries.js";
+
+self.onmessage = async (event) => {
+  const { id, file, fileName, options } = event.data;
+  try {
+    const result = await previewFile(file, fileName, options);
+    self.postMessage({ id, success: true, result });
+  } catch (error) {
+    self.postMessage({
+      id,
+      success: false,
+      error: error.message,
+      line: error.line ?? null,
+    });
+  }
+};
@@ -0,0 +1,314 @@
+// Per-file parsing and statistics - the single implementation behind the
+// worker (./fileProcessor.worker.js), the main-thread fallback and
+// processOpenFASTOutFiles, so every path reports the same numbers
+import { StreamingStats, statColumn } from "./statistics.js";
+import { WIND_CHANNELS, channelPercentiles } from "./channels.js";
+import {
+  isOutbFile,
+  readOutbHeader,
+  readOutbTimeRange,
+  streamOutb,
+} from "./outb.js";
+import { CHUNK_SIZE, readLines } from "./fileStream.js";
+import { ERROR_STAGES, fileError } from "./fileErrors.js";
+import { fileGroupKey } from "./binning.js";
+import {
+  HubWindSpeed,
+  WIND_SPEED_LABELS,
+  windComponents,
+  windSpeedSettings,
+} from "./windSpeed.js";
+import {
+  needsLastTime,
+  readLastLine,
+  resolveTextWindow,
+  resolveWindow,
+} from "./timeWindow.js";
+
+const MIN_FIELDS = 8; // shorter rows are never data rows
+// Copies of a slice alive at once while it is parsed: the bytes, the
+// decoded text (two bytes per character) and the carried-over line
+const SLICE_COPIES = 3;
+
+/**
+ * Peak working memory of processing a file of `size` bytes - files are
+ * read slice by slice, so this is bounded by the slice, not the file
+ */
+export const taskMemory = (size) => Math.min(size, CHUNK_SIZE) * SLICE_COPIES;
+
+/**
+ * One streaming accumulator per mapped channel, percentiles only where
+ * requested, plus the hub wind speed reduction
+ */
+export function createAccumulators(channels, wind = windSpeedSettings({})) {
+  return {
+    channels: channels.map((ch) => new StreamingStats(channelPercentiles(ch))),
+    wind: new HubWindSpeed(wind.method),
+    span: { first: NaN, last: NaN, steps: 0 }, // Time range and rows averaged
+  };
+}
+
+/**
+ * Header positions of the mapped channels, the wind components, the wind
+ * speed channel (channel method only) and Time
+ */
+export function buildHeaderIndices(headers, channels, windChannel = null) {
+  const find = (name) => {
+    const i = headers.indexOf(name);
+    return i === -1 ? undefined : i;
+  };
+  return {
+    channels: channels.map((ch) => find(ch.header)),
+    wind: WIND_CHANNELS.map(find),
+    windChannel: windChannel ? find(windChannel) : undefined,
+    time: find("Time"),
+  };
+}
+
+/**
+ * Throw a header fileError when the file lacks a channel the wind speed
+ * definition reads - it would silently come out as 0 m/s
+ */
+function checkWindColumns(indices, wind, line = null) {
+  if (wind.channel) {
+    if (indices.windChannel === undefined) {
+      throw fileError(
+        ERROR_STAGES.header,
+        `No ${wind.channel} column for the hub wind speed`,
+        line,
+      );
+    }
+    return;
+  }
+  const missing = windComponents(wind.method)
+    .filter((c) => indices.wind[c] === undefined)
+    .map((c) => WIND_CHANNELS[c]);
+  if (missing.length) {
+    throw fileError(
+      ERROR_STAGES.header,
+      `No ${missing.join(", ")} column${missing.length > 1 ? "s" : ""} for the hub wind speed (${WIND_SPEED_LABELS[wind.method]})`,
+      line,
+    );
+  }
+}
+
+/**
+ * Pair .outb channel positions with the accumulators they feed
+ */
+function outbTargets(indices, acc) {
+  const targets = [];
+  indices.channels.forEach((index, c) => {
+    if (index !== undefined) targets.push({ index, stats: acc.channels[c] });
+  });
+  indices.wind.forEach((index, c) => {
+    if (index === undefined) return;
+    targets.push({ index, stats: { push: (v) => acc.wind.push(c, v) } });
+  });
+  if (indices.windChannel !== undefined) {
+    targets.push({
+      index: indices.windChannel,
+      stats: { push: (v) => acc.wind.pushChannel(v) },
+    });
+  }
+  return targets;
+}
+
+/**
+ * Accumulate one data row - manual whitespace scan, no regex
+ * Rows outside the averaging window are skipped
+ * Returns the number of fields on the line
+ */
+export function parseLine(line, indices, acc, window) {
+  let start = 0;
+  let valIdx = 0;
+  const len = line.length;
+  const values = [];
+
+  for (let i = 0; i <= len; i++) {
+    const c = line.charCodeAt(i);
+    const isSpace = i === len || c <= 32; // space, tab, newline, etc.
+
+    if (!isSpace) {
+      if (start === i) start = i;
+    } else if (start < i) {
+      values[valIdx++] = line.substring(start, i);
+      start = i + 1;
+    }
+  }
+
+  if (values.length < MIN_FIELDS) return values.length;
+
+  if (indices.time !== undefined) {
+    const time = parseFloat(values[indices.time]);
+    if (time < window.start || time > window.end) return values.length;
+    if (!acc.span.steps) acc.span.first = time;
+    acc.span.last = time;
+  }
+  acc.span.steps++;
+
+  for (let c = 0; c < indices.channels.length; c++) {
+    const idx = indices.channels[c];
+    if (idx === undefined) continue;
+    const v = parseFloat(values[idx]);
+    if (!isNaN(v)) acc.channels[c].push(v);
+  }
+  for (let c = 0; c < indices.wind.length; c++) {
+    const idx = indices.wind[c];
+    if (idx === undefined) continue;
+    const v = parseFloat(values[idx]);
+    if (!isNaN(v)) acc.wind.push(c, v);
+  }
+  if (indices.windChannel !== undefined) {
+    const v = parseFloat(values[indices.windChannel]);
+    if (!isNaN(v)) acc.wind.pushChannel(v);
+  }
+  acc.wind.endRow();
+  return values.length;
+}
+
+/**
+ * Stream an .out file line by line: header row, units row, then data
+ * Throws a fileError with the line number for a missing header or a
+ * short data row
+ */
+async function accumulateText(file, { channels, window: settings, wind }, acc) {
+  const lastLine = needsLastTime(settings) ? await readLastLine(file) : "";
+  let window = null;
+  let headers = null;
+  let indices = null;
+  let units = [];
+  let dataStarted = false;
+  let lineNo = 0;
+
+  await readLines(file, (raw) => {
+    lineNo++;
+    const line = raw.trim();
+    if (!line) return;
+
+    if (!headers) {
+      if (line.includes("Time")) {
+        headers = line.split(/\s+/);
+        indices = buildHeaderIndices(headers, channels, wind.channel);
+        checkWindColumns(indices, wind, lineNo);
+      }
+    } else if (!dataStarted) {
+      // Units row, e.g. "(s) (kW) (deg)"
+      units = line.split(/\s+/);
+      dataStarted = true;
+    } else {
+      window ||= resolveTextWindow(settings, indices.time, line, lastLine);
+      const fields = parseLine(line, indices, acc, window);
+      if (fields < headers.length) {
+        throw fileError(
+          ERROR_STAGES.parse,
+          `Expected ${headers.length} columns, found ${fields}`,
+          lineNo,
+        );
+      }
+    }
+  });
+
+  if (!headers) {
+    throw fileError(
+      ERROR_STAGES.header,
+      "No header row with a Time column",
+      lineNo,
+    );
+  }
+  return { indices, units };
+}
+
+/**
+ * Decode an .outb file slice by slice
+ */
+async function accumulateOutb(file, { channels, window: settings, wind }, acc) {
+  const header = await readOutbHeader(file).catch((e) => {
+    throw fileError(ERROR_STAGES.header, e.message);
+  });
+  const indices = buildHeaderIndices(header.names, channels, wind.channel);
+  checkWindColumns(indices, wind);
+  const { first, last } = await readOutbTimeRange(file, header);
+  await streamOutb(file, header, outbTargets(indices, acc), CHUNK_SIZE, {
+    window: resolveWindow(settings, first, last),
+    span: acc.span,
+    onRow: () => acc.wind.endRow(),
+  });
+  return { indices, units: header.units };
+}
+
+const timeOrNull = (time) => (Number.isFinite(time) ? time : null);
+
+/**
+ * Per-file record of one .out or .outb file (a File or Blob), streamed in
+ * CHUNK_SIZE slices
+ *
+ * options: { channels, window, wind } - `window` from windowSettings(),
+ * `wind` from windSpeedSettings(). Returns { record, units } - units are
+ * the file's units-row tokens for each mapped channel, converted later by
+ * applyChannelUnits. Failures are thrown as fileErrors tagged with their
+ * stage.
+ */
+export async function processFile(file, fileName, options) {
+  const settings = { ...options, wind: options.wind || windSpeedSettings({}) };
+  const { channels, wind } = settings;
+  const acc = createAccumulators(channels, wind);
+  const { indices, units: fileUnits } = isOutbFile(fileName)
+    ? await accumulateOutb(file, settings, acc)
+    : await accumulateText(file, settings, acc);
+
+  const units = channels.map((ch, c) =>
+    indices.channels[c] !== undefined
+      ? fileUnits[indices.channels[c]] || ""
+      : "",
+  );
+
+  const count = Math.max(0, ...acc.channels.map((st) => st.n));
+  if (count === 0) {
+    throw fileError(
+      ERROR_STAGES.data,
+      `No data in ${fileName} inside the averaging window`,
+    );
+  }
+
+  const record = {
+    WindSpeedGroup: fileGroupKey(fileName),
+    "WindSpeed(ms)": acc.wind.value(),
+  };
+  channels.forEach((ch, c) => {
+    for (const stat of ["mean", ...ch.stats]) {
+      record[statColumn(ch.column, stat)] = acc.channels[c].get(stat);
+    }
+  });
+  // Left empty for files without a Time column
+  record["WindowStart(s)"] = timeOrNull(acc.span.first);
+  record["WindowEnd(s)"] = timeOrNull(acc.span.last);
+  record.SamplesUsed = acc.span.steps;
+
+  return { record, units };
+}
+
+/**
+ * Reply to a worker task message { taskId, file, fileName, channels,
+ * window, wind } - shared by the Web Worker and the CLI's worker_threads
+ * worker so FileProcessor sees the same messages from both
+ */
+export async function processTask(task) {
+  const { file, fileName, taskId, channels, window, wind } = task;
+  try {
+    const { record, units } = await processFile(file, fileName, {
+      channels,
+      window,
+      wind,
+    });
+    return { taskId, success: true, result: record, units, fileName };
+  } catch (error) {
+    return {
+      taskId,
+      success: false,
+      error: error.message,
+      stage: error.stage || ERROR_STAGES.read,
+      line: error.line ?? null,
+      fileName,
+    };
+  }
+}
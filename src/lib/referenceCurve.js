@@ -0,0 +1,152 @@
+// Reference (warranted) power curve: imported from the manufacturer's table
+// and compared with the simulated power curve bin by bin
+import { conversionFactor, parseUnit } from "./units.js";
+
+export const DEFAULT_REFERENCE_PARAMS = {
+  referenceTolerance: 5, // % of the reference power
+};
+
+// Columns added to the power curve export, with their units
+export const REFERENCE_UNITS = {
+  "RefPower(kW)": "kW",
+  "PowerDeviation(kW)": "kW",
+  "PowerDeviation(%)": "%",
+  RefCt: "-",
+  CtDeviation: "-",
+  WithinTolerance: "",
+};
+
+const HEADER_PATTERNS = {
+  v: /wind|speed|^ws\b|^v\b|^u\b/i,
+  p: /power|^p\b/i,
+  ct: /\bct\b|thrust/i,
+};
+
+const splitCells = (line) =>
+  line
+    .trim()
+    .split(/[,;\t]/.test(line) ? /\s*[,;\t]\s*/ : /\s+/)
+    .map((cell) => cell.replace(/^"(.*)"$/, "$1"));
+
+// Unit in a header cell: "Power (MW)", "P [W]", "Power(kW)"
+const headerUnit = (cell) => parseUnit(/[([]([^()[\]]+)[)\]]/.exec(cell)?.[1]);
+
+/**
+ * Parse a reference power curve (CSV, TSV or whitespace separated).
+ * A header row names the columns (wind speed, power and optionally Ct, in
+ * any order; a W or MW unit in the power header is converted to kW);
+ * without a usable one the columns are wind speed, power, Ct. Non-numeric
+ * lines (titles, comments) are skipped. Returns [{ v, p, ct }] sorted by
+ * wind speed, ct null when the table has none.
+ */
+export function parseReferenceCurve(text) {
+  let columns = { v: 0, p: 1, ct: 2 };
+  let powerFactor = 1;
+  let headerCells = 0;
+  const rows = [];
+
+  for (const raw of text.split(/\r?\n/)) {
+    const cells = splitCells(raw);
+    if (cells.length < 2) continue;
+    const numbers = cells.map((cell) => parseFloat(cell));
+
+    if (!Number.isFinite(numbers[0]) || !Number.isFinite(numbers[1])) {
+      // The first text row naming wind speed and power is the header
+      if (rows.length || headerCells) continue;
+      const find = (key) =>
+        cells.findIndex((c) => HEADER_PATTERNS[key].test(c));
+      const v = find("v");
+      const p = cells.findIndex((c, i) => i !== v && HEADER_PATTERNS.p.test(c));
+      if (v === -1 || p === -1) continue;
+      columns = { v, p, ct: find("ct") };
+      powerFactor = conversionFactor(headerUnit(cells[p]), "kW") ?? 1;
+      headerCells = cells.length;
+      continue;
+    }
+    // Multi-word names split on whitespace ("Wind speed") leave the header
+    // out of step with the data; fall back to the column order
+    if (!rows.length && headerCells && cells.length !== headerCells) {
+      columns = { v: 0, p: 1, ct: 2 };
+    }
+
+    const v = numbers[columns.v];
+    const p = numbers[columns.p] * powerFactor;
+    if (!Number.isFinite(v) || !Number.isFinite(p)) continue;
+    const ct = columns.ct === -1 ? NaN : numbers[columns.ct];
+    rows.push({ v, p, ct: Number.isFinite(ct) ? ct : null });
+  }
+
+  if (rows.length < 2) {
+    throw new Error(
+      "Reference curve needs at least two wind speed / power rows",
+    );
+  }
+  rows.sort((a, b) => a.v - b.v);
+  return rows;
+}
+
+/**
+ * Linear interpolation of `key` on a sorted reference curve; null outside
+ * its wind speed range or where the value is missing
+ */
+export function interpolateReference(curve, v, key = "p") {
+  if (!Number.isFinite(v) || v < curve[0].v || v > curve[curve.length - 1].v) {
+    return null;
+  }
+  let i = 1;
+  while (i < curve.length - 1 && curve[i].v < v) i++;
+  const a = curve[i - 1];
+  const b = curve[i];
+  if (a[key] === null || b[key] === null) return null;
+  const t = b.v === a.v ? 0 : (v - a.v) / (b.v - a.v);
+  return a[key] + t * (b[key] - a[key]);
+}
+
+/**
+ * Power curve rows with the reference interpolated onto their wind speeds
+ * and the deviation from it. Like the AEP, the density-normalized columns
+ * are compared when present. A bin is out of tolerance when its power
+ * deviates from the reference by more than `tolerance` % of the reference;
+ * bins outside the reference range (or with zero reference power) are left
+ * blank. Ct columns are added only when the reference has Ct.
+ *
+ * Returns { rows, flagged } - flagged lists the out-of-tolerance rows.
+ */
+export function applyReference(
+  powerCurve,
+  reference,
+  {
+    tolerance = DEFAULT_REFERENCE_PARAMS.referenceTolerance,
+    ctColumn = "Ct",
+  } = {},
+) {
+  const hasCt = reference.some((r) => r.ct !== null);
+  const flagged = [];
+  const rows = powerCurve.map((row) => {
+    const v = row["WindSpeedNorm(ms)"] ?? row["WindSpeed(ms)"];
+    const p = row["PowerNorm(kW)"] ?? row["Power(kW)"];
+    const refP = interpolateReference(reference, v, "p");
+    const delta = refP !== null && Number.isFinite(p) ? p - refP : null;
+    const pct = delta !== null && refP !== 0 ? (delta / refP) * 100 : null;
+
+    const out = {
+      ...row,
+      "RefPower(kW)": refP,
+      "PowerDeviation(kW)": delta,
+      "PowerDeviation(%)": pct,
+    };
+    if (hasCt) {
+      const refCt = interpolateReference(reference, v, "ct");
+      out.RefCt = refCt;
+      out.CtDeviation =
+        refCt !== null && Number.isFinite(row[ctColumn])
+          ? row[ctColumn] - refCt
+          : null;
+    }
+    out.WithinTolerance =
+      pct === null ? "" : Math.abs(pct) <= Number(tolerance) ? "yes" : "no";
+    if (out.WithinTolerance === "no") flagged.push(out);
+    return out;
+  });
+  return { rows, flagged };
+}
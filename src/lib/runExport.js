@@ -0,0 +1,136 @@
+// Output files of a finished run, built from its records alone so a run
+// reopened from the history exports exactly like a fresh one
+import {
+  OUTPUT_FORMATS,
+  toFormatFile,
+  createZipPackage,
+} from "./optimizedProcessing.js";
+import { aepToRecords } from "./aep.js";
+import { aepComparisonToRecords } from "./comparison.js";
+import { errorsToRecords } from "./fileErrors.js";
+import { metadataToRecords } from "./metadata.js";
+import { PRESET_ZIP_NAME, presetToJSON, runPreset } from "./presets.js";
+import {
+  TURBINE_FORMATS,
+  toTurbineFile,
+  turbineParamsError,
+} from "./turbineFormats.js";
+
+// Every format a run exports to: the dataset formats, each holding every
+// dataset, and the turbine file formats, holding the power curve alone
+export const EXPORT_FORMATS = [...OUTPUT_FORMATS, ...TURBINE_FORMATS];
+
+/**
+ * Why a run with these settings cannot be exported in `formats`, or null
+ */
+export function exportFormatsError(settings, formats = settings.formats) {
+  const unknown = formats.filter((fmt) => !EXPORT_FORMATS.includes(fmt));
+  if (unknown.length) return `Unknown output format: ${unknown.join(", ")}`;
+  if (formats.some((fmt) => TURBINE_FORMATS.includes(fmt))) {
+    return turbineParamsError(settings);
+  }
+  return null;
+}
+
+/**
+ * Export datasets of a run: { key: { data, sheetName, units } }
+ *
+ * run: { createdAt, settings, presetName, individual, powerCurve, units,
+ * aep, comparison, errors, partial, processedFiles, variantFiles }
+ */
+export function runDatasets(run) {
+  const { settings, aep, comparison, errors } = run;
+  const datasets = {
+    individual: {
+      data: run.individual,
+      sheetName: "Seed Averages",
+      units: run.units.individual,
+    },
+    powerCurve: {
+      data: run.powerCurve,
+      sheetName: "Power Curve",
+      units: run.units.powerCurve,
+    },
+  };
+  if (aep) {
+    datasets.aep = {
+      data: [
+        ...aepToRecords(aep, settings),
+        ...(comparison?.aep ? aepComparisonToRecords(comparison.aep) : []),
+      ],
+      sheetName: "AEP",
+    };
+  }
+  if (comparison) {
+    datasets.comparison = {
+      data: comparison.rows,
+      sheetName: "Comparison",
+      units: comparison.units,
+    };
+  }
+  datasets.metadata = {
+    data: metadataToRecords(settings, {
+      generated: run.createdAt,
+      files: run.processedFiles,
+      variantFiles: run.variantFiles,
+      partial: run.partial,
+    }),
+    sheetName: "Metadata",
+  };
+  if (errors.length) {
+    datasets.errors = { data: errorsToRecords(errors), sheetName: "Errors" };
+  }
+  return datasets;
+}
+
+/**
+ * Build every dataset of a run in each format (turbine file formats: the
+ * power curve alone) plus the ZIP of them all, which also carries the
+ * run's settings as a preset file.
+ * onFormat(fmt) is called after each format is done.
+ *
+ * Returns { allResults: { fmt: { key: file } }, zip: { blob, url, filename } }
+ */
+export async function exportRun(run, formats, onFormat = () => {}) {
+  const datasets = runDatasets(run);
+  const suffix = `${run.partial ? "partial_" : ""}${run.createdAt}`;
+
+  const allResults = {};
+  for (const fmt of formats) {
+    allResults[fmt] = {};
+    if (TURBINE_FORMATS.includes(fmt)) {
+      allResults[fmt].powerCurve = toTurbineFile(
+        fmt,
+        run,
+        `final_powercurve_${suffix}`,
+      );
+    } else {
+      for (const [key, dataset] of Object.entries(datasets)) {
+        allResults[fmt][key] = await toFormatFile(
+          fmt,
+          dataset.data,
+          `final_${key.toLowerCase()}_${suffix}`,
+          dataset.sheetName,
+          dataset.units,
+        );
+      }
+    }
+    onFormat(fmt);
+  }
+
+  const preset = new Blob([presetToJSON(runPreset(run))], {
+    type: "application/json",
+  });
+  const blob = await createZipPackage(allResults, [
+    { filename: PRESET_ZIP_NAME, blob: preset },
+  ]);
+  const stamp = new Date(run.createdAt).toISOString().replace(/[:.]/g, "-");
+  return {
+    allResults,
+    zip: {
+      blob,
+      url: URL.createObjectURL(blob),
+      filename: `final_individual_${suffix}_export_${stamp}.zip`,
+    },
+  };
+}
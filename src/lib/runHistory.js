@@ -0,0 +1,125 @@
+// Run history: finished runs saved in IndexedDB, so results survive a
+// refresh and can be re-exported without the original input files
+const DB_NAME = "powerCurve.history";
+const DB_VERSION = 1;
+// Small per-run summaries for the list, and the records in a store of their
+// own so listing runs never loads them
+const SUMMARIES = "runs";
+const RECORDS = "runRecords";
+
+let dbPromise = null;
+
+export const historyAvailable = () => typeof indexedDB !== "undefined";
+
+// Promise for an IDBRequest result
+const result = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+// Promise that settles with the transaction
+const completion = (tx) =>
+  new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+  });
+
+function openHistory() {
+  if (!historyAvailable()) {
+    return Promise.reject(new Error("IndexedDB is not available"));
+  }
+  dbPromise ??= new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      db.createObjectStore(SUMMARIES, { keyPath: "id", autoIncrement: true });
+      db.createObjectStore(RECORDS);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+  return dbPromise;
+}
+
+/**
+ * List entry of a run: what the history view shows without loading records
+ */
+function summarize(run) {
+  return {
+    name: `Run ${new Date(run.createdAt).toLocaleString()}`,
+    note: "",
+    createdAt: run.createdAt,
+    files: run.files.length,
+    totalBytes: run.files.reduce((sum, file) => sum + file.size, 0),
+    powerCurvePoints: run.powerCurve.length,
+    netMWh: run.aep?.netMWh ?? null,
+    partial: run.partial,
+    comparison: !!run.comparison,
+    formats: run.settings.formats,
+  };
+}
+
+/**
+ * Save a finished run (see runDatasets for its fields, plus files:
+ * [{ name, size }]); resolves to its summary with the new id
+ */
+export async function saveRun(run) {
+  const db = await openHistory();
+  const tx = db.transaction([SUMMARIES, RECORDS], "readwrite");
+  const summary = summarize(run);
+  const id = await result(tx.objectStore(SUMMARIES).add(summary));
+  tx.objectStore(RECORDS).put(run, id);
+  await completion(tx);
+  return { ...summary, id };
+}
+
+/**
+ * Summaries of all saved runs, newest first
+ */
+export async function listRuns() {
+  const db = await openHistory();
+  const runs = await result(
+    db.transaction(SUMMARIES).objectStore(SUMMARIES).getAll(),
+  );
+  return runs.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * A saved run with its records, merged with its summary (name, note)
+ */
+export async function loadRun(id) {
+  const db = await openHistory();
+  const tx = db.transaction([SUMMARIES, RECORDS]);
+  const [summary, run] = await Promise.all([
+    result(tx.objectStore(SUMMARIES).get(id)),
+    result(tx.objectStore(RECORDS).get(id)),
+  ]);
+  if (!summary || !run) throw new Error(`Run ${id} is not in the history`);
+  return { ...run, id, name: summary.name, note: summary.note };
+}
+
+/**
+ * Rename or annotate a saved run: changes is { name, note }
+ */
+export async function updateRun(id, changes) {
+  const db = await openHistory();
+  const tx = db.transaction(SUMMARIES, "readwrite");
+  const store = tx.objectStore(SUMMARIES);
+  const summary = await result(store.get(id));
+  if (!summary) throw new Error(`Run ${id} is not in the history`);
+  store.put({ ...summary, ...changes, id });
+  await completion(tx);
+}
+
+export async function deleteRun(id) {
+  const db = await openHistory();
+  const tx = db.transaction([SUMMARIES, RECORDS], "readwrite");
+  tx.objectStore(SUMMARIES).delete(id);
+  tx.objectStore(RECORDS).delete(id);
+  await completion(tx);
+}
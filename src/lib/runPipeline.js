@@ -0,0 +1,150 @@
+// From processed files to a finished run: the steps after parsing that the
+// page and the CLI share, so both produce the same records and exports
+import { AEP_DISTRIBUTIONS, aepCurveError, computeAEP } from "./aep.js";
+import {
+  compareAEP,
+  compareCurves,
+  comparisonColumns,
+  comparisonUnits,
+} from "./comparison.js";
+import { REFERENCE_UNITS, applyReference } from "./referenceCurve.js";
+
+/**
+ * FileProcessor.processBatches params of a settings object
+ */
+export const processingParams = (settings) => ({
+  airDensity: Number(settings.airDensity),
+  simulationDensity: Number(settings.simulationDensity),
+  normalizationMethod: settings.normalizationMethod,
+  binningMode: settings.binningMode,
+  binWidth: Number(settings.binWidth),
+  channels: settings.channelMapping.map((ch) => ({
+    ...ch,
+    column: ch.column.trim(),
+  })),
+  strict: settings.strictMode,
+  transientMode: settings.transientMode,
+  transientCutoff: settings.transientCutoff,
+  windowEnd: settings.windowEnd,
+  filenamePattern: settings.filenamePattern,
+  groupBy: settings.groupBy,
+  windSpeedMethod: settings.windSpeedMethod,
+  windSpeedChannel: settings.windSpeedChannel,
+});
+
+/**
+ * computeAEP, or null with a warning when the curve still holds several cases
+ */
+const curveAEP = ({ powerCurve, results }, settings, log) => {
+  const error = aepCurveError(powerCurve, results);
+  if (error && settings.aepDistribution !== AEP_DISTRIBUTIONS.none) {
+    log(`AEP skipped: ${error}`, "warning");
+    return null;
+  }
+  return computeAEP(powerCurve, settings, settings.aepFrequencyTable);
+};
+
+const sortByWindSpeed = (data) =>
+  [...data].sort(
+    (a, b) =>
+      parseFloat(a["WindSpeed(ms)"] ?? 0) - parseFloat(b["WindSpeed(ms)"] ?? 0),
+  );
+
+/**
+ * The run record (see runDatasets) of a processBatches result: AEP, the
+ * comparison with a variant result, deviation from the reference curve and
+ * the records sorted by wind speed.
+ *
+ * errors and partial default to the baseline's; log(message, type) reports
+ * the AEP and reference findings.
+ */
+export function assembleRun({
+  settings,
+  presetName = "",
+  files,
+  baseline,
+  variant = null,
+  errors = baseline.errors,
+  partial = baseline.partial,
+  log = () => {},
+}) {
+  const { results, powerCurve, units } = baseline;
+  const params = processingParams(settings);
+
+  const aep = curveAEP(baseline, settings, log);
+  if (aep) {
+    log(
+      `AEP: ${aep.netMWh.toFixed(1)} MWh/yr net (CF ${(aep.capacityFactor * 100).toFixed(1)}%)`,
+      "success",
+    );
+  }
+
+  let comparison = null;
+  if (variant) {
+    const columns = comparisonColumns(params.channels);
+    comparison = {
+      columns,
+      rows: compareCurves(powerCurve, variant.powerCurve, columns),
+      units: comparisonUnits(columns, units.powerCurve),
+      baselineCurve: powerCurve,
+      variantCurve: variant.powerCurve,
+      aep: compareAEP(aep, curveAEP(variant, settings, log)),
+      baselineFiles: results.length,
+      variantFiles: variant.results.length,
+    };
+    if (comparison.aep) {
+      log(
+        `Variant AEP: ${comparison.aep.deltaMWh >= 0 ? "+" : ""}${comparison.aep.deltaMWh.toFixed(1)} MWh/yr vs. baseline (${comparison.aep.deltaPct?.toFixed(2) ?? "-"}%)`,
+        "success",
+      );
+    }
+  }
+
+  let sortedPowerCurveData = sortByWindSpeed(powerCurve);
+  let powerCurveUnits = units.powerCurve;
+
+  // Deviation from the warranted curve, added to the power curve export
+  let reference = null;
+  if (settings.referenceCurve) {
+    const ctColumn = params.channels.find(
+      (ch) => ch.header === "RtAeroCt",
+    )?.column;
+    const { rows, flagged } = applyReference(
+      sortedPowerCurveData,
+      settings.referenceCurve,
+      { tolerance: Number(settings.referenceTolerance), ctColumn },
+    );
+    sortedPowerCurveData = rows;
+    powerCurveUnits = { ...powerCurveUnits, ...REFERENCE_UNITS };
+    reference = {
+      curve: settings.referenceCurve,
+      fileName: settings.referenceCurveFileName,
+      tolerance: Number(settings.referenceTolerance),
+      flagged: flagged.length,
+    };
+    log(
+      flagged.length
+        ? `${flagged.length} power curve bins deviate more than ${reference.tolerance}% from the reference curve`
+        : `All power curve bins within ${reference.tolerance}% of the reference curve`,
+      flagged.length ? "warning" : "success",
+    );
+  }
+
+  return {
+    createdAt: Date.now(),
+    settings,
+    presetName,
+    files: files.map(({ name, size }) => ({ name, size })),
+    individual: sortByWindSpeed(results),
+    powerCurve: sortedPowerCurveData,
+    units: { individual: units.individual, powerCurve: powerCurveUnits },
+    aep,
+    comparison,
+    reference,
+    errors,
+    partial,
+    processedFiles: results.length,
+    requestedFiles: files.length,
+    variantFiles: variant?.results.length,
+  };
+}
@@ -0,0 +1,43 @@
+// Processing settings: the part of the page state that decides what a run
+// produces, stored with every saved run
+import { DEFAULT_AEP_PARAMS } from "./aep.js";
+import { DEFAULT_AIR_DENSITY, NORMALIZATION_METHODS } from "./airDensity.js";
+import { BINNING_MODES, DEFAULT_BIN_WIDTH } from "./binning.js";
+import { DEFAULT_CHANNELS } from "./channels.js";
+import { DEFAULT_FILENAME_PARAMS } from "./filenamePattern.js";
+import { DEFAULT_REFERENCE_PARAMS } from "./referenceCurve.js";
+import { DEFAULT_WINDOW_PARAMS } from "./timeWindow.js";
+import { DEFAULT_TURBINE_PARAMS } from "./turbineFormats.js";
+import { DEFAULT_WIND_PARAMS } from "./windSpeed.js";
+
+/**
+ * Settings of a fresh page (and of the CLI before a preset or flags)
+ */
+export const DEFAULT_SETTINGS = {
+  airDensity: DEFAULT_AIR_DENSITY,
+  simulationDensity: DEFAULT_AIR_DENSITY,
+  normalizationMethod: NORMALIZATION_METHODS.windSpeed,
+  binningMode: BINNING_MODES.filename,
+  binWidth: DEFAULT_BIN_WIDTH,
+  ...DEFAULT_WINDOW_PARAMS,
+  ...DEFAULT_FILENAME_PARAMS,
+  ...DEFAULT_WIND_PARAMS,
+  ...DEFAULT_AEP_PARAMS,
+  aepFrequencyTable: null,
+  aepFrequencyFileName: "",
+  ...DEFAULT_REFERENCE_PARAMS,
+  referenceCurve: null,
+  referenceCurveFileName: "",
+  ...DEFAULT_TURBINE_PARAMS,
+  channelMapping: DEFAULT_CHANNELS,
+  formats: [],
+  strictMode: false,
+};
+
+export const SETTINGS_KEYS = Object.keys(DEFAULT_SETTINGS);
+
+/**
+ * The processing settings of a state object
+ */
+export const pickSettings = (state) =>
+  Object.fromEntries(SETTINGS_KEYS.map((key) => [key, state[key]]));
@@ -0,0 +1,140 @@
+// Streaming (single pass, constant memory) statistics for channel time series
+
+/**
+ * P² quantile estimator (Jain & Chlamtac, 1985)
+ * Tracks a single quantile with five markers - no sample buffer
+ */
+export class P2Quantile {
+  constructor(p) {
+    this.p = p;
+    this.n = 0;
+    this.q = new Float64Array(5); // marker heights
+    this.pos = new Float64Array(5); // actual marker positions
+    this.desired = new Float64Array(5); // desired marker positions
+    this.increment = [0, p / 2, p, (1 + p) / 2, 1];
+  }
+
+  push(x) {
+    const q = this.q;
+    const pos = this.pos;
+
+    // Initialization: collect the first five samples
+    if (this.n < 5) {
+      q[this.n++] = x;
+      if (this.n === 5) {
+        q.sort();
+        const p = this.p;
+        for (let i = 0; i < 5; i++) pos[i] = i + 1;
+        this.desired.set([1, 1 + 2 * p, 1 + 4 * p, 3 + 2 * p, 5]);
+      }
+      return;
+    }
+
+    // Find cell k such that q[k] <= x < q[k + 1], extending the extremes
+    let k;
+    if (x < q[0]) {
+      q[0] = x;
+      k = 0;
+    } else if (x >= q[4]) {
+      q[4] = x;
+      k = 3;
+    } else {
+      k = 0;
+      while (x >= q[k + 1]) k++;
+    }
+
+    for (let i = k + 1; i < 5; i++) pos[i]++;
+    for (let i = 0; i < 5; i++) this.desired[i] += this.increment[i];
+
+    // Adjust the three middle markers
+    for (let i = 1; i <= 3; i++) {
+      const d = this.desired[i] - pos[i];
+      if (
+        (d >= 1 && pos[i + 1] - pos[i] > 1) ||
+        (d <= -1 && pos[i - 1] - pos[i] < -1)
+      ) {
+        const s = d > 0 ? 1 : -1;
+        const parabolic =
+          q[i] +
+          (s / (pos[i + 1] - pos[i - 1])) *
+            (((pos[i] - pos[i - 1] + s) * (q[i + 1] - q[i])) /
+              (pos[i + 1] - pos[i]) +
+              ((pos[i + 1] - pos[i] - s) * (q[i] - q[i - 1])) /
+                (pos[i] - pos[i - 1]));
+
+        q[i] =
+          q[i - 1] < parabolic && parabolic < q[i + 1]
+            ? parabolic
+            : q[i] + (s * (q[i + s] - q[i])) / (pos[i + s] - pos[i]);
+        pos[i] += s;
+      }
+    }
+
+    this.n++;
+  }
+
+  value() {
+    if (this.n === 0) return 0;
+    if (this.n >= 5) return this.q[2];
+    // Too few samples for the sketch - nearest rank on what we have
+    const sorted = Array.from(this.q.subarray(0, this.n)).sort((a, b) => a - b);
+    return sorted[Math.min(this.n - 1, Math.round(this.p * (this.n - 1)))];
+  }
+}
+
+/**
+ * Welford mean/variance, running min/max and optional P² percentiles
+ */
+export class StreamingStats {
+  constructor(percentiles = []) {
+    this.n = 0;
+    this.mean = 0;
+    this.m2 = 0;
+    this.min = Infinity;
+    this.max = -Infinity;
+    this.sketches = percentiles.map((p) => new P2Quantile(p / 100));
+    this.percentiles = percentiles;
+  }
+
+  push(x) {
+    this.n++;
+    const delta = x - this.mean;
+    this.mean += delta / this.n;
+    this.m2 += delta * (x - this.mean);
+    if (x < this.min) this.min = x;
+    if (x > this.max) this.max = x;
+    for (let i = 0; i < this.sketches.length; i++) this.sketches[i].push(x);
+  }
+
+  std() {
+    return this.n > 1 ? Math.sqrt(this.m2 / (this.n - 1)) : 0;
+  }
+
+  /**
+   * Value of a named statistic: mean, std, min, max or pNN
+   */
+  get(stat) {
+    if (this.n === 0) return 0;
+    if (stat === "mean") return this.mean;
+    if (stat === "std") return this.std();
+    if (stat === "min") return this.min;
+    if (stat === "max") return this.max;
+    const idx = this.percentiles.indexOf(Number(stat.slice(1)));
+    return idx === -1 ? 0 : this.sketches[idx].value();
+  }
+}
+
+/**
+ * How a per-file statistic column (Power(kW)_std, Bladepitch1_max, ...)
+ * combines across the files of a power curve group
+ */
+export function statOf(column) {
+  const match = /_(std|min|max|seedStd|p\d+)$/.exec(column);
+  return match ? match[1] : "mean";
+}
+
+/**
+ * Column name for a statistic of a channel output column
+ */
+export const statColumn = (column, stat) =>
+  stat === "mean" ? column : `${column}_${stat}`;
@@ -0,0 +1,239 @@
+// Time-series preview of a single file: channel summary statistics and
+// min/max-decimated traces, streamed so large files stay cheap to plot
+import { StreamingStats } from "./statistics.js";
+import {
+  isOutbFile,
+  readOutbHeader,
+  readOutbTimeRange,
+  streamOutb,
+} from "./outb.js";
+import { CHUNK_SIZE, readLines } from "./fileStream.js";
+import { ERROR_STAGES, fileError } from "./fileErrors.js";
+import { readLastLine } from "./timeWindow.js";
+
+export const DEFAULT_BUCKETS = 1500; // ~2 points per pixel of a wide chart
+
+/**
+ * Min/max decimation: the time range is cut into `buckets` equal slices
+ * and each slice keeps only its smallest and largest sample (with their
+ * times), so spikes survive however many samples are dropped
+ */
+export class MinMaxDecimator {
+  constructor(start, end, buckets, channels) {
+    this.start = start;
+    this.span = end > start ? end - start : 1;
+    this.buckets = buckets;
+    this.min = channels.map(() => new Float64Array(buckets).fill(Infinity));
+    this.max = channels.map(() => new Float64Array(buckets).fill(-Infinity));
+    this.minAt = channels.map(() => new Float64Array(buckets));
+    this.maxAt = channels.map(() => new Float64Array(buckets));
+  }
+
+  bucketOf(time) {
+    const b = Math.floor(((time - this.start) / this.span) * this.buckets);
+    if (!(b > 0)) return 0; // also catches NaN
+    return b >= this.buckets ? this.buckets - 1 : b;
+  }
+
+  push(c, time, value) {
+    if (!Number.isFinite(value)) return;
+    const b = this.bucketOf(time);
+    if (value < this.min[c][b]) {
+      this.min[c][b] = value;
+      this.minAt[c][b] = time;
+    }
+    if (value > this.max[c][b]) {
+      this.max[c][b] = value;
+      this.maxAt[c][b] = time;
+    }
+  }
+
+  /**
+   * Decimated trace of channel c as [{ x, y }] in time order
+   */
+  points(c) {
+    const out = [];
+    for (let b = 0; b < this.buckets; b++) {
+      const lo = this.min[c][b];
+      if (lo === Infinity) continue;
+      const hi = this.max[c][b];
+      const loFirst = this.minAt[c][b] <= this.maxAt[c][b];
+      const a = { x: loFirst ? this.minAt[c][b] : this.maxAt[c][b] };
+      const z = { x: loFirst ? this.maxAt[c][b] : this.minAt[c][b] };
+      a.y = loFirst ? lo : hi;
+      z.y = loFirst ? hi : lo;
+      out.push(a);
+      if (z.x !== a.x || z.y !== a.y) out.push(z);
+    }
+    return out;
+  }
+}
+
+/**
+ * Summary statistics of every channel; non-finite values (a diverged
+ * simulation) are counted instead of accumulated
+ */
+function createSummary(names) {
+  return names.map(() => ({ stats: new StreamingStats(), nonFinite: 0 }));
+}
+
+function pushSummary(summary, c, value) {
+  if (Number.isFinite(value)) summary[c].stats.push(value);
+  else summary[c].nonFinite++;
+}
+
+const summaryRows = (names, units, summary) =>
+  names.map((name, c) => {
+    const { stats, nonFinite } = summary[c];
+    return {
+      name,
+      unit: units[c] || "",
+      mean: stats.get("mean"),
+      std: stats.get("std"),
+      min: stats.get("min"),
+      max: stats.get("max"),
+      samples: stats.n,
+      nonFinite,
+    };
+  });
+
+async function previewText(file, { range, channels, buckets, stats }) {
+  const lastLine = await readLastLine(file);
+  let names = null;
+  let units = [];
+  let timeIndex = -1;
+  let dataStarted = false;
+  let targets = null; // column index of each decimated channel
+  let summary = null;
+  let decimator = null;
+  let first = NaN;
+  let last = NaN;
+  let lineNo = 0;
+
+  await readLines(file, (raw) => {
+    lineNo++;
+    const line = raw.trim();
+    if (!line) return;
+
+    if (!names) {
+      if (line.includes("Time")) {
+        names = line.split(/\s+/);
+        timeIndex = names.indexOf("Time");
+        targets = (channels || names).map((name) => names.indexOf(name));
+        if (stats) summary = createSummary(names);
+      }
+      return;
+    }
+    if (!dataStarted) {
+      units = line.split(/\s+/);
+      dataStarted = true;
+      return;
+    }
+
+    const values = line.split(/\s+/);
+    const time = parseFloat(values[timeIndex]);
+    if (!decimator) {
+      first = time;
+      const end = parseFloat(lastLine.trim().split(/\s+/)[timeIndex]);
+      const [from, to] = range || [first, end];
+      decimator = new MinMaxDecimator(from, to, buckets, targets);
+    }
+    last = time;
+
+    if (summary) {
+      for (let c = 0; c < names.length; c++) {
+        pushSummary(summary, c, parseFloat(values[c]));
+      }
+    }
+    if (range && (time < range[0] || time > range[1])) return;
+    for (let k = 0; k < targets.length; k++) {
+      if (targets[k] !== -1) {
+        decimator.push(k, time, parseFloat(values[targets[k]]));
+      }
+    }
+  });
+
+  if (!names) {
+    throw fileError(
+      ERROR_STAGES.header,
+      "No header row with a Time column",
+      lineNo,
+    );
+  }
+  return { names, units, first, last, targets, summary, decimator };
+}
+
+async function previewOutb(file, { range, channels, buckets, stats }) {
+  const header = await readOutbHeader(file).catch((e) => {
+    throw fileError(ERROR_STAGES.header, e.message);
+  });
+  const { names, units } = header;
+  const { first, last } = await readOutbTimeRange(file, header);
+
+  const targets = (channels || names).map((name) => names.indexOf(name));
+  const summary = stats ? createSummary(names) : null;
+  const [from, to] = range || [first, last];
+  const decimator = new MinMaxDecimator(from, to, buckets, targets);
+
+  // One row buffer filled by the targets, flushed per time step
+  const row = new Float64Array(names.length);
+  const wanted = new Set(targets.filter((i) => i > 0));
+  if (summary) names.forEach((_, i) => i > 0 && wanted.add(i));
+  const outbTargets = [...wanted].map((index) => ({
+    index,
+    stats: { push: (v) => (row[index] = v) },
+  }));
+
+  await streamOutb(file, header, outbTargets, CHUNK_SIZE, {
+    window: range ? { start: from, end: to } : null,
+    onRow: (time) => {
+      row[0] = time;
+      if (summary) {
+        for (let c = 0; c < names.length; c++) pushSummary(summary, c, row[c]);
+      }
+      for (let k = 0; k < targets.length; k++) {
+        if (targets[k] !== -1) decimator.push(k, time, row[targets[k]]);
+      }
+    },
+  });
+  return { names, units, first, last, targets, summary, decimator };
+}
+
+/**
+ * Preview one .out or .outb file
+ *
+ * options: { range: [start, end] | null, channels: names | null, buckets,
+ * stats }. Traces are built for `channels` (all when null) over `range`
+ * (the whole file when null); `stats` (default: when there is no range)
+ * adds summary statistics of every channel over the whole file.
+ *
+ * Returns { names, units, timeRange, stats, traces } where traces maps a
+ * channel name to its decimated [{ x, y }] points.
+ */
+export async function previewFile(file, fileName, options = {}) {
+  const settings = {
+    range: options.range || null,
+    channels: options.channels || null,
+    buckets: options.buckets || DEFAULT_BUCKETS,
+    stats: options.stats ?? !options.range,
+  };
+  const { names, units, first, last, targets, summary, decimator } = isOutbFile(
+    fileName,
+  )
+    ? await previewOutb(file, settings)
+    : await previewText(file, settings);
+
+  const traces = {};
+  (settings.channels || names).forEach((name, k) => {
+    if (targets[k] !== -1 && decimator) traces[name] = decimator.points(k);
+  });
+
+  return {
+    names,
+    units,
+    timeRange: [first, last],
+    range: settings.range,
+    stats: summary ? summaryRows(names, units, summary) : null,
+    traces,
+  };
+}
@@ -0,0 +1,86 @@
+// Averaging window: drop the start-up transient, optionally stop at an end time
+export const TRANSIENT_MODES = {
+  // Discard rows with Time below the cut-off (seconds)
+  seconds: "seconds",
+  // Discard the first fraction (0-1) of the simulated time span
+  fraction: "fraction",
+};
+
+export const DEFAULT_WINDOW_PARAMS = {
+  transientMode: TRANSIENT_MODES.seconds,
+  transientCutoff: 0,
+  windowEnd: "", // seconds, empty = until the end of the file
+};
+
+// Per-file columns describing the window actually used
+export const WINDOW_COLUMNS = ["WindowStart(s)", "WindowEnd(s)", "SamplesUsed"];
+
+/**
+ * Human-readable window description for logs and the config banner
+ */
+export function describeWindow(params) {
+  const { mode, cutoff, end } = windowSettings(params);
+  const from =
+    mode === TRANSIENT_MODES.fraction
+      ? `after the first ${(cutoff * 100).toFixed(0)}% of each file`
+      : cutoff > 0
+        ? `from ${cutoff} s`
+        : "from the start";
+  return end === null ? `${from} to the end` : `${from} to ${end} s`;
+}
+
+/**
+ * Plain window settings as sent to the workers
+ */
+export function windowSettings(params) {
+  const end = params.windowEnd === "" ? NaN : Number(params.windowEnd);
+  return {
+    mode:
+      params.transientMode === TRANSIENT_MODES.fraction
+        ? TRANSIENT_MODES.fraction
+        : TRANSIENT_MODES.seconds,
+    cutoff: Number(params.transientCutoff) || 0,
+    end: Number.isFinite(end) ? end : null,
+  };
+}
+
+/**
+ * Whether resolving the window needs the last Time value of the file
+ */
+export const needsLastTime = (settings) =>
+  settings.mode === TRANSIENT_MODES.fraction && settings.cutoff > 0;
+
+/**
+ * Absolute { start, end } Time limits for a file whose Time runs from
+ * firstTime to lastTime (lastTime only matters in fraction mode)
+ */
+export function resolveWindow(settings, firstTime, lastTime) {
+  const start =
+    settings.mode === TRANSIENT_MODES.fraction
+      ? firstTime + settings.cutoff * (lastTime - firstTime)
+      : settings.cutoff || -Infinity;
+  return { start, end: settings.end ?? Infinity };
+}
+
+/**
+ * Window for a text file from its first data row and, in fraction mode,
+ * its last row. Without a Time column every row is used.
+ */
+export function resolveTextWindow(settings, timeIndex, firstRow, lastRow) {
+  if (timeIndex === undefined) return { start: -Infinity, end: Infinity };
+  const timeOf = (row) => parseFloat(row.trim().split(/\s+/)[timeIndex]);
+  return resolveWindow(
+    settings,
+    timeOf(firstRow),
+    needsLastTime(settings) ? timeOf(lastRow) : NaN,
+  );
+}
+
+/**
+ * Last non-empty line of a text file, read from its tail only
+ */
+export async function readLastLine(file, tailBytes = 64 * 1024) {
+  const tail = await file.slice(Math.max(0, file.size - tailBytes)).text();
+  const lines = tail.split(/\r?\n/).filter((line) => line.trim());
+  return lines.length ? lines[lines.length - 1] : "";
+}
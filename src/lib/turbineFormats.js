@@ -0,0 +1,443 @@
+// Power curve files for wind resource software (WAsP, windPRO, OpenWind).
+// Unlike CSV/XLSX/FW.TXT they hold only the power curve - one performance
+// table (power and Ct against wind speed) per air density - plus the
+// turbine's rotor diameter and hub height
+import { compilePattern } from "./filenamePattern.js";
+import { metadataToRecords } from "./metadata.js";
+
+export const DEFAULT_TURBINE_PARAMS = {
+  rotorDiameter: "", // m
+  hubHeight: "", // m
+};
+
+// Writer and reader of each format toTurbineFile can build; `select`
+// picks the tables of formats holding a single one
+const TURBINE_FILES = {
+  wtg: {
+    extension: "wtg",
+    type: "application/xml",
+    write: toWAsPWTG,
+    parse: parseWAsPWTG,
+  },
+  pow: {
+    extension: "pow",
+    type: "text/plain",
+    write: toPOW,
+    parse: parsePOW,
+    select: siteTable,
+  },
+  owtg: {
+    extension: "owtg",
+    type: "application/xml",
+    write: toOpenWindOWTG,
+    parse: parseOpenWindOWTG,
+  },
+};
+
+export const TURBINE_FORMATS = Object.keys(TURBINE_FILES);
+
+// Output column of the thrust coefficient channel
+const ctColumn = (channelMapping = []) =>
+  channelMapping.find((ch) => ch.header === "RtAeroCt")?.column.trim();
+
+/**
+ * Why settings cannot produce turbine files, or null
+ */
+export function turbineParamsError(settings) {
+  if (!(Number(settings.rotorDiameter) > 0)) {
+    return "Turbine files need a rotor diameter";
+  }
+  if (!(Number(settings.hubHeight) > 0)) {
+    return "Turbine files need a hub height";
+  }
+  if (!ctColumn(settings.channelMapping)) {
+    return "Turbine files need the RtAeroCt (Ct) channel in the mapping";
+  }
+  // Grouping keys besides the wind speed (yaw, TI...) split the power
+  // curve into several cases that would interleave in one table
+  const { fields } = compilePattern(settings.filenamePattern);
+  const cases = (settings.groupBy || []).filter(
+    (field) => field !== "windSpeed" && fields.includes(field),
+  );
+  if (cases.length) {
+    return `Turbine files hold a single power curve - group by wind speed only, not by ${cases.join(", ")}`;
+  }
+  return null;
+}
+
+/**
+ * Performance tables of power curve records: [{ airDensity, points: [{ v,
+ * p, ct }] }] with p in kW, by density and wind speed. Normalized columns
+ * give the table at the site density; when the simulations ran at another
+ * density, the raw columns give a second table at that one.
+ */
+export function performanceTables(powerCurve, ct) {
+  const tables = new Map();
+  const add = (density, v, p, c) => {
+    if (![density, v, p].every(Number.isFinite)) return;
+    const key = density.toFixed(4);
+    if (!tables.has(key)) tables.set(key, { airDensity: density, points: [] });
+    tables.get(key).points.push({ v, p, ct: Number.isFinite(c) ? c : null });
+  };
+  for (const row of powerCurve) {
+    add(
+      row.Density,
+      row["WindSpeedNorm(ms)"] ?? row["WindSpeed(ms)"],
+      row["PowerNorm(kW)"] ?? row["Power(kW)"],
+      row[ct],
+    );
+    if (Math.abs(row.SimDensity - row.Density) > 1e-4) {
+      add(row.SimDensity, row["WindSpeed(ms)"], row["Power(kW)"], row[ct]);
+    }
+  }
+  return [...tables.values()]
+    .map((table) => ({
+      ...table,
+      points: table.points.sort((a, b) => a.v - b.v),
+    }))
+    .sort((a, b) => a.airDensity - b.airDensity);
+}
+
+// Operating range of a table: first and last wind speed producing power
+function cutInOut(points) {
+  const producing = points.filter((pt) => pt.p > 0);
+  return {
+    cutIn: (producing[0] ?? points[0]).v,
+    cutOut: (producing.at(-1) ?? points.at(-1)).v,
+  };
+}
+
+// The table at the site density, alone
+function siteTable(tables, { airDensity }) {
+  const distance = (table) => Math.abs(table.airDensity - airDensity);
+  return [
+    tables.reduce((best, t) => (distance(t) < distance(best) ? t : best)),
+  ];
+}
+
+// Shortest decimal form at the given precision: 12.5000 -> "12.5"
+const num = (x, digits) => String(Number(x.toFixed(digits)));
+
+const xmlEscape = (s) =>
+  String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// Text on a single line, for line-based formats
+const oneLine = (s) => String(s).replace(/\s*[\r\n]+\s*/g, " ");
+
+const xmlUnescape = (s) =>
+  s
+    .replace(/&quot;/g, '"')
+    .replace(/&gt;/g, ">")
+    .replace(/&lt;/g, "<")
+    .replace(/&amp;/g, "&");
+
+/**
+ * WAsP turbine generator file (XML .wtg): power in W, one
+ * PerformanceTable per air density
+ */
+export function toWAsPWTG(tables, { rotorDiameter, hubHeight, description }) {
+  const lines = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    `<WindTurbineGenerator Description="${xmlEscape(description)}" ManufacturerName="" FormatVersion="1.00" RotorDiameter="${num(rotorDiameter, 2)}">`,
+    "  <SuggestedHeights>",
+    `    <Height>${num(hubHeight, 2)}</Height>`,
+    "  </SuggestedHeights>",
+  ];
+  for (const { airDensity, points } of tables) {
+    const { cutIn, cutOut } = cutInOut(points);
+    lines.push(
+      `  <PerformanceTable AirDensity="${num(airDensity, 4)}">`,
+      `    <StartStopStrategy LowSpeedCutIn="${num(cutIn, 3)}" LowSpeedCutOut="${num(cutIn, 3)}" HighSpeedCutIn="${num(cutOut, 3)}" HighSpeedCutOut="${num(cutOut, 3)}" />`,
+      "    <DataTable>",
+    );
+    for (const { v, p, ct } of points) {
+      lines.push(
+        `      <DataPoint WindSpeed="${num(v, 3)}" PowerOutput="${num(p * 1000, 1)}" ThrustCoEfficient="${num(ct, 4)}" />`,
+      );
+    }
+    lines.push("    </DataTable>", "  </PerformanceTable>");
+  }
+  lines.push("</WindTurbineGenerator>");
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+// Attributes of an XML start tag's attribute text
+const xmlAttributes = (text) =>
+  Object.fromEntries(
+    [...text.matchAll(/([\w:]+)\s*=\s*"([^"]*)"/g)].map(([, key, value]) => [
+      key,
+      xmlUnescape(value),
+    ]),
+  );
+
+/**
+ * Read a WAsP .wtg file: { description, rotorDiameter, hubHeights,
+ * tables: [{ airDensity, cutIn, cutOut, points: [{ v, p, ct }] }] }, p in kW
+ */
+export function parseWAsPWTG(text) {
+  const root = /<WindTurbineGenerator\b([^>]*)>/.exec(text);
+  if (!root) throw new Error("Not a WAsP .wtg file");
+  const attributes = xmlAttributes(root[1]);
+
+  const tables = [
+    ...text.matchAll(
+      /<PerformanceTable\b([^>]*)>([\s\S]*?)<\/PerformanceTable>/g,
+    ),
+  ].map(([, tableAttributes, body]) => {
+    const strategy = xmlAttributes(
+      /<StartStopStrategy\b([^>]*)\/>/.exec(body)?.[1] ?? "",
+    );
+    return {
+      airDensity: Number(xmlAttributes(tableAttributes).AirDensity),
+      cutIn: Number(strategy.LowSpeedCutIn),
+      cutOut: Number(strategy.HighSpeedCutOut),
+      points: [...body.matchAll(/<DataPoint\b([^>]*)\/>/g)].map(([, pt]) => {
+        const a = xmlAttributes(pt);
+        return {
+          v: Number(a.WindSpeed),
+          p: Number(a.PowerOutput) / 1000,
+          ct: Number(a.ThrustCoEfficient),
+        };
+      }),
+    };
+  });
+
+  return {
+    description: attributes.Description ?? "",
+    rotorDiameter: Number(attributes.RotorDiameter),
+    hubHeights: [...text.matchAll(/<Height>([^<]*)<\/Height>/g)].map(([, h]) =>
+      Number(h),
+    ),
+    tables,
+  };
+}
+
+/**
+ * WAsP .pow power curve, the legacy text format windPRO also imports:
+ * description (with the air density), hub height and rotor diameter, the
+ * factors to m/s and kW, then wind speed, power (W) and Ct rows. Holds a
+ * single air density.
+ */
+export function toPOW([{ airDensity, points }], info) {
+  return `${[
+    `${oneLine(info.description)} (rho=${num(airDensity, 4)} kg/m3)`,
+    `${num(info.hubHeight, 2)} ${num(info.rotorDiameter, 2)}`,
+    "1 0.001",
+    ...points.map(
+      (pt) => `${num(pt.v, 3)} ${num(pt.p * 1000, 1)} ${num(pt.ct, 4)}`,
+    ),
+  ].join("\r\n")}\r\n`;
+}
+
+/**
+ * Read a .pow file (see toPOW); same shape as parseWAsPWTG, p in kW
+ */
+export function parsePOW(text) {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim());
+  const numbers = (line) => line.trim().split(/\s+/).map(Number);
+  const [hubHeight, rotorDiameter] = numbers(lines[1] ?? "");
+  const [speedFactor, powerFactor] = numbers(lines[2] ?? "");
+  if (
+    ![hubHeight, rotorDiameter, speedFactor, powerFactor].every(Number.isFinite)
+  ) {
+    throw new Error("Not a .pow file");
+  }
+  const points = lines.slice(3).map((line) => {
+    const [v, p, ct] = numbers(line);
+    return { v: v * speedFactor, p: p * powerFactor, ct };
+  });
+  const { cutIn, cutOut } = cutInOut(points);
+  return {
+    description: lines[0],
+    rotorDiameter,
+    hubHeights: [hubHeight],
+    tables: [
+      {
+        airDensity: Number([...lines[0].matchAll(/rho=([\d.]+)/g)].at(-1)?.[1]),
+        cutIn,
+        cutOut,
+        points,
+      },
+    ],
+  };
+}
+
+/**
+ * OpenWind turbine file (XML .owtg): the turbine, its metadata and one
+ * power curve (power in kW, Ct) per air density
+ */
+export function toOpenWindOWTG(tables, info) {
+  const lines = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    "<turbine>",
+    `  <name>${xmlEscape(info.description)}</name>`,
+    `  <rotordiameter>${num(info.rotorDiameter, 2)}</rotordiameter>`,
+    `  <hubheight>${num(info.hubHeight, 2)}</hubheight>`,
+    "  <metadata>",
+    ...info.metadata.map(
+      (row) =>
+        `    <item name="${xmlEscape(row.Parameter)}">${xmlEscape(row.Value)}</item>`,
+    ),
+    "  </metadata>",
+    "  <powercurves>",
+  ];
+  for (const { airDensity, points } of tables) {
+    const { cutIn, cutOut } = cutInOut(points);
+    lines.push(
+      `    <powercurve airdensity="${num(airDensity, 4)}" cutin="${num(cutIn, 3)}" cutout="${num(cutOut, 3)}">`,
+      ...points.map(
+        (pt) =>
+          `      <point windspeed="${num(pt.v, 3)}" power="${num(pt.p, 3)}" ct="${num(pt.ct, 4)}" />`,
+      ),
+      "    </powercurve>",
+    );
+  }
+  lines.push("  </powercurves>", "</turbine>");
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+/**
+ * Read an OpenWind .owtg file (see toOpenWindOWTG); same shape as
+ * parseWAsPWTG plus the metadata entries
+ */
+export function parseOpenWindOWTG(text) {
+  if (!/<turbine\b/.test(text)) throw new Error("Not an OpenWind .owtg file");
+  const element = (name) =>
+    xmlUnescape(new RegExp(`<${name}>([^<]*)</${name}>`).exec(text)?.[1] ?? "");
+
+  return {
+    description: element("name"),
+    rotorDiameter: Number(element("rotordiameter")),
+    hubHeights: [Number(element("hubheight"))],
+    metadata: Object.fromEntries(
+      [...text.matchAll(/<item\b([^>]*)>([^<]*)<\/item>/g)].map(
+        ([, attributes, value]) => [
+          xmlAttributes(attributes).name,
+          xmlUnescape(value),
+        ],
+      ),
+    ),
+    tables: [
+      ...text.matchAll(/<powercurve\b([^>]*)>([\s\S]*?)<\/powercurve>/g),
+    ].map(([, curveAttributes, body]) => {
+      const a = xmlAttributes(curveAttributes);
+      return {
+        airDensity: Number(a.airdensity),
+        cutIn: Number(a.cutin),
+        cutOut: Number(a.cutout),
+        points: [...body.matchAll(/<point\b([^>]*)\/>/g)].map(([, pt]) => {
+          const p = xmlAttributes(pt);
+          return {
+            v: Number(p.windspeed),
+            p: Number(p.power),
+            ct: Number(p.ct),
+          };
+        }),
+      };
+    }),
+  };
+}
+
+const close = (a, b, tolerance) => Math.abs(a - b) <= tolerance;
+
+/**
+ * Throw unless a parsed file holds what it was written from, to the
+ * precision written
+ */
+function checkRoundTrip(fmt, tables, info, parsed) {
+  const fail = (what) => {
+    throw new Error(`${fmt.toUpperCase()} export did not read back: ${what}`);
+  };
+
+  if (!close(parsed.rotorDiameter, info.rotorDiameter, 0.01)) {
+    fail("rotor diameter");
+  }
+  if (!parsed.hubHeights.some((h) => close(h, info.hubHeight, 0.01))) {
+    fail("hub height");
+  }
+  if (parsed.tables.length !== tables.length) fail("table count");
+  tables.forEach((table, t) => {
+    const read = parsed.tables[t];
+    if (!close(read.airDensity, table.airDensity, 1e-4)) {
+      fail(`air density of table ${t + 1}`);
+    }
+    if (read.points.length !== table.points.length) {
+      fail(`point count at ${table.airDensity} kg/m³`);
+    }
+    // Cut-in and cut-out must be speeds of the table itself
+    const range = cutInOut(read.points);
+    if (read.cutIn !== range.cutIn || read.cutOut !== range.cutOut) {
+      fail(`cut-in/cut-out at ${table.airDensity} kg/m³`);
+    }
+    table.points.forEach((pt, i) => {
+      const r = read.points[i];
+      if (
+        !close(r.v, pt.v, 1e-3) ||
+        !close(r.p, pt.p, 1e-3) ||
+        !close(r.ct, pt.ct, 1e-4)
+      ) {
+        fail(`point at ${pt.v} m/s, ${table.airDensity} kg/m³`);
+      }
+    });
+  });
+}
+
+/**
+ * Build the turbine file ({ blob, filename, type }) of a run (see
+ * runDatasets) in the given format. The file is parsed back and checked
+ * against the tables before it is returned.
+ */
+export function toTurbineFile(fmt, run, baseName) {
+  const format = TURBINE_FILES[fmt];
+  if (!format) throw new Error(`Unknown turbine file format: ${fmt}`);
+  const { settings } = run;
+  const error = turbineParamsError(settings);
+  if (error) throw new Error(error);
+
+  const tables = performanceTables(
+    run.powerCurve,
+    ctColumn(settings.channelMapping),
+  );
+  if (!tables.length) throw new Error("No power curve points to export");
+  for (const { airDensity, points } of tables) {
+    const missing = points.find((pt) => pt.ct === null);
+    if (missing) {
+      throw new Error(
+        `No Ct at ${num(missing.v, 2)} m/s (${airDensity} kg/m³) for the ${fmt} file`,
+      );
+    }
+    // Filename-prefix groups of different cases at one wind speed
+    const twin = points.find(
+      (pt, i) => i > 0 && num(pt.v, 3) === num(points[i - 1].v, 3),
+    );
+    if (twin) {
+      throw new Error(
+        `Two power curve points at ${num(twin.v, 3)} m/s (${airDensity} kg/m³) - turbine files hold a single curve`,
+      );
+    }
+  }
+  const info = {
+    rotorDiameter: Number(settings.rotorDiameter),
+    hubHeight: Number(settings.hubHeight),
+    airDensity: Number(settings.airDensity),
+    description: `${run.presetName || "Simulated turbine"} - power curve from ${run.processedFiles} simulations, ${new Date(run.createdAt).toISOString()}`,
+    metadata: metadataToRecords(settings, {
+      generated: run.createdAt,
+      files: run.processedFiles,
+      partial: run.partial,
+    }),
+  };
+
+  const written = format.select ? format.select(tables, info) : tables;
+  const text = format.write(written, info);
+  checkRoundTrip(fmt, written, info, format.parse(text));
+  return {
+    blob: new Blob([text], { type: format.type }),
+    filename: `${baseName}.${format.extension}`,
+    type: format.type,
+  };
+}
@@ -0,0 +1,150 @@
+// Channel units: parse the OpenFAST units row, check it against the unit each
+// output column claims ("Power(kW)", "Torque(kNm)"), convert where possible
+import { statColumn, statOf } from "./statistics.js";
+
+// canonical unit -> [dimension, factor to the dimension's reference unit]
+const UNITS = {
+  W: ["power", 1e-3],
+  kW: ["power", 1],
+  MW: ["power", 1e3],
+  Nm: ["torque", 1e-3],
+  kNm: ["torque", 1],
+  MNm: ["torque", 1e3],
+  "rad/s": ["rotSpeed", 60 / (2 * Math.PI)],
+  rpm: ["rotSpeed", 1],
+  rad: ["angle", 180 / Math.PI],
+  deg: ["angle", 1],
+  "m/s": ["velocity", 1],
+  N: ["force", 1e-3],
+  kN: ["force", 1],
+  s: ["time", 1],
+  "-": ["dimensionless", 1],
+};
+
+// Spellings seen in OpenFAST units rows and in this app's column names
+const ALIASES = {
+  w: "W",
+  kw: "kW",
+  mw: "MW",
+  nm: "Nm",
+  "n-m": "Nm",
+  "n*m": "Nm",
+  "n·m": "Nm",
+  knm: "kNm",
+  "kn-m": "kNm",
+  "kn*m": "kNm",
+  "kn·m": "kNm",
+  mnm: "MNm",
+  "mn-m": "MNm",
+  "rad/s": "rad/s",
+  rpm: "rpm",
+  rad: "rad",
+  deg: "deg",
+  "m/s": "m/s",
+  ms: "m/s", // WindSpeed(ms) convention used by the exports
+  n: "N",
+  kn: "kN",
+  s: "s",
+  sec: "s",
+  "-": "-",
+};
+
+// Units of the columns the app adds itself
+const FIXED_UNITS = {
+  "WindSpeed(ms)": "m/s",
+  "WindSpeedNorm(ms)": "m/s",
+  "PowerNorm(kW)": "kW",
+  Density: "kg/m^3",
+  SimDensity: "kg/m^3",
+  "BinCenter(ms)": "m/s",
+  "BinLower(ms)": "m/s",
+  "BinUpper(ms)": "m/s",
+  Samples: "-",
+  "WindowStart(s)": "s",
+  "WindowEnd(s)": "s",
+  SamplesUsed: "-",
+};
+
+/**
+ * Canonical unit for a units-row token such as "(kN-m)", or null if unknown
+ */
+export function parseUnit(token) {
+  if (!token) return null;
+  const raw = token
+    .trim()
+    .replace(/^\((.*)\)$/, "$1")
+    .trim();
+  if (!raw) return null;
+  return ALIASES[raw.toLowerCase()] ?? (UNITS[raw] ? raw : null);
+}
+
+/**
+ * Unit an output column name claims in its trailing parentheses, or null
+ */
+export function columnUnit(column) {
+  const match = /\(([^()]+)\)$/.exec(column);
+  return match ? parseUnit(match[1]) : null;
+}
+
+/**
+ * Multiplier converting `from` into `to`, or null when the dimensions differ
+ */
+export function conversionFactor(from, to) {
+  const a = UNITS[from];
+  const b = UNITS[to];
+  if (!a || !b || a[0] !== b[0]) return null;
+  return a[1] / b[1];
+}
+
+/**
+ * Bring a per-file record into the units its column names claim.
+ * `sourceUnits` are the file's units-row tokens, one per mapped channel.
+ * Conversions and mismatches are collected in report.converted /
+ * report.mismatched (Sets of human-readable strings).
+ */
+export function applyChannelUnits(record, channels, sourceUnits, report) {
+  if (!sourceUnits) return record;
+
+  const out = { ...record };
+  channels.forEach((ch, c) => {
+    const source = parseUnit(sourceUnits[c]);
+    const claimed = columnUnit(ch.column);
+    if (!source || !claimed || source === claimed) return;
+
+    const factor = conversionFactor(source, claimed);
+    if (factor === null) {
+      report.mismatched.add(
+        `${ch.header} is in ${source} but ${ch.column} claims ${claimed}`,
+      );
+      return;
+    }
+
+    for (const stat of ["mean", ...ch.stats]) {
+      const col = statColumn(ch.column, stat);
+      if (typeof out[col] === "number") out[col] *= factor;
+    }
+    report.converted.add(`${ch.header}: ${source} → ${claimed}`);
+  });
+  return out;
+}
+
+/**
+ * Unit for every column of an export, keyed by column name.
+ * Channel columns use their claimed unit, else the file's units row.
+ */
+export function outputUnits(data, channels, sourceUnits = []) {
+  const byColumn = {};
+  channels.forEach((ch, c) => {
+    byColumn[ch.column] =
+      columnUnit(ch.column) || parseUnit(sourceUnits[c]) || "";
+  });
+
+  const units = {};
+  for (const col of Object.keys(data[0] || {})) {
+    const stat = statOf(col);
+    const base =
+      stat === "mean" ? col : col.slice(0, col.length - stat.length - 1);
+    units[col] = FIXED_UNITS[base] ?? byColumn[base] ?? columnUnit(base) ?? "";
+  }
+  return units;
+}
@@ -0,0 +1,241 @@
+// Server-side uploads for the API route: multipart bodies are read as a
+// stream with file parts spooled to disk, so neither the upload nor a
+// file in it is ever held in memory whole
+import { createWriteStream } from "node:fs";
+import { once } from "node:events";
+import path from "node:path";
+import { pipeline } from "node:stream/promises";
+import { promisify } from "node:util";
+import yauzl from "yauzl";
+
+const MAX_HEADER_BYTES = 16 * 1024; // headers of one part
+const MAX_FIELD_BYTES = 4 * 1024 * 1024; // a text field, e.g. a preset
+
+export const isOutFile = (name) => /\.outb?$/i.test(name);
+export const isZipFile = (name) => /\.zip$/i.test(name);
+
+/**
+ * Error carrying the HTTP status the route answers with
+ */
+export function uploadError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+/**
+ * 413 error for `what` ("Upload", "Unpacked ZIP") past maxBytes
+ */
+export const tooLarge = (what, maxBytes) =>
+  uploadError(
+    413,
+    `${what} exceeds the limit of ${+(maxBytes / 1024 ** 2).toFixed(1)} MB`,
+  );
+
+// Browsers may send the client-side path; only the name is kept
+const baseName = (name) => name.split(/[\\/]/).pop();
+
+function parsePartHeaders(text) {
+  const disposition = /^content-disposition:(.*)$/im.exec(text)?.[1];
+  if (disposition === undefined) {
+    throw uploadError(400, "Multipart part without Content-Disposition");
+  }
+  const param = (key) =>
+    new RegExp(`(?:^|;)\\s*${key}="([^"]*)"`, "i").exec(disposition)?.[1] ??
+    new RegExp(`(?:^|;)\\s*${key}=([^;\\s]+)`, "i").exec(disposition)?.[1];
+  const filename = param("filename");
+  return {
+    name: param("name") ?? "",
+    filename: filename === undefined ? null : baseName(filename),
+  };
+}
+
+/**
+ * Read a multipart/form-data body (a stream of Uint8Array chunks).
+ * File parts are written to `dir` as they arrive; more than maxBytes of
+ * body is rejected with 413.
+ *
+ * Returns { fields: { name: text }, files: [{ field, name, size, path }] }
+ */
+export async function readMultipart(body, contentType, { dir, maxBytes }) {
+  const match = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType || "");
+  if (!/^multipart\/form-data/i.test(contentType || "") || !match) {
+    throw uploadError(415, "Expected a multipart/form-data body");
+  }
+  const delimiter = Buffer.from(`\r\n--${match[1] || match[2]}`);
+
+  const fields = {};
+  const files = [];
+  let part = null; // { headers, stream, chunks, size }
+  // A leading CRLF lets the first boundary match the delimiter too
+  let buffer = Buffer.from("\r\n");
+  let state = "preamble"; // -> boundary -> headers -> body -> boundary ...
+  let received = 0;
+
+  const openPart = (headers) => {
+    if (headers.filename === null) return { headers, chunks: [], size: 0 };
+    const filePath = path.join(dir, `upload-${files.length}`);
+    files.push({
+      field: headers.name,
+      name: headers.filename,
+      size: 0,
+      path: filePath,
+    });
+    return { headers, stream: createWriteStream(filePath), size: 0 };
+  };
+
+  const writePart = async (data) => {
+    if (!data.length) return;
+    part.size += data.length;
+    if (part.stream) {
+      if (!part.stream.write(data)) await once(part.stream, "drain");
+    } else if (part.size > MAX_FIELD_BYTES) {
+      throw uploadError(413, `Field "${part.headers.name}" is too large`);
+    } else {
+      part.chunks.push(Buffer.from(data));
+    }
+  };
+
+  const closePart = async () => {
+    if (part.stream) {
+      part.stream.end();
+      await once(part.stream, "finish");
+      files.at(-1).size = part.size;
+    } else {
+      fields[part.headers.name] = Buffer.concat(part.chunks).toString("utf8");
+    }
+    part = null;
+  };
+
+  // Handle as much of the buffer as possible, leaving the unhandled rest
+  const consume = async () => {
+    for (;;) {
+      if (state === "preamble" || state === "body") {
+        const i = buffer.indexOf(delimiter);
+        if (i === -1) {
+          // Keep a tail that may be the start of a delimiter
+          const keep = Math.min(buffer.length, delimiter.length - 1);
+          if (state === "body") {
+            await writePart(buffer.subarray(0, buffer.length - keep));
+          }
+          buffer = buffer.subarray(buffer.length - keep);
+          return;
+        }
+        if (state === "body") {
+          await writePart(buffer.subarray(0, i));
+          await closePart();
+        }
+        buffer = buffer.subarray(i + delimiter.length);
+        state = "boundary";
+      } else if (state === "boundary") {
+        // "--" closes the body; otherwise the line ends (after optional
+        // transport padding) and a part's headers follow
+        if (buffer.length < 2) return;
+        if (buffer.subarray(0, 2).toString() === "--") {
+          state = "done";
+          continue;
+        }
+        const eol = buffer.indexOf("\r\n");
+        if (eol === -1) return;
+        buffer = buffer.subarray(eol + 2);
+        state = "headers";
+      } else if (state === "headers") {
+        const end = buffer.indexOf("\r\n\r\n");
+        if (end === -1) {
+          if (buffer.length > MAX_HEADER_BYTES) {
+            throw uploadError(400, "Multipart part headers are too large");
+          }
+          return;
+        }
+        part = openPart(parsePartHeaders(buffer.subarray(0, end).toString()));
+        buffer = buffer.subarray(end + 4);
+        state = "body";
+      } else {
+        buffer = Buffer.alloc(0); // epilogue after the closing boundary
+        return;
+      }
+    }
+  };
+
+  try {
+    for await (const chunk of body) {
+      received += chunk.length;
+      if (received > maxBytes) {
+        throw tooLarge("Upload", maxBytes);
+      }
+      buffer = buffer.length
+        ? Buffer.concat([buffer, chunk])
+        : Buffer.from(chunk);
+      await consume();
+    }
+  } catch (error) {
+    part?.stream?.destroy();
+    throw error;
+  }
+  if (state !== "done") {
+    part?.stream?.destroy();
+    throw uploadError(400, "Multipart body ended early");
+  }
+  return { fields, files };
+}
+
+const openZip = promisify(yauzl.open);
+
+/**
+ * Next entry of a lazyEntries ZIP, or null after the last one
+ */
+const nextEntry = (zip) =>
+  new Promise((resolve, reject) => {
+    const settle = (callback) => (value) => {
+      zip.off("entry", onEntry).off("end", onEnd).off("error", onError);
+      callback(value);
+    };
+    const onEntry = settle(resolve);
+    const onEnd = settle(() => resolve(null));
+    const onError = settle(reject);
+    zip.on("entry", onEntry).on("end", onEnd).on("error", onError);
+    zip.readEntry();
+  });
+
+/**
+ * Write the .out/.outb entries of a ZIP in `dir`; they may unpack to at
+ * most maxBytes. The ZIP is read from disk entry by entry and each entry
+ * is inflated straight into its file, so neither is held in memory.
+ * Returns [{ name, size, path }] like readMultipart's files.
+ */
+export async function extractOutFiles(zipPath, dir, maxBytes) {
+  const notReadable = (error) =>
+    uploadError(400, `Not a readable ZIP file: ${error.message}`);
+  // Entry sizes are checked against the central directory while inflating
+  const zip = await openZip(zipPath, {
+    lazyEntries: true,
+    validateEntrySizes: true,
+  }).catch((error) => {
+    throw notReadable(error);
+  });
+  const openEntry = promisify(zip.openReadStream.bind(zip));
+
+  const files = [];
+  let extracted = 0;
+  try {
+    for (let entry; (entry = await nextEntry(zip));) {
+      if (!isOutFile(entry.fileName)) continue;
+      extracted += entry.uncompressedSize;
+      if (extracted > maxBytes) throw tooLarge("Unpacked ZIP", maxBytes);
+
+      const filePath = path.join(
+        dir,
+        `${path.basename(zipPath)}-${files.length}`,
+      );
+      await pipeline(await openEntry(entry), createWriteStream(filePath));
+      files.push({
+        name: baseName(entry.fileName),
+        size: entry.uncompressedSize,
+        path: filePath,
+      });
+    }
+  } catch (error) {
+    throw error.status ? error : notReadable(error);
+  } finally {
+    zip.close();
+  }
+  return files;
+}
@@ -0,0 +1,135 @@
+// Hub wind speed definition: how the per-file WindSpeed(ms) is reduced from
+// the WindHubVelX/Y/Z time series (or read from another channel)
+import { StreamingStats } from "./statistics.js";
+
+export const WIND_SPEED_METHODS = {
+  // |mean(u, v, w)| - magnitude of the mean velocity vector
+  vectorMean: "vectorMean",
+  // mean(|(u, v, w)|) - mean of the instantaneous 3D magnitude
+  scalarMean: "scalarMean",
+  // mean(|(u, v)|) - mean horizontal speed
+  horizontal: "horizontal",
+  // mean(u) - longitudinal component only
+  longitudinal: "longitudinal",
+  // cbrt(mean(|(u, v, w)|³)) - energy-equivalent speed
+  energy: "energy",
+  // mean of a single channel, e.g. Wind1VelX
+  channel: "channel",
+};
+
+export const WIND_SPEED_LABELS = {
+  vectorMean: "Magnitude of mean vector",
+  scalarMean: "Mean of 3D magnitude",
+  horizontal: "Mean horizontal speed",
+  longitudinal: "Mean longitudinal (X) component",
+  energy: "Energy-equivalent (cube-root mean cube)",
+  channel: "Single channel",
+};
+
+// Hub wind components (0 = X, 1 = Y, 2 = Z) a method reads, where not all
+const METHOD_COMPONENTS = {
+  horizontal: [0, 1],
+  longitudinal: [0],
+  channel: [],
+};
+
+/**
+ * Components a method needs - a file without one of them cannot give
+ * its wind speed
+ */
+export const windComponents = (method) =>
+  METHOD_COMPONENTS[method] ?? [0, 1, 2];
+
+export const DEFAULT_WIND_PARAMS = {
+  windSpeedMethod: WIND_SPEED_METHODS.vectorMean,
+  windSpeedChannel: "Wind1VelX", // used by the channel method
+};
+
+/**
+ * Plain wind speed settings as sent to the workers
+ */
+export function windSpeedSettings(params) {
+  const method = WIND_SPEED_METHODS[params.windSpeedMethod]
+    ? params.windSpeedMethod
+    : DEFAULT_WIND_PARAMS.windSpeedMethod;
+  return {
+    method,
+    channel:
+      method === WIND_SPEED_METHODS.channel
+        ? (params.windSpeedChannel || "").trim()
+        : null,
+  };
+}
+
+/**
+ * Human-readable definition for logs, the config banner and the metadata
+ */
+export function describeWindSpeed(params) {
+  const { method, channel } = windSpeedSettings(params);
+  return method === WIND_SPEED_METHODS.channel
+    ? `Mean of ${channel || "?"}`
+    : WIND_SPEED_LABELS[method];
+}
+
+/**
+ * Streaming reduction of the hub wind components to one wind speed
+ *
+ * push(c, value) feeds component c (0 = X, 1 = Y, 2 = Z) of the current
+ * time step and endRow() closes the step; pushChannel(value) feeds the
+ * channel method instead. Components the method does not read (see
+ * windComponents) may be missing and count as zero.
+ */
+export class HubWindSpeed {
+  constructor(method = DEFAULT_WIND_PARAMS.windSpeedMethod) {
+    this.method = method;
+    this.components = [0, 1, 2].map(() => new StreamingStats());
+    this.speed = new StreamingStats(); // per-step speed (or its cube)
+    this.row = new Float64Array(3);
+    this.perStep =
+      method === WIND_SPEED_METHODS.scalarMean ||
+      method === WIND_SPEED_METHODS.horizontal ||
+      method === WIND_SPEED_METHODS.energy;
+  }
+
+  push(c, value) {
+    this.components[c].push(value);
+    this.row[c] = value;
+  }
+
+  pushChannel(value) {
+    this.speed.push(value);
+  }
+
+  endRow() {
+    if (!this.perStep) return;
+    const [x, y, z] = this.row;
+    this.row.fill(0);
+
+    if (this.method === WIND_SPEED_METHODS.horizontal) {
+      this.speed.push(Math.sqrt(x * x + y * y));
+      return;
+    }
+    const magnitude = Math.sqrt(x * x + y * y + z * z);
+    this.speed.push(
+      this.method === WIND_SPEED_METHODS.energy
+        ? magnitude * magnitude * magnitude
+        : magnitude,
+    );
+  }
+
+  value() {
+    const [x, y, z] = this.components.map((st) => st.get("mean"));
+    switch (this.method) {
+      case WIND_SPEED_METHODS.longitudinal:
+        return x;
+      case WIND_SPEED_METHODS.energy:
+        return Math.cbrt(this.speed.get("mean"));
+      case WIND_SPEED_METHODS.scalarMean:
+      case WIND_SPEED_METHODS.horizontal:
+      case WIND_SPEED_METHODS.channel:
+        return this.speed.get("mean");
+      default:
+        return Math.sqrt(x * x + y * y + z * z);
+    }
+  }
+}
@@ -0,0 +1,149 @@
+// FIFO task scheduler over a fixed set of Web Workers
+export const DEFAULT_MEMORY_BUDGET = 512 * 1024 * 1024; // 512MB of task working sets in flight
+
+/**
+ * Runs tasks on a worker pool with backpressure:
+ * - tasks wait in a FIFO queue and idle workers pull the next one
+ * - a task only starts while the memory its running tasks need stays
+ *   within `memoryBudget` (a single task larger than the budget still
+ *   runs alone)
+ * - each worker has one message dispatcher that settles its current task
+ *
+ * pause() stops handing out queued tasks (running ones finish), resume()
+ * picks up where it left off. Per-worker utilization is available from
+ * stats().
+ */
+export class WorkerScheduler {
+  constructor(workers, { memoryBudget = DEFAULT_MEMORY_BUDGET } = {}) {
+    this.memoryBudget = memoryBudget;
+    this.queue = [];
+    this.memoryInFlight = 0;
+    this.paused = false;
+    this.createdAt = Date.now();
+
+    this.slots = workers.map((worker, id) => {
+      const slot = {
+        id,
+        worker,
+        task: null,
+        startedAt: 0,
+        tasks: 0,
+        failures: 0,
+        busyMs: 0,
+        bytesProcessed: 0,
+      };
+      worker.onmessage = (event) => this.settle(slot, event.data, null);
+      worker.onerror = (event) => {
+        event.preventDefault?.();
+        this.settle(slot, null, new Error(event.message || "Worker error"));
+      };
+      return slot;
+    });
+  }
+
+  /**
+   * Queue a task. `message` is posted to the worker as is, `bytes` is the
+   * input size for stats() and `memory` the task's working set, which
+   * counts against the memory budget. Resolves with the worker's reply.
+   */
+  run(message, bytes = 0, memory = bytes) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ message, bytes, memory, resolve, reject });
+      this.pump();
+    });
+  }
+
+  /**
+   * Hand queued tasks to idle workers while the memory budget allows
+   */
+  pump() {
+    if (this.paused) return;
+    for (const slot of this.slots) {
+      if (!this.queue.length) return;
+      if (slot.task) continue;
+
+      const next = this.queue[0];
+      const fits =
+        this.memoryInFlight === 0 ||
+        this.memoryInFlight + next.memory <= this.memoryBudget;
+      if (!fits) return; // keep FIFO order - wait for memory to drain
+
+      this.queue.shift();
+      slot.task = next;
+      slot.startedAt = Date.now();
+      this.memoryInFlight += next.memory;
+      slot.worker.postMessage(next.message);
+    }
+  }
+
+  pause() {
+    this.paused = true;
+  }
+
+  resume() {
+    this.paused = false;
+    this.pump();
+  }
+
+  settle(slot, data, error) {
+    const task = slot.task;
+    if (!task) return;
+
+    slot.task = null;
+    slot.tasks++;
+    slot.busyMs += Date.now() - slot.startedAt;
+    slot.bytesProcessed += task.bytes;
+    this.memoryInFlight -= task.memory;
+
+    if (error) {
+      slot.failures++;
+      task.reject(error);
+    } else {
+      task.resolve(data);
+    }
+    this.pump();
+  }
+
+  /**
+   * Start a new measurement window for stats()
+   */
+  resetStats() {
+    this.createdAt = Date.now();
+    for (const slot of this.slots) {
+      Object.assign(slot, {
+        tasks: 0,
+        failures: 0,
+        busyMs: 0,
+        bytesProcessed: 0,
+      });
+    }
+  }
+
+  /**
+   * Per-worker utilization: tasks run, busy time, bytes processed and the
+   * busy share of the time since creation (or the last resetStats)
+   */
+  stats() {
+    const elapsed = Math.max(1, Date.now() - this.createdAt);
+    return this.slots.map(
+      ({ id, tasks, failures, busyMs, bytesProcessed }) => ({
+        worker: id,
+        tasks,
+        failures,
+        busyMs,
+        bytesProcessed,
+        utilization: busyMs / elapsed,
+      }),
+    );
+  }
+
+  /**
+   * Reject everything still queued or running
+   */
+  clear(reason = new Error("Scheduler cleared")) {
+    for (const task of this.queue.splice(0)) task.reject(reason);
+    for (const slot of this.slots) {
+      if (slot.task) this.settle(slot, null, reason);
+    }
+  }
+}
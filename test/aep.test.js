@@ -0,0 +1,130 @@
+// AEP bin summation and frequency-table weighting against hand-computed sums
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  aepCurveError,
+  aepParamsError,
+  computeAEP,
+  parseFrequencyTable,
+} from "../src/lib/aep.js";
+
+const CURVE = [
+  { "WindSpeed(ms)": 10, "Power(kW)": 1000 },
+  { "WindSpeed(ms)": 5, "Power(kW)": 100 },
+];
+const PARAMS = { aepAvailability: 100, aepLosses: 0 };
+
+const near = (actual, expected, tolerance = 1e-9) =>
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `${actual} is not ${expected}`,
+  );
+
+test("Rayleigh AEP is the IEC bin summation", () => {
+  // F(v) = 1 - exp(-π/4 · (v/8)²): F(4.5) = 0.220034, F(5) = 0.264199,
+  // F(10) = 0.706883; bins from 4.5 m/s at 0 kW
+  // 8760 · [(F(5) - F(4.5)) · 50 + (F(10) - F(5)) · 550] = 2152195.6 kWh
+  const aep = computeAEP(CURVE, {
+    ...PARAMS,
+    aepDistribution: "rayleigh",
+    aepMeanWindSpeed: 8,
+  });
+  near(aep.grossMWh, 2152.195625, 1e-6);
+  assert.equal(aep.netMWh, aep.grossMWh);
+  assert.equal(aep.ratedPowerKW, 1000);
+  near(aep.fullLoadHours, 2152.195625, 1e-6);
+  near(aep.capacityFactor, 2152.195625 / 8760, 1e-9);
+});
+
+test("Weibull AEP is the IEC bin summation", () => {
+  // F(v) = 1 - exp(-(v/9)²): F(4.5) = 0.221199, F(5) = 0.265556,
+  // F(10) = 0.709040
+  const aep = computeAEP(CURVE, {
+    ...PARAMS,
+    aepDistribution: "weibull",
+    aepWeibullA: 9,
+    aepWeibullK: 2,
+  });
+  near(aep.grossMWh, 2156.130535, 1e-6);
+});
+
+test("a frequency table weights the interpolated power", () => {
+  const table = parseFrequencyTable("ws,hours\n5,25\n7.5,50\n12,25\n");
+  assert.deepEqual(table, [
+    { v: 5, f: 0.25 },
+    { v: 7.5, f: 0.5 },
+    { v: 12, f: 0.25 },
+  ]);
+  // 7.5 m/s interpolates to 550 kW, 12 m/s is beyond the curve
+  // 8760 · (0.25 · 100 + 0.5 · 550 + 0.25 · 0) = 2628000 kWh
+  const aep = computeAEP(CURVE, { ...PARAMS, aepDistribution: "table" }, table);
+  near(aep.grossMWh, 2628);
+});
+
+test("availability and losses scale the net AEP", () => {
+  const table = [{ v: 10, f: 1 }];
+  const aep = computeAEP(
+    CURVE,
+    { aepDistribution: "table", aepAvailability: 95, aepLosses: 5 },
+    table,
+  );
+  near(aep.grossMWh, 8760);
+  near(aep.netMWh, 8760 * 0.95 * 0.95);
+});
+
+test("the normalized columns are integrated when present", () => {
+  const curve = CURVE.map((r) => ({
+    ...r,
+    "PowerNorm(kW)": r["Power(kW)"] / 2,
+  }));
+  const table = [{ v: 10, f: 1 }];
+  const aep = computeAEP(curve, { ...PARAMS, aepDistribution: "table" }, table);
+  near(aep.grossMWh, 4380);
+});
+
+test("no AEP when it is off, and none of a table without rows", () => {
+  assert.equal(computeAEP(CURVE, { aepDistribution: "none" }), null);
+  assert.equal(
+    aepParamsError({ aepDistribution: "table", aepFrequencyTable: null }),
+    "AEP needs a wind speed frequency table",
+  );
+  assert.throws(() => parseFrequencyTable("speed,frequency\n"));
+});
+
+test("a power curve of several cases is refused", () => {
+  const pattern = "ws(?<windSpeed>\\d+)_yaw(?<yaw>-?\\d+)";
+  assert.match(
+    aepParamsError({
+      aepDistribution: "rayleigh",
+      filenamePattern: pattern,
+      groupBy: ["windSpeed", "yaw"],
+    }),
+    /group by wind speed only, not by yaw/,
+  );
+  assert.equal(
+    aepParamsError({
+      aepDistribution: "rayleigh",
+      filenamePattern: pattern,
+      groupBy: ["windSpeed"],
+    }),
+    null,
+  );
+
+  // Filename-prefix groups ws8_yaw0 and ws8_yaw8 share a case wind speed
+  const curve = [
+    { WindSpeedGroup: "ws8_yaw0", "WindSpeed(ms)": 8.1, "Power(kW)": 900 },
+    { WindSpeedGroup: "ws8_yaw8", "WindSpeed(ms)": 7.9, "Power(kW)": 850 },
+  ];
+  const results = curve.map((r) => ({ ...r, "CaseWS(ms)": 8 }));
+  assert.equal(aepCurveError(curve), null);
+  assert.match(aepCurveError(curve, results), /several rows at 8 m\/s/);
+  assert.throws(
+    () =>
+      computeAEP([...curve, { ...curve[0] }], {
+        ...PARAMS,
+        aepDistribution: "rayleigh",
+        aepMeanWindSpeed: 8,
+      }),
+    /several rows at 8.1 m\/s/,
+  );
+});
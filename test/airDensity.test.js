@@ -0,0 +1,59 @@
+// IEC 61400-12-1 air-density normalization of per-file records
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { normalizeRecord } from "../src/lib/airDensity.js";
+
+const RECORD = {
+  WindSpeedGroup: "ws8",
+  "WindSpeed(ms)": 8,
+  "Power(kW)": 1000,
+  "Cp(-)": 0.45,
+};
+// Site 1.0 kg/m³, simulated at 1.25 kg/m³
+const DENSITIES = { airDensity: 1.0, simulationDensity: 1.25 };
+
+test("power method scales power by the density ratio and keeps wind speed", () => {
+  const r = normalizeRecord(RECORD, {
+    ...DENSITIES,
+    normalizationMethod: "power",
+  });
+  assert.equal(r["PowerNorm(kW)"], 800); // 1000 · 1.0 / 1.25
+  assert.equal(r["Power(kW)"], 1000);
+  assert.equal(r["WindSpeedNorm(ms)"], 8);
+  assert.equal(r.Density, 1.0);
+  assert.equal(r.SimDensity, 1.25);
+  assert.equal(r["Cp(-)"], 0.45);
+});
+
+test("wind speed method scales wind speed by the cube root and keeps power", () => {
+  const r = normalizeRecord(RECORD, {
+    ...DENSITIES,
+    normalizationMethod: "windSpeed",
+  });
+  // 8 · (1.25 / 1.0)^(1/3) = 8 · 1.077217...
+  assert.ok(Math.abs(r["WindSpeedNorm(ms)"] - 8.617739) < 1e-6);
+  assert.equal(r["WindSpeed(ms)"], 8);
+  assert.equal(r["PowerNorm(kW)"], 1000);
+});
+
+test("equal densities leave the record unchanged", () => {
+  for (const normalizationMethod of ["power", "windSpeed"]) {
+    const r = normalizeRecord(RECORD, {
+      airDensity: 1.225,
+      simulationDensity: 1.225,
+      normalizationMethod,
+    });
+    assert.equal(r["WindSpeedNorm(ms)"], 8);
+    assert.equal(r["PowerNorm(kW)"], 1000);
+  }
+});
+
+test("a record without a power channel gets no PowerNorm", () => {
+  const { "Power(kW)": _power, ...record } = RECORD;
+  const r = normalizeRecord(record, {
+    ...DENSITIES,
+    normalizationMethod: "power",
+  });
+  assert.equal("Power(kW)" in r, false);
+  assert.equal("PowerNorm(kW)" in r, false);
+});
@@ -0,0 +1,55 @@
+// Method-of-bins edges and the wind speed binning of the power curve
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { binCenter, binEdges, fileGroupKey } from "../src/lib/binning.js";
+import { FileProcessor } from "../src/lib/optimizedProcessing.js";
+
+test("bins include their lower edge and exclude their upper edge", () => {
+  assert.equal(binCenter(10.25), 10.5);
+  assert.equal(binCenter(10.24999), 10);
+  assert.equal(binCenter(10.74999), 10.5);
+  assert.equal(binCenter(10.75), 11);
+  assert.equal(binCenter(7.5, 1), 8);
+  assert.equal(binCenter(7.49, 1), 7);
+  assert.equal(binCenter(0.1), 0);
+});
+
+test("bin edges lie half a bin width either side of the centre", () => {
+  assert.deepEqual(binEdges(10.5), { lower: 10.25, upper: 10.75 });
+  assert.deepEqual(binEdges(0.3, 0.2), { lower: 0.2, upper: 0.4 });
+});
+
+test("filename groups are the part before _seed", () => {
+  assert.equal(fileGroupKey("WS8_seed3.out"), "ws8");
+  assert.equal(fileGroupKey("ws10.outb"), "ws10");
+});
+
+test("wind speed binning groups files by normalized wind speed", () => {
+  const record = (name, ws, wsNorm, power) => ({
+    WindSpeedGroup: name,
+    "WindSpeed(ms)": ws,
+    "WindSpeedNorm(ms)": wsNorm,
+    "Power(kW)": power,
+  });
+  // The raw speeds of a and b fall in different bins, their normalized
+  // speeds in the 10.5 bin; c is in the 10 bin
+  const curve = new FileProcessor({ workerCount: 0 }).aggregatePowerCurve(
+    [
+      record("a", 10.2, 10.3, 1000),
+      record("b", 10.3, 10.6, 1200),
+      record("c", 10.1, 10.2, 900),
+    ],
+    { binningMode: "windSpeed", binWidth: 0.5 },
+  );
+  const bins = Object.fromEntries(curve.map((r) => [r["BinCenter(ms)"], r]));
+
+  assert.deepEqual(Object.keys(bins).sort(), ["10", "10.5"]);
+  assert.equal(bins[10.5].Samples, 2);
+  assert.equal(bins[10.5]["Power(kW)"], 1100);
+  assert.equal(bins[10.5]["BinLower(ms)"], 10.25);
+  assert.equal(bins[10.5]["BinUpper(ms)"], 10.75);
+  // The bin wind speed is the mean of its files, not the centre
+  assert.ok(Math.abs(bins[10.5]["WindSpeedNorm(ms)"] - 10.45) < 1e-9);
+  assert.equal(bins[10].Samples, 1);
+  assert.equal(bins[10]["Power(kW)"], 900);
+});
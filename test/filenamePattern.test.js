@@ -0,0 +1,82 @@
+// Case parameters parsed from file names, and the groups they form
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  FILENAME_PRESETS,
+  caseInfo,
+  compilePattern,
+  fieldColumn,
+  parseFilename,
+} from "../src/lib/filenamePattern.js";
+
+const preset = (id) =>
+  compilePattern(FILENAME_PRESETS.find((p) => p.id === id).pattern);
+
+test("the DLC preset parses every field, numbers as numbers", () => {
+  const parsed = parseFilename("dlc1.2_WS11.0_yaw-8_seed3.out", preset("dlc"));
+  assert.deepEqual(parsed.values, {
+    dlc: "1.2",
+    windSpeed: 11,
+    yaw: -8,
+    seed: 3,
+  });
+  assert.equal(parsed.raw.windSpeed, "11.0");
+});
+
+test("other capture names are numeric when their text is a number", () => {
+  const compiled = compilePattern(
+    "(?<windSpeed>\\d+)mps_(?<rotor>[a-z]+)_(?<run>\\d+)",
+  );
+  assert.deepEqual(compiled.fields, ["windSpeed", "rotor", "run"]);
+  assert.deepEqual(parseFilename("12mps_large_07.out", compiled).values, {
+    windSpeed: 12,
+    rotor: "large",
+    run: 7,
+  });
+  assert.equal(fieldColumn("rotor"), "rotor");
+  assert.equal(fieldColumn("ti"), "TI(%)");
+});
+
+test("names that do not match parse to null", () => {
+  assert.equal(parseFilename("ws11_seed3.out", preset("dlc")), null);
+  assert.equal(parseFilename("ws11_seed3.out", compilePattern("")), null);
+});
+
+test("patterns that cannot be used say why", () => {
+  assert.deepEqual(compilePattern("  "), {
+    regex: null,
+    fields: [],
+    error: null,
+  });
+  assert.match(compilePattern("ws(").error, /Invalid regular expression/);
+  assert.equal(
+    compilePattern("ws\\d+").error,
+    "Pattern has no named groups (?<name>)",
+  );
+});
+
+test("grouping keys form the group, other files keep their prefix", () => {
+  const compiled = preset("dlc");
+  const info = caseInfo("DLC1.2_ws11.0_yaw-8_seed3.out", compiled, [
+    "windSpeed",
+    "yaw",
+  ]);
+  assert.equal(info.matched, true);
+  assert.equal(info.group, "windSpeed=11.0, yaw=-8");
+  assert.deepEqual(info.columns, {
+    DLC: "1.2",
+    "CaseWS(ms)": 11,
+    "Yaw(deg)": -8,
+    Seed: 3,
+  });
+
+  // Without grouping keys, and for names that do not match
+  assert.equal(
+    caseInfo("DLC1.2_ws11.0_yaw-8_seed3.out", compiled).group,
+    "dlc1.2_ws11.0_yaw-8",
+  );
+  const other = caseInfo("ws11_seed3.out", compiled, ["windSpeed"]);
+  assert.equal(other.matched, false);
+  assert.equal(other.group, "ws11");
+  assert.equal(other.columns["CaseWS(ms)"], "");
+});
@@ -0,0 +1,16 @@
+// Small text .out files built in memory: the OpenFAST banner, a header row,
+// a units row and one data row per entry of `rows` (arrays of numbers)
+export function outFile(name, columns, units, rows) {
+  const text = [
+    "",
+    " These predictions were generated by OpenFAST",
+    "",
+    "Description from the FAST input file: test",
+    "",
+    columns.join("\t"),
+    units.map((u) => `(${u})`).join("\t"),
+    ...rows.map((row) => row.map((v) => v.toExponential(4)).join("  ")),
+    "",
+  ].join("\n");
+  return new File([text], name);
+}
@@ -0,0 +1,13 @@
+// src/lib/fileProcessor.worker.js under worker_threads: the Web Worker
+// globals it uses (self.onmessage, self.postMessage) over parentPort, with
+// tasks carrying a path like the CLI's worker
+import { openAsBlob } from "node:fs";
+import { parentPort } from "node:worker_threads";
+
+globalThis.self = { postMessage: (data) => parentPort.postMessage(data) };
+await import("../../src/lib/fileProcessor.worker.js");
+
+parentPort.on("message", async (task) => {
+  const file = await openAsBlob(task.file.path);
+  self.onmessage({ data: { ...task, file } });
+});
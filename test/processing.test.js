@@ -0,0 +1,119 @@
+// The worker, main-thread fallback and library paths share processFile and
+// finalizeResults; the same fixtures must give the same records and power
+// curves through each of them
+import assert from "node:assert/strict";
+import { openAsBlob } from "node:fs";
+import { readFile, readdir, stat } from "node:fs/promises";
+import path from "node:path";
+import { test } from "node:test";
+import { createNodeWorker } from "../cli/nodeWorker.js";
+import { DEFAULT_CHANNELS } from "../src/lib/channels.js";
+import { FileProcessor } from "../src/lib/optimizedProcessing.js";
+import { processOpenFASTOutFiles } from "../src/lib/parseOutFile.js";
+import { processFile } from "../src/lib/processFile.js";
+import {
+  DEFAULT_WINDOW_PARAMS,
+  windowSettings,
+} from "../src/lib/timeWindow.js";
+
+const FIXTURES = new URL("./fixtures/", import.meta.url);
+const WEB_WORKER = new URL("./helpers/webWorker.js", import.meta.url);
+
+// What processOpenFASTOutFiles uses
+const PARAMS = {
+  airDensity: 1.225,
+  simulationDensity: 1.225,
+  channels: DEFAULT_CHANNELS,
+  ...DEFAULT_WINDOW_PARAMS,
+};
+
+// { name, size, path } per fixture - the CLI's File-like objects
+const fixtures = async () => {
+  const dir = FIXTURES.pathname;
+  const names = (await readdir(dir)).sort();
+  return Promise.all(
+    names.map(async (name) => {
+      const filePath = path.join(dir, name);
+      return { name, size: (await stat(filePath)).size, path: filePath };
+    }),
+  );
+};
+
+const asFiles = (entries) =>
+  Promise.all(
+    entries.map(async (f) => new File([await openAsBlob(f.path)], f.name)),
+  );
+
+async function viaWorkers(createWorker) {
+  const processor = new FileProcessor({ createWorker, workerCount: 2 });
+  try {
+    return await processor.processBatches(await fixtures(), PARAMS, () => {});
+  } finally {
+    processor.terminate();
+  }
+}
+
+async function viaFallback() {
+  const processor = new FileProcessor({ workerCount: 0 });
+  return processor.processBatchesFallback(
+    await asFiles(await fixtures()),
+    PARAMS,
+    () => {},
+  );
+}
+
+// processFile per file, then the shared aggregation
+async function viaProcessFile() {
+  const window = windowSettings(PARAMS);
+  const entries = [];
+  for (const file of await asFiles(await fixtures())) {
+    const { record, units } = await processFile(file, file.name, {
+      channels: PARAMS.channels,
+      window,
+    });
+    entries.push({ record, units, fileName: file.name });
+  }
+  return {
+    ...new FileProcessor().finalizeResults(entries, PARAMS, () => {}),
+    errors: [],
+  };
+}
+
+async function viaLibrary() {
+  const files = await Promise.all(
+    (await fixtures()).map(async (f) => ({
+      name: f.name,
+      content: new Uint8Array(await readFile(f.path)),
+    })),
+  );
+  const { individualData, powerCurveData } =
+    await processOpenFASTOutFiles(files);
+  return { results: individualData, powerCurve: powerCurveData, errors: [] };
+}
+
+test("fixtures cover .out and .outb", async () => {
+  const names = (await fixtures()).map((f) => f.name);
+  assert.ok(names.some((name) => name.endsWith(".out")));
+  assert.ok(names.some((name) => name.endsWith(".outb")));
+});
+
+test("worker, fallback and library paths agree", async () => {
+  const library = await viaLibrary();
+  const runs = {
+    "Web Worker": await viaWorkers(() => createNodeWorker(WEB_WORKER)),
+    worker_threads: await viaWorkers(() => createNodeWorker()),
+    fallback: await viaFallback(),
+    processFile: await viaProcessFile(),
+  };
+
+  assert.equal(library.results.length, (await fixtures()).length);
+  for (const record of library.results) {
+    assert.ok(record.SamplesUsed > 0, `${record.FileName} samples`);
+    assert.ok(record["WindSpeed(ms)"] > 5, `${record.FileName} wind speed`);
+  }
+  for (const [name, run] of Object.entries(runs)) {
+    assert.deepEqual(run.errors, [], `${name} errors`);
+    assert.deepEqual(run.results, library.results, `${name} records`);
+    assert.deepEqual(run.powerCurve, library.powerCurve, `${name} power curve`);
+  }
+});
@@ -0,0 +1,85 @@
+// Reference power curve import, interpolation and the deviation columns
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  applyReference,
+  interpolateReference,
+  parseReferenceCurve,
+} from "../src/lib/referenceCurve.js";
+
+const REFERENCE = parseReferenceCurve(
+  [
+    "Warranted power curve",
+    "Ct;Wind speed (m/s);Power (MW)",
+    "0.80;10;2.0",
+    "0.85;8;1.0",
+    "0.70;12;3.0",
+  ].join("\n"),
+);
+
+test("header columns in any order, MW converted to kW, sorted", () => {
+  assert.deepEqual(REFERENCE, [
+    { v: 8, p: 1000, ct: 0.85 },
+    { v: 10, p: 2000, ct: 0.8 },
+    { v: 12, p: 3000, ct: 0.7 },
+  ]);
+});
+
+test("without a header the columns are wind speed, power, Ct", () => {
+  assert.deepEqual(parseReferenceCurve("4 100\n5 250\n"), [
+    { v: 4, p: 100, ct: null },
+    { v: 5, p: 250, ct: null },
+  ]);
+  assert.throws(() => parseReferenceCurve("4 100\n"), /at least two/);
+});
+
+test("interpolation is linear inside the curve and null outside it", () => {
+  assert.equal(interpolateReference(REFERENCE, 9), 1500);
+  assert.equal(interpolateReference(REFERENCE, 11.5), 2750);
+  assert.equal(interpolateReference(REFERENCE, 10), 2000);
+  assert.equal(interpolateReference(REFERENCE, 12), 3000);
+  assert.ok(Math.abs(interpolateReference(REFERENCE, 9, "ct") - 0.825) < 1e-12);
+  assert.equal(interpolateReference(REFERENCE, 7.9), null);
+  assert.equal(interpolateReference(REFERENCE, 12.1), null);
+});
+
+test("deviations against the interpolated reference, flagged past the tolerance", () => {
+  const { rows, flagged } = applyReference(
+    [
+      // Normalized columns are compared when present
+      {
+        "WindSpeed(ms)": 8.8,
+        "WindSpeedNorm(ms)": 9,
+        "Power(kW)": 1500,
+        "PowerNorm(kW)": 1560,
+        Ct: 0.8,
+      },
+      { "WindSpeed(ms)": 11, "Power(kW)": 2450, Ct: 0.75 },
+      { "WindSpeed(ms)": 13, "Power(kW)": 3000, Ct: 0.6 },
+    ],
+    REFERENCE,
+    { tolerance: 5 },
+  );
+
+  assert.equal(rows[0]["RefPower(kW)"], 1500);
+  assert.equal(rows[0]["PowerDeviation(kW)"], 60);
+  assert.equal(rows[0]["PowerDeviation(%)"], 4);
+  assert.equal(rows[0].WithinTolerance, "yes");
+  assert.ok(Math.abs(rows[0].CtDeviation - -0.025) < 1e-12);
+
+  // 2450 against 2500 kW: -2 %
+  assert.equal(rows[1]["PowerDeviation(%)"], -2);
+  assert.equal(rows[1].WithinTolerance, "yes");
+
+  // Beyond the reference: left blank
+  assert.equal(rows[2]["RefPower(kW)"], null);
+  assert.equal(rows[2].RefCt, null);
+  assert.equal(rows[2].WithinTolerance, "");
+
+  const tight = applyReference(rows, REFERENCE, { tolerance: 3 });
+  assert.deepEqual(
+    tight.flagged.map((r) => r["WindSpeed(ms)"]),
+    [8.8],
+  );
+  assert.deepEqual(flagged, []);
+});
@@ -0,0 +1,95 @@
+// Streaming channel statistics, and how the power curve reduces them across
+// the seeds of a group
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { FileProcessor } from "../src/lib/optimizedProcessing.js";
+import { P2Quantile, StreamingStats } from "../src/lib/statistics.js";
+
+// Deterministic uniform samples in [0, 1)
+function* uniform(count, seed = 12345) {
+  let state = seed;
+  for (let i = 0; i < count; i++) {
+    state = (state * 1103515245 + 12345) % 2 ** 31;
+    yield state / 2 ** 31;
+  }
+}
+
+const exactPercentile = (sorted, p) =>
+  sorted[Math.round((p / 100) * (sorted.length - 1))];
+
+test("P² percentiles stay close to the exact ones", () => {
+  // A noisy sine, like a channel time series, in kW
+  const samples = [...uniform(20000)].map(
+    (u, i) => 1500 + 300 * Math.sin(i / 50) + 100 * u,
+  );
+  const sorted = [...samples].sort((a, b) => a - b);
+  const range = sorted.at(-1) - sorted[0];
+
+  for (const p of [5, 50, 95]) {
+    const sketch = new P2Quantile(p / 100);
+    for (const x of samples) sketch.push(x);
+    const error = Math.abs(sketch.value() - exactPercentile(sorted, p));
+    assert.ok(error < 0.01 * range, `p${p} is off by ${error}`);
+  }
+});
+
+test("P² falls back to the nearest rank below five samples", () => {
+  const sketch = new P2Quantile(0.5);
+  for (const x of [3, 1, 2]) sketch.push(x);
+  assert.equal(sketch.value(), 2);
+});
+
+test("streaming mean, sample std, extremes and percentiles", () => {
+  const samples = [2, 4, 4, 4, 5, 5, 7, 9];
+  const stats = new StreamingStats([5, 95]);
+  const sketch = new P2Quantile(0.95);
+  for (const x of samples) {
+    stats.push(x);
+    sketch.push(x);
+  }
+  assert.equal(stats.get("mean"), 5);
+  // Σ(x - 5)² = 32 over n - 1 = 7
+  assert.ok(Math.abs(stats.get("std") - Math.sqrt(32 / 7)) < 1e-12);
+  assert.equal(stats.get("min"), 2);
+  assert.equal(stats.get("max"), 9);
+  assert.equal(stats.get("p95"), sketch.value());
+  assert.equal(stats.get("p50"), 0); // not tracked
+});
+
+test("the power curve pools std and spreads the seed means", () => {
+  const seed = (file, mean, std, min, max) => ({
+    WindSpeedGroup: "ws8",
+    FileName: file,
+    "WindSpeed(ms)": 8,
+    "Power(kW)": mean,
+    "Power(kW)_std": std,
+    "Power(kW)_min": min,
+    "Power(kW)_max": max,
+  });
+  const [row] = new FileProcessor({ workerCount: 0 }).aggregatePowerCurve([
+    seed("ws8_seed1.out", 1000, 30, 900, 1100),
+    seed("ws8_seed2.out", 1200, 40, 950, 1300),
+  ]);
+
+  assert.equal(row.Samples, 2);
+  assert.equal(row["Power(kW)"], 1100);
+  // Within-file spread: √((30² + 40²) / 2)
+  assert.ok(Math.abs(row["Power(kW)_std"] - Math.sqrt(1250)) < 1e-9);
+  // Seed-to-seed spread: sample std of 1000 and 1200
+  assert.ok(Math.abs(row["Power(kW)_seedStd"] - Math.sqrt(20000)) < 1e-9);
+  assert.equal(row["Power(kW)_min"], 900);
+  assert.equal(row["Power(kW)_max"], 1300);
+});
+
+test("a single seed has no seed spread", () => {
+  const [row] = new FileProcessor({ workerCount: 0 }).aggregatePowerCurve([
+    {
+      WindSpeedGroup: "ws8",
+      "WindSpeed(ms)": 8,
+      "Power(kW)": 1000,
+      "Power(kW)_std": 30,
+    },
+  ]);
+  assert.equal(row["Power(kW)_seedStd"], 0);
+  assert.equal(row["Power(kW)_std"], 30);
+});
@@ -0,0 +1,95 @@
+// The averaging window: which rows a file's record averages, and the
+// WindowStart / WindowEnd / SamplesUsed columns describing them
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  buildHeaderIndices,
+  createAccumulators,
+  parseLine,
+  processFile,
+} from "../src/lib/processFile.js";
+import { windowSettings } from "../src/lib/timeWindow.js";
+import { outFile } from "./helpers/outFile.js";
+
+const COLUMNS = [
+  "Time",
+  "WindHubVelX",
+  "WindHubVelY",
+  "WindHubVelZ",
+  "GenPwr",
+  "GenTq",
+  "RotSpeed",
+  "BldPitch1",
+];
+const UNITS = ["s", "m/s", "m/s", "m/s", "kW", "kN-m", "rpm", "deg"];
+const CHANNELS = [{ header: "GenPwr", column: "Power(kW)", stats: [] }];
+
+// 0 to 9 s at 1 s, power 100 kW per second of simulated time
+const FILE = outFile(
+  "ws8_seed1.out",
+  COLUMNS,
+  UNITS,
+  Array.from({ length: 10 }, (_, t) => [t, 8, 0, 0, 100 * t, 0, 10, 0]),
+);
+
+const recordFor = async (params) =>
+  (
+    await processFile(FILE, FILE.name, {
+      channels: CHANNELS,
+      window: windowSettings(params),
+    })
+  ).record;
+
+const windowOf = (record) => [
+  record["WindowStart(s)"],
+  record["WindowEnd(s)"],
+  record.SamplesUsed,
+];
+
+test("without a window every row is averaged", async () => {
+  const record = await recordFor({ transientCutoff: 0, windowEnd: "" });
+  assert.deepEqual(windowOf(record), [0, 9, 10]);
+  assert.equal(record["Power(kW)"], 450);
+});
+
+test("a cut-off and an end time bound the window, both inclusive", async () => {
+  const record = await recordFor({
+    transientMode: "seconds",
+    transientCutoff: 2,
+    windowEnd: "6",
+  });
+  assert.deepEqual(windowOf(record), [2, 6, 5]);
+  assert.equal(record["Power(kW)"], 400);
+});
+
+test("a fraction cut-off drops that share of the simulated time", async () => {
+  // 0 + 0.5 · (9 - 0) = 4.5 s
+  const record = await recordFor({
+    transientMode: "fraction",
+    transientCutoff: 0.5,
+    windowEnd: "",
+  });
+  assert.deepEqual(windowOf(record), [5, 9, 5]);
+  assert.equal(record["Power(kW)"], 700);
+});
+
+test("a window past the end of the file leaves no data", async () => {
+  await assert.rejects(
+    recordFor({ transientCutoff: 20, windowEnd: "" }),
+    /inside the averaging window/,
+  );
+});
+
+test("without a Time column rows are counted and the bounds stay empty", () => {
+  const headers = COLUMNS.slice(1).concat("GenSpeed");
+  const indices = buildHeaderIndices(headers, CHANNELS);
+  const acc = createAccumulators(CHANNELS);
+  const window = { start: 5, end: 6 }; // ignored without Time
+  for (const row of ["8 0 0 100 0 10 0 1", "8 0 0 300 0 10 0 1"]) {
+    parseLine(row, indices, acc, window);
+  }
+  assert.equal(acc.span.steps, 2);
+  assert.ok(Number.isNaN(acc.span.first));
+  assert.ok(Number.isNaN(acc.span.last));
+  assert.equal(acc.channels[0].get("mean"), 200);
+});
@@ -0,0 +1,176 @@
+// Turbine files: the settings they need, and each format read back into the
+// performance tables it was written from
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { DEFAULT_SETTINGS } from "../src/lib/settings.js";
+import {
+  parseOpenWindOWTG,
+  parsePOW,
+  parseWAsPWTG,
+  performanceTables,
+  toTurbineFile,
+  turbineParamsError,
+} from "../src/lib/turbineFormats.js";
+
+const SETTINGS = {
+  ...DEFAULT_SETTINGS,
+  airDensity: 1.18,
+  simulationDensity: 1.225,
+  rotorDiameter: "120",
+  hubHeight: "90",
+};
+
+// Wind speed normalization from 1.225 to 1.18 kg/m³
+const POWER_CURVE = [
+  {
+    Density: 1.18,
+    SimDensity: 1.225,
+    "WindSpeed(ms)": 10,
+    "WindSpeedNorm(ms)": 10.126,
+    "Power(kW)": 2000,
+    "PowerNorm(kW)": 2000,
+    Ct: 0.7,
+  },
+  {
+    Density: 1.18,
+    SimDensity: 1.225,
+    "WindSpeed(ms)": 8,
+    "WindSpeedNorm(ms)": 8.101,
+    "Power(kW)": 1000,
+    "PowerNorm(kW)": 1000,
+    Ct: 0.8,
+  },
+];
+
+const run = (overrides = {}) => ({
+  settings: SETTINGS,
+  powerCurve: POWER_CURVE,
+  presetName: "Test turbine",
+  processedFiles: 4,
+  createdAt: Date.UTC(2026, 0, 1),
+  partial: false,
+  ...overrides,
+});
+
+// The tables every format holds: the site density from the normalized
+// columns, the simulation density from the raw ones
+const SITE_TABLE = {
+  airDensity: 1.18,
+  points: [
+    { v: 8.101, p: 1000, ct: 0.8 },
+    { v: 10.126, p: 2000, ct: 0.7 },
+  ],
+};
+const SIMULATION_TABLE = {
+  airDensity: 1.225,
+  points: [
+    { v: 8, p: 1000, ct: 0.8 },
+    { v: 10, p: 2000, ct: 0.7 },
+  ],
+};
+
+const fileText = async (fmt, overrides) =>
+  toTurbineFile(fmt, run(overrides), "powercurve").blob.text();
+
+test("turbine files need the turbine and a single power curve", () => {
+  assert.equal(turbineParamsError(SETTINGS), null);
+  assert.equal(
+    turbineParamsError({ ...SETTINGS, rotorDiameter: "" }),
+    "Turbine files need a rotor diameter",
+  );
+  assert.equal(
+    turbineParamsError({ ...SETTINGS, hubHeight: "-5" }),
+    "Turbine files need a hub height",
+  );
+  assert.equal(
+    turbineParamsError({
+      ...SETTINGS,
+      channelMapping: SETTINGS.channelMapping.filter(
+        (ch) => ch.header !== "RtAeroCt",
+      ),
+    }),
+    "Turbine files need the RtAeroCt (Ct) channel in the mapping",
+  );
+  const cases = {
+    ...SETTINGS,
+    filenamePattern: "ws(?<windSpeed>\\d+)_yaw(?<yaw>-?\\d+)",
+  };
+  assert.equal(turbineParamsError({ ...cases, groupBy: ["windSpeed"] }), null);
+  assert.equal(
+    turbineParamsError({ ...cases, groupBy: ["windSpeed", "yaw"] }),
+    "Turbine files hold a single power curve - group by wind speed only, not by yaw",
+  );
+});
+
+test("one performance table per air density, sorted by wind speed", () => {
+  assert.deepEqual(performanceTables(POWER_CURVE, "Ct"), [
+    SITE_TABLE,
+    SIMULATION_TABLE,
+  ]);
+});
+
+test("WAsP .wtg files read back into the tables they were written from", async () => {
+  const text = await fileText("wtg");
+  const parsed = parseWAsPWTG(text);
+  assert.equal(parsed.rotorDiameter, 120);
+  assert.deepEqual(parsed.hubHeights, [90]);
+  assert.match(parsed.description, /^Test turbine - power curve from 4/);
+  assert.deepEqual(parsed.tables, [
+    { ...SITE_TABLE, cutIn: 8.101, cutOut: 10.126 },
+    { ...SIMULATION_TABLE, cutIn: 8, cutOut: 10 },
+  ]);
+  // Power is written in W
+  assert.match(text, /PowerOutput="1000000"/);
+});
+
+test(".pow files hold the site density table alone", async () => {
+  const parsed = parsePOW(await fileText("pow"));
+  assert.equal(parsed.rotorDiameter, 120);
+  assert.deepEqual(parsed.hubHeights, [90]);
+  assert.match(parsed.description, /\(rho=1\.18 kg\/m3\)$/);
+  assert.deepEqual(parsed.tables, [
+    { ...SITE_TABLE, cutIn: 8.101, cutOut: 10.126 },
+  ]);
+});
+
+test("OpenWind .owtg files read back with their metadata", async () => {
+  const parsed = parseOpenWindOWTG(await fileText("owtg"));
+  assert.equal(parsed.rotorDiameter, 120);
+  assert.deepEqual(parsed.hubHeights, [90]);
+  assert.deepEqual(parsed.tables, [
+    { ...SITE_TABLE, cutIn: 8.101, cutOut: 10.126 },
+    { ...SIMULATION_TABLE, cutIn: 8, cutOut: 10 },
+  ]);
+  assert.equal(parsed.metadata["Site Air Density (kg/m^3)"], "1.18");
+  assert.equal(parsed.metadata.Generated, "2026-01-01T00:00:00.000Z");
+});
+
+test("turbine files refuse curves without Ct, with twin points or bad settings", () => {
+  const [first, second] = POWER_CURVE;
+  assert.throws(
+    () =>
+      toTurbineFile(
+        "wtg",
+        run({ powerCurve: [first, { ...second, Ct: undefined }] }),
+        "x",
+      ),
+    /No Ct at 8\.1 m\/s/,
+  );
+  assert.throws(
+    () => toTurbineFile("wtg", run({ powerCurve: [first, { ...first }] }), "x"),
+    /Two power curve points at 10\.126 m\/s/,
+  );
+  assert.throws(
+    () =>
+      toTurbineFile(
+        "wtg",
+        run({ settings: { ...SETTINGS, hubHeight: "" } }),
+        "x",
+      ),
+    /need a hub height/,
+  );
+  assert.throws(
+    () => toTurbineFile("csv", run(), "x"),
+    /Unknown turbine file format: csv/,
+  );
+});
@@ -0,0 +1,104 @@
+// Units-row parsing and conversion of channel columns to the unit they claim
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  applyChannelUnits,
+  conversionFactor,
+  outputUnits,
+  parseUnit,
+} from "../src/lib/units.js";
+
+const CHANNELS = [
+  { header: "GenPwr", column: "Power(kW)", stats: ["std", "min"] },
+  { header: "GenTq", column: "Torque(kNm)", stats: [] },
+  { header: "RotSpeed", column: "RotSpeed(RPM)", stats: ["max"] },
+  { header: "BldPitch1", column: "Bladepitch1", stats: [] },
+];
+
+const newReport = () => ({ converted: new Set(), mismatched: new Set() });
+
+test("units-row tokens parse to canonical units", () => {
+  assert.equal(parseUnit("(kN-m)"), "kNm");
+  assert.equal(parseUnit("(RPM)"), "rpm");
+  assert.equal(parseUnit(" (W) "), "W");
+  assert.equal(parseUnit("(ms)"), "m/s");
+  assert.equal(parseUnit("(furlongs)"), null);
+  assert.equal(parseUnit("()"), null);
+});
+
+test("conversion factors stay within a dimension", () => {
+  assert.equal(conversionFactor("W", "kW"), 1e-3);
+  assert.equal(conversionFactor("MW", "kW"), 1e3);
+  assert.ok(Math.abs(conversionFactor("rad/s", "rpm") - 9.549297) < 1e-6);
+  assert.equal(conversionFactor("kW", "kNm"), null);
+});
+
+test("channel columns are converted to their claimed units, statistics too", () => {
+  const report = newReport();
+  const record = applyChannelUnits(
+    {
+      "Power(kW)": 1500000,
+      "Power(kW)_std": 20000,
+      "Power(kW)_min": 1400000,
+      "Torque(kNm)": 8000,
+      "RotSpeed(RPM)": 1.2,
+      "RotSpeed(RPM)_max": 1.3,
+      Bladepitch1: 2,
+    },
+    CHANNELS,
+    ["(W)", "(kN-m)", "(rad/s)", "(deg)"],
+    report,
+  );
+
+  assert.equal(record["Power(kW)"], 1500);
+  assert.equal(record["Power(kW)_std"], 20);
+  assert.equal(record["Power(kW)_min"], 1400);
+  assert.equal(record["Torque(kNm)"], 8000);
+  // 1.2 rad/s · 60 / 2π
+  assert.ok(Math.abs(record["RotSpeed(RPM)"] - 11.459156) < 1e-6);
+  assert.ok(Math.abs(record["RotSpeed(RPM)_max"] - 12.414085) < 1e-6);
+  assert.equal(record.Bladepitch1, 2);
+  assert.deepEqual(
+    [...report.converted],
+    ["GenPwr: W → kW", "RotSpeed: rad/s → rpm"],
+  );
+  assert.equal(report.mismatched.size, 0);
+});
+
+test("a unit of another dimension is reported and left alone", () => {
+  const report = newReport();
+  const record = applyChannelUnits(
+    { "Power(kW)": 1500 },
+    CHANNELS,
+    ["(kN)", "(kN-m)", "(rpm)", "(deg)"],
+    report,
+  );
+  assert.equal(record["Power(kW)"], 1500);
+  assert.deepEqual(
+    [...report.mismatched],
+    ["GenPwr is in kN but Power(kW) claims kW"],
+  );
+});
+
+test("export units come from column names, else the units row", () => {
+  const units = outputUnits(
+    [
+      {
+        "WindSpeed(ms)": 8,
+        "Power(kW)": 1500,
+        "Power(kW)_std": 20,
+        Bladepitch1: 2,
+        Density: 1.225,
+      },
+    ],
+    CHANNELS,
+    ["(W)", "(kN-m)", "(rad/s)", "(deg)"],
+  );
+  assert.deepEqual(units, {
+    "WindSpeed(ms)": "m/s",
+    "Power(kW)": "kW",
+    "Power(kW)_std": "kW",
+    Bladepitch1: "deg",
+    Density: "kg/m^3",
+  });
+});
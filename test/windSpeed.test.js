@@ -0,0 +1,88 @@
+// Each hub wind speed definition on a two-step file, against hand-computed
+// values, and the wind channels each one needs
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { processFile } from "../src/lib/processFile.js";
+import { windowSettings } from "../src/lib/timeWindow.js";
+import { windSpeedSettings } from "../src/lib/windSpeed.js";
+import { outFile } from "./helpers/outFile.js";
+
+const CHANNELS = [{ header: "GenPwr", column: "Power(kW)", stats: [] }];
+const COLUMNS = [
+  "Time",
+  "WindHubVelX",
+  "WindHubVelY",
+  "WindHubVelZ",
+  "Wind1VelX",
+  "GenPwr",
+  "GenTq",
+  "RotSpeed",
+];
+const UNITS = ["s", "m/s", "m/s", "m/s", "m/s", "kW", "kN-m", "rpm"];
+
+// (6, 8, 0): |3D| = 10, |horizontal| = 10
+// (2, -3, 6): |3D| = 7, |horizontal| = √13
+const FILE = outFile("ws8_seed1.out", COLUMNS, UNITS, [
+  [0, 6, 8, 0, 9, 1000, 500, 10],
+  [1, 2, -3, 6, 11, 1000, 500, 10],
+]);
+
+const windSpeed = async (file, windSpeedMethod) =>
+  (
+    await processFile(file, file.name, {
+      channels: CHANNELS,
+      window: windowSettings({}),
+      wind: windSpeedSettings({
+        windSpeedMethod,
+        windSpeedChannel: "Wind1VelX",
+      }),
+    })
+  ).record["WindSpeed(ms)"];
+
+const EXPECTED = {
+  vectorMean: Math.sqrt(4 ** 2 + 2.5 ** 2 + 3 ** 2), // |(4, 2.5, 3)| = 5.590
+  scalarMean: (10 + 7) / 2,
+  horizontal: (10 + Math.sqrt(13)) / 2, // 6.803
+  longitudinal: 4,
+  energy: Math.cbrt((10 ** 3 + 7 ** 3) / 2), // 8.757
+  channel: 10,
+};
+
+for (const [method, expected] of Object.entries(EXPECTED)) {
+  test(`${method} hub wind speed`, async () => {
+    const actual = await windSpeed(FILE, method);
+    assert.ok(
+      Math.abs(actual - expected) < 1e-9,
+      `${actual} is not ${expected}`,
+    );
+  });
+}
+
+test("files without the wind channels a method reads fail", async () => {
+  const columns = COLUMNS.filter((c) => c !== "WindHubVelZ").concat(
+    "BldPitch1",
+  );
+  const units = UNITS.slice(0, 3).concat(UNITS.slice(4), "deg");
+  const noZ = outFile("ws8_seed2.out", columns, units, [
+    [0, 6, 8, 9, 1000, 500, 10, 0],
+    [1, 2, -3, 11, 1000, 500, 10, 0],
+  ]);
+
+  await assert.rejects(
+    windSpeed(noZ, "vectorMean"),
+    /No WindHubVelZ column for the hub wind speed/,
+  );
+  // The horizontal speed does not read Z
+  assert.equal(await windSpeed(noZ, "horizontal"), EXPECTED.horizontal);
+
+  const noChannel = outFile(
+    "ws8_seed3.out",
+    columns.filter((c) => c !== "Wind1VelX").concat("GenSpeed"),
+    units.filter((_, i) => i !== 3).concat("rpm"),
+    [[0, 6, 8, 1000, 500, 10, 0, 1000]],
+  );
+  await assert.rejects(
+    windSpeed(noChannel, "channel"),
+    /No Wind1VelX column for the hub wind speed/,
+  );
+});